@@ -48,11 +48,98 @@ const ServiceResponse = require('./lib/service-response.js');
  * HTTP request headers. The default is 50.
  * @property {number} maxRequestSize Maximum allowed size of request payload in
  * bytes. The default is 2048.
+ * @property {boolean} requireContentLength If <code>true</code>, requests with
+ * payload sent without "Content-Length" header (using "chunked" transfer
+ * encoding) are rejected with a 411 (Length Required) response. By default,
+ * such requests are accepted.
+ * @property {number} maxStreamedRequestSize Maximum allowed size of request
+ * payload in bytes for handlers that opt in for request entity streaming. The
+ * default is no limit.
+ * @property {boolean} compressResponses If <code>true</code>, response bodies
+ * are compressed using a content coding negotiated via the "Accept-Encoding"
+ * request header. Can be overridden for individual endpoints. The default is
+ * <code>false</code>.
+ * @property {number} compressionThreshold Minimum response body size in bytes
+ * for the compression to be applied. Streamed response bodies are always
+ * compressed. The default is 1024.
+ * @property {boolean} autoETag If <code>true</code>, successful responses to
+ * GET and HEAD requests that do not have an "ETag" header set by the handler
+ * get an entity tag automatically generated from the serialized response
+ * entities. Can be overridden for individual endpoints. The default is
+ * <code>false</code>.
  * @property {(string|Array.<string>)} allowedOrigins List (comma-separated
  * string or an array) of allowed CORS origins. If not provided, the default is
  * to allow any origin.
  * @property {number} corsPreflightMaxAge Maximum age in seconds for caching CORS
  * preflight responses on the client. The default is 20 days.
+ * @property {(boolean|Object.<string,(string|boolean)>)} healthEndpoints If
+ * <code>true</code>, built-in health ("/health"), readiness ("/ready") and
+ * liveness ("/live") endpoints are added to the application. If object, the
+ * endpoints are added as well and the object's "health", "readiness" and
+ * "liveness" properties can be used to override the URI patterns for the
+ * corresponding endpoints, or to disable an endpoint by setting the property
+ * to <code>false</code>. By default, no built-in health endpoints are added.
+ * @property {number} healthCheckTimeout Timeout in milliseconds, after which a
+ * health check that has not completed is reported as failed. The default is 5
+ * seconds.
+ * @property {number} callTimeout Maximum time in milliseconds for processing a
+ * call from when it is received until its response is ready to be sent. If
+ * exceeded, the call is cancelled (see
+ * [ServiceCall.signal]{@link module:x2node-ws~ServiceCall#signal}) and a
+ * timeout response is sent. Can be overridden for individual endpoints. By
+ * default, there is no limit.
+ * @property {number} callTimeoutStatusCode HTTP status code of the response
+ * sent when the call processing time limit is exceeded. Can be overridden for
+ * individual endpoints. The default is 503 (Service Unavailable).
+ * @property {(boolean|Object)} accessLog If <code>true</code>, the application
+ * writes an access log line in Combined Log Format to the standard output for
+ * each completed call. If object, the access log is enabled as well and the
+ * object can have a <code>format</code> property with the built-in format
+ * name ("common", "combined" or "json") or a custom formatter function that
+ * takes a [log entry]{@link module:x2node-ws~AccessLog~Entry} and returns a
+ * string, and a <code>destination</code> property with a writable stream, to
+ * which to write the log. By default, no access log is written.
+ * @property {(boolean|string)} metricsEndpoint If <code>true</code>, the
+ * application collects metrics and exposes them in Prometheus text exposition
+ * format on a built-in "/metrics" endpoint. If string, it is the URI pattern
+ * for the metrics endpoint. By default, no metrics are collected.
+ * @property {Array.<number>} metricsDurationBuckets Request duration histogram
+ * bucket upper bounds in seconds. The default is 0.005, 0.01, 0.025, 0.05,
+ * 0.1, 0.25, 0.5, 1, 2.5, 5 and 10 seconds.
+ * @property {boolean} handleSignals If <code>false</code>, the application does
+ * not install process signal handlers when it is run, in which case the
+ * application is responsible for calling its <code>shutdown()</code> method.
+ * By default, "SIGHUP", "SIGINT", "SIGTERM" and "SIGBREAK" signals initiate
+ * graceful shutdown.
+ * @property {number} shutdownTimeout Drain timeout in milliseconds, after which
+ * the connections with calls still in progress are forcibly closed during the
+ * shutdown. The default is to wait for the calls to complete indefinitely.
+ */
+
+/**
+ * Endpoint options that can be specified when an endpoint is added to the
+ * application. Endpoint options take precedence over the corresponding
+ * properties on the endpoint handler.
+ *
+ * @typedef {Object} EndpointOptions
+ * @property {(number|Object.<string,number>)} maxRequestSize Maximum allowed
+ * size of request payload in bytes. If object, the keys are request content
+ * types (lower case, without any parameters) and the values are the limits for
+ * the corresponding content types. Content types not listed in the object fall
+ * back to the handler and then to the application configuration.
+ * @property {boolean} compressResponses Overrides the application's
+ * <code>compressResponses</code> option for the endpoint.
+ * @property {boolean} autoETag Overrides the application's
+ * <code>autoETag</code> option for the endpoint.
+ * @property {(boolean|Array.<string>)} requirePreconditions If
+ * <code>true</code>, requests to the endpoint that use unsafe methods must be
+ * conditional ("If-Match" or "If-Unmodified-Since" request header), otherwise
+ * a 428 (Precondition Required) response is sent. If array, lists the methods,
+ * for which the preconditions are required.
+ * @property {number} callTimeout Overrides the application's
+ * <code>callTimeout</code> option for the endpoint.
+ * @property {number} callTimeoutStatusCode Overrides the application's
+ * <code>callTimeoutStatusCode</code> option for the endpoint.
  */
 
 /**
@@ -97,9 +184,42 @@ exports.BasicAuthenticator = require('./lib/basic-authenticator.js');
 // export Bearer authenticator
 exports.BearerAuthenticator = require('./lib/bearer-authenticator.js');
 
+// export API key authenticator
+exports.ApiKeyAuthenticator = require('./lib/api-key-authenticator.js');
+
+// export client certificate authenticator
+exports.ClientCertificateAuthenticator = require(
+	'./lib/client-certificate-authenticator.js');
+
+// export JWT authenticator
+exports.JwtAuthenticator = require('./lib/jwt-authenticator.js');
+
+// export token introspection authenticator
+exports.IntrospectionAuthenticator = require(
+	'./lib/introspection-authenticator.js');
+
+// export request signature authenticator
+exports.SignatureAuthenticator = require('./lib/signature-authenticator.js');
+
+// export composite authenticator
+exports.CompositeAuthenticator = require('./lib/composite-authenticator.js');
+
+// export session authenticator
+exports.SessionAuthenticator = require('./lib/session-authenticator.js');
+
+// export in-memory session store
+exports.MemorySessionStore = require('./lib/memory-session-store.js');
+
 // export caching actors registry
 exports.CachingActorsRegistry = require('./lib/caching-actors-registry.js');
 
+// export token bucket rate limiter
+exports.TokenBucketRateLimiter = require(
+	'./lib/token-bucket-rate-limiter.js');
+
+// export in-memory rate limit store
+exports.MemoryRateLimitStore = require('./lib/memory-rate-limit-store.js');
+
 /**
  * Charset conversion map from MIME to Node's <code>Buffer</code>.
  *
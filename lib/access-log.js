@@ -0,0 +1,228 @@
+'use strict';
+
+const querystring = require('querystring');
+const common = require('x2node-common');
+
+
+/**
+ * Access log entry.
+ *
+ * @typedef {Object} module:x2node-ws~AccessLog~Entry
+ * @property {string} callId The call id.
+ * @property {Date} timestamp When the call was received.
+ * @property {string} method HTTP request method.
+ * @property {string} path Request URI as sent by the client, including the
+ * query string, in which the values of the parameters that carry credentials
+ * are masked.
+ * @property {string} httpVersion HTTP version of the request.
+ * @property {number} status Response status code.
+ * @property {number} bytes Number of response entity bytes sent.
+ * @property {number} duration Milliseconds from receiving the request to
+ * completing the response.
+ * @property {?string} actor Stamp of the authenticated actor, or
+ * <code>null</code> if unauthenticated.
+ * @property {string} remoteAddress Client IP address.
+ * @property {?string} userAgent The "User-Agent" request header, if any.
+ * @property {?string} referer The "Referer" request header, if any.
+ */
+
+/**
+ * Access log entry formatter function.
+ *
+ * @callback module:x2node-ws~AccessLog~Formatter
+ * @param {module:x2node-ws~AccessLog~Entry} entry The entry.
+ * @returns {string} Formatted log line without the terminating line break.
+ */
+
+/**
+ * Month abbreviations used in the Common Log Format timestamps.
+ *
+ * @private
+ * @constant {Array.<string>}
+ */
+const MONTHS = [
+	'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun',
+	'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'
+];
+
+/**
+ * Pad number with a leading zero.
+ *
+ * @private
+ * @param {number} n The number.
+ * @returns {string} Two-digit number.
+ */
+function pad2(n) {
+
+	return (n < 10 ? '0' + n : String(n));
+}
+
+/**
+ * Format timestamp for Common Log Format (always in UTC).
+ *
+ * @private
+ * @param {Date} date The timestamp.
+ * @returns {string} Formatted timestamp.
+ */
+function formatClfDate(date) {
+
+	return pad2(date.getUTCDate()) + '/' + MONTHS[date.getUTCMonth()] + '/' +
+		date.getUTCFullYear() + ':' + pad2(date.getUTCHours()) + ':' +
+		pad2(date.getUTCMinutes()) + ':' + pad2(date.getUTCSeconds()) +
+		' +0000';
+}
+
+/**
+ * Escape value for inclusion in a quoted Common Log Format field.
+ *
+ * @private
+ * @param {string} value The value.
+ * @returns {string} Escaped value.
+ */
+function escapeClf(value) {
+
+	let res = '';
+	for (let i = 0, len = value.length; i < len; i++) {
+		const c = value[i];
+		const code = value.charCodeAt(i);
+		if ((code < 0x20) || (code === 0x7f))
+			res += '\\x' + ('0' + code.toString(16)).substr(-2);
+		else if ((c === '\\') || (c === '"'))
+			res += '\\' + c;
+		else
+			res += c;
+	}
+
+	return res;
+}
+
+/**
+ * Mask values of the specified query string parameters in the request URI.
+ *
+ * @private
+ * @param {string} uri The request URI.
+ * @param {Array.<string>} [params] Names of the parameters to mask.
+ * @returns {string} The request URI with the parameter values masked.
+ */
+function maskQueryParams(uri, params) {
+
+	const queryStart = uri.indexOf('?');
+	if (!params || (params.length === 0) || (queryStart < 0))
+		return uri;
+
+	return uri.substring(0, queryStart + 1) + uri.substring(queryStart + 1)
+		.split('&').map(pair => {
+			const name = pair.split('=')[0];
+			const decodedName = querystring.unescape(name.replace(/\+/g, ' '));
+			return (params.indexOf(decodedName) >= 0 ? `${name}=***` : pair);
+		}).join('&');
+}
+
+/**
+ * Built-in access log formatters.
+ *
+ * @private
+ * @constant {Object.<string,module:x2node-ws~AccessLog~Formatter>}
+ */
+const FORMATTERS = {
+
+	// Common Log Format
+	'common': function(entry) {
+		return (entry.remoteAddress || '-') + ' - ' +
+			(entry.actor ? escapeClf(entry.actor).replace(/ /g, '_') : '-') +
+			' [' + formatClfDate(entry.timestamp) + '] "' +
+			escapeClf(
+				`${entry.method} ${entry.path} HTTP/${entry.httpVersion}`) +
+			'" ' + entry.status + ' ' + (entry.bytes > 0 ? entry.bytes : '-');
+	},
+
+	// Combined Log Format
+	'combined': function(entry) {
+		return FORMATTERS.common(entry) +
+			' "' + (entry.referer ? escapeClf(entry.referer) : '-') + '"' +
+			' "' + (entry.userAgent ? escapeClf(entry.userAgent) : '-') + '"';
+	},
+
+	// JSON lines
+	'json': function(entry) {
+		return JSON.stringify(entry);
+	}
+};
+
+/**
+ * Access log that writes a line for each completed call to a writable stream.
+ *
+ * @protected
+ * @memberof module:x2node-ws
+ * @inner
+ */
+class AccessLog {
+
+	/**
+	 * Create new access log.
+	 *
+	 * @param {(string|module:x2node-ws~AccessLog~Formatter)} [format] Built-in
+	 * format name ("common", "combined" or "json"), or a custom formatter
+	 * function. The default is "combined".
+	 * @param {stream.external:Writable} [destination] Stream, to which to write
+	 * the log. The default is <code>process.stdout</code>.
+	 * @throws {module:x2node-common.X2UsageError} If the format is unknown.
+	 */
+	constructor(format, destination) {
+
+		if ((typeof format) === 'function') {
+			this._formatter = format;
+		} else {
+			this._formatter = FORMATTERS[format || 'combined'];
+			if (!this._formatter)
+				throw new common.X2UsageError(
+					`Unknown access log format ${format}.`);
+		}
+
+		this._destination = (destination || process.stdout);
+
+		this._failed = false;
+		this._destination.on('error', err => {
+			if (!this._failed) {
+				this._failed = true;
+				common.error('error writing access log', err);
+			}
+		});
+	}
+
+	/**
+	 * Write entry for a completed call.
+	 *
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {number} statusCode Response status code.
+	 */
+	logCall(call, statusCode) {
+
+		const httpRequest = call.httpRequest;
+		const entry = {
+			callId: call.id,
+			timestamp: new Date(call.timestamp),
+			method: httpRequest.method,
+			path: maskQueryParams(
+				httpRequest.url,
+				call.authenticator && call.authenticator.sensitiveQueryParams),
+			httpVersion: httpRequest.httpVersion,
+			status: statusCode,
+			bytes: call.bytesSent,
+			duration: Date.now() - call.timestamp,
+			actor: (call.actor ? String(call.actor.stamp) : null),
+			remoteAddress: httpRequest.socket.remoteAddress,
+			userAgent: (httpRequest.headers['user-agent'] || null),
+			referer: (httpRequest.headers['referer'] || null)
+		};
+
+		try {
+			this._destination.write(this._formatter(entry) + '\n');
+		} catch (err) {
+			common.error(`call ${call.id}: error formatting access log`, err);
+		}
+	}
+}
+
+// export the class
+module.exports = AccessLog;
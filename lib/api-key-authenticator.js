@@ -0,0 +1,146 @@
+'use strict';
+
+const crypto = require('crypto');
+const common = require('x2node-common');
+
+
+/**
+ * Symbol used to mark the call as passed through this authenticator.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const AUTHED = Symbol('AUTHED_API_KEY');
+
+/**
+ * The log.
+ *
+ * @private
+ */
+const log = common.getDebugLogger('X2_APP_AUTH');
+
+/**
+ * Authenticator that uses API keys passed in a request header or a query
+ * string parameter. The key is hashed and the hash is used as the actor handle
+ * to look up the actor in the actors registry, so that raw keys are never
+ * passed to the registry or kept in any caches.
+ *
+ * @memberof module:x2node-ws
+ * @implements module:x2node-ws.Authenticator
+ */
+class ApiKeyAuthenticator {
+
+	/**
+	 * Create new authenticator.
+	 *
+	 * @param {module:x2node-ws.ActorsRegistry} actorsRegistry Actors registry.
+	 * The registry's <code>lookupActor()</code> method is called with the key
+	 * hash as the handle.
+	 * @param {Object} [options] Authenticator options.
+	 * @param {?string} [options.header=X-API-Key] Name of the request header
+	 * with the key. If <code>null</code>, the key is not taken from a header.
+	 * @param {string} [options.queryParam] Name of the query string parameter
+	 * with the key. If not specified, the key is not taken from the query
+	 * string. If the key is in both the header and the query string, the header
+	 * is used.
+	 * @param {string} [options.hashAlgorithm=sha256] Hash algorithm.
+	 * @param {(string|external:Buffer)} [options.hashSecret] If provided, the
+	 * key hash is HMAC with this secret.
+	 * @param {string} [options.realm] Realm to include in the challenge.
+	 * @throws {module:x2node-common.X2UsageError} If neither header nor query
+	 * parameter is configured.
+	 */
+	constructor(actorsRegistry, options) {
+
+		const opts = (options || {});
+
+		this._actorsRegistry = actorsRegistry;
+
+		this._header = (
+			opts.header !== undefined ? opts.header : 'X-API-Key');
+		this._queryParam = opts.queryParam;
+		if (!this._header && !this._queryParam)
+			throw new common.X2UsageError(
+				'Either API key header or query parameter must be specified.');
+		this._sensitiveQueryParams = (
+			this._queryParam ? [ this._queryParam ] : []);
+
+		this._hashAlgorithm = (opts.hashAlgorithm || 'sha256');
+		this._hashSecret = opts.hashSecret;
+
+		const params = new Array();
+		if (opts.realm)
+			params.push(`realm="${opts.realm}"`);
+		if (this._header)
+			params.push(`header="${this._header}"`);
+		if (this._queryParam)
+			params.push(`query="${this._queryParam}"`);
+		this._challenge = 'ApiKey ' + params.join(', ');
+	}
+
+	/**
+	 * The query string parameter with the key, if configured, so that the key
+	 * is masked in the access log.
+	 *
+	 * @member {Array.<string>}
+	 * @readonly
+	 */
+	get sensitiveQueryParams() { return this._sensitiveQueryParams; }
+
+	// authenticate the call
+	authenticate(call) {
+
+		// mark the call
+		call[AUTHED] = true;
+
+		// get the key
+		let key;
+		if (this._header)
+			key = call.httpRequest.headers[this._header.toLowerCase()];
+		if (!key && this._queryParam) {
+			key = call.requestUrl.query[this._queryParam];
+			if (Array.isArray(key))
+				key = key[0];
+		}
+		if (!key) {
+			log('no API key');
+			return Promise.resolve(null);
+		}
+
+		// look up the actor by the key hash
+		return Promise.resolve(
+			this._actorsRegistry.lookupActor(this._hashKey(key)));
+	}
+
+	// add response headers
+	addResponseHeaders(call, response) {
+
+		if (call[AUTHED] && (response.statusCode === 401))
+			response.setHeader('WWW-Authenticate', this.getChallenge(call));
+	}
+
+	// get the challenge
+	getChallenge() {
+
+		return this._challenge;
+	}
+
+	/**
+	 * Hash API key.
+	 *
+	 * @private
+	 * @param {string} key The key.
+	 * @returns {string} Hex-encoded key hash.
+	 */
+	_hashKey(key) {
+
+		return (
+			this._hashSecret !== undefined ?
+				crypto.createHmac(this._hashAlgorithm, this._hashSecret) :
+				crypto.createHash(this._hashAlgorithm)
+		).update(key, 'utf8').digest('hex');
+	}
+}
+
+// export the class
+module.exports = ApiKeyAuthenticator;
@@ -1,13 +1,22 @@
 'use strict';
 
 const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
 const stream = require('stream');
+const zlib = require('zlib');
 const EventEmitter = require('events');
 const common = require('x2node-common');
 
 const ServiceCall = require('./service-call.js');
 const ServiceResponse = require('./service-response.js');
 const PatternMap = require('./pattern-map.js');
+const MultipartParser = require('./multipart-parser.js');
+const RequestEntityStream = require('./request-entity-stream.js');
+const RangeStream = require('./range-stream.js');
+const HealthHandler = require('./health-handler.js');
+const MetricsCollector = require('./metrics-collector.js');
+const AccessLog = require('./access-log.js');
 
 
 /**
@@ -26,6 +35,67 @@ const PatternMap = require('./pattern-map.js');
  * @type {string}
  */
 
+/**
+ * Service call in progress.
+ *
+ * @typedef {Object} module:x2node-ws~Application~CallStats
+ * @property {string} id Call id.
+ * @property {string} method HTTP request method.
+ * @property {string} uri Request URI.
+ * @property {number} age Milliseconds since the call was received.
+ */
+
+/**
+ * Open HTTP connection.
+ *
+ * @typedef {Object} module:x2node-ws~Application~ConnectionStats
+ * @property {string} id Connection id.
+ * @property {string} remoteAddress Client IP address.
+ * @property {number} age Milliseconds since the connection was opened.
+ * @property {boolean} idle <code>true</code> if the connection is an idle
+ * keep-alive connection, <code>false</code> if a call is being processed on
+ * it.
+ * @property {Array.<module:x2node-ws~Application~CallStats>} calls Calls in
+ * progress on the connection, for which the response has not been started yet.
+ */
+
+/**
+ * Application statistics snapshot.
+ *
+ * @typedef {Object} module:x2node-ws~Application~Stats
+ * @property {boolean} running <code>true</code> if the application has been
+ * started.
+ * @property {boolean} shuttingDown <code>true</code> if the application is
+ * shutting down.
+ * @property {number} openConnections Number of open HTTP connections.
+ * @property {number} idleConnections Number of idle keep-alive connections.
+ * @property {number} activeConnections Number of connections with calls being
+ * processed.
+ * @property {number} inFlightCalls Total number of calls in progress.
+ * @property {Array.<module:x2node-ws~Application~ConnectionStats>} connections
+ * Open connections.
+ * @property {number} completedCalls Total number of calls, for which the
+ * response has been completely sent.
+ * @property {Object.<string,number>} completedCallsByStatus Numbers of completed
+ * calls by the response HTTP status code.
+ */
+
+/**
+ * Options for running the application.
+ *
+ * @typedef {Object} module:x2node-ws~Application~RunOptions
+ * @property {Object} [tls] If provided, the application serves HTTPS. The
+ * object is passed to the <code>https.createServer()</code> (or
+ * <code>http2.createSecureServer()</code>) function and normally includes the
+ * <code>key</code> and <code>cert</code> (or <code>pfx</code>) properties. To
+ * verify client certificates, include <code>requestCert</code>,
+ * <code>ca</code> and, optionally, <code>rejectUnauthorized</code>.
+ * @property {boolean} [http2] If <code>true</code>, the application serves
+ * HTTP/2 using the <code>http2</code> module compatibility API. Over TLS,
+ * HTTP/2 is negotiated with ALPN and HTTP/1.1 clients are still supported.
+ * Without TLS, only clients with prior knowledge of HTTP/2 are supported.
+ */
+
 /**
  * Cacheable HTTP response status codes.
  *
@@ -63,6 +133,58 @@ const BOUNDARY_MID = Buffer.from(`--${BOUNDARY}\r\n`, 'ascii');
 const BOUNDARY_END = Buffer.from(`--${BOUNDARY}--`, 'ascii');
 const CRLF = Buffer.from('\r\n', 'ascii');
 
+/**
+ * Request entity decoder factories by supported content codings.
+ *
+ * @private
+ * @constant {Object.<string,function():stream.external:Transform>}
+ */
+const CONTENT_DECODERS = {
+	'gzip': () => zlib.createGunzip(),
+	'x-gzip': () => zlib.createGunzip(),
+	'deflate': () => zlib.createInflate()
+};
+if (zlib.createBrotliDecompress)
+	CONTENT_DECODERS['br'] = () => zlib.createBrotliDecompress();
+
+/**
+ * Response entity encoder factories by supported content codings in the order
+ * of preference.
+ *
+ * @private
+ * @constant {Object.<string,function():stream.external:Transform>}
+ */
+const CONTENT_ENCODERS = new Object();
+if (zlib.createBrotliCompress)
+	CONTENT_ENCODERS['br'] = () => zlib.createBrotliCompress({
+		params: {
+			[zlib.constants.BROTLI_PARAM_QUALITY]: 4
+		}
+	});
+CONTENT_ENCODERS['gzip'] = () => zlib.createGzip();
+CONTENT_ENCODERS['deflate'] = () => zlib.createDeflate();
+
+/**
+ * Pattern for response content types that are not compressed because they are
+ * already compressed.
+ *
+ * @private
+ * @constant {RegExp}
+ */
+const INCOMPRESSIBLE_CONTENT_TYPE_PATTERN = new RegExp(
+	'^\\s*(?:image/(?!svg\\+xml)|audio/|video/|application/(?:' +
+		'zip|gzip|x-gzip|x-bzip2|x-xz|x-7z-compressed|x-rar-compressed|' +
+		'zstd|pdf)\\s*(?:;|$))', 'i'
+);
+
+/**
+ * Default minimum response body size in bytes for compression.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_COMPRESSION_THRESHOLD = 1024;
+
 /**
  * Default connection idle timeout.
  *
@@ -71,6 +193,26 @@ const CRLF = Buffer.from('\r\n', 'ascii');
  */
 const DEFAULT_CONN_IDLE_TIMEOUT = 30000;
 
+/**
+ * Default built-in health endpoint URI patterns.
+ *
+ * @private
+ * @constant {Object.<string,string>}
+ */
+const DEFAULT_HEALTH_ENDPOINTS = {
+	health: '/health',
+	readiness: '/ready',
+	liveness: '/live'
+};
+
+/**
+ * Default health check timeout.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_HEALTH_CHECK_TIMEOUT = 5000;
+
 const DEFAULT_MAX_REQUEST_SIZE = 2048;
 
 const DEFAULT_CORS_PREFLIGHT_MAX_AGE = 20 * 24 * 3600;
@@ -111,12 +253,36 @@ function nextCallId() {
 }
 
 /**
- * Used to store idle/active status on sockets.
+ * Used to store number of calls in progress on sockets.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const ACTIVE_CALLS = Symbol('ACTIVE_CALLS');
+
+/**
+ * Used to store HTTP/2 session on sockets.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const SESSION = Symbol('SESSION');
+
+/**
+ * Used to mark HTTP responses to requests that expect 100 (Continue).
  *
  * @private
  * @constant {Symbol}
  */
-const IDLE = Symbol('IDLE');
+const EXPECTS_CONTINUE = Symbol('EXPECTS_CONTINUE');
+
+/**
+ * HTTP/2 "CANCEL" stream error code.
+ *
+ * @private
+ * @constant {number}
+ */
+const NGHTTP2_CANCEL = 0x8;
 
 /**
  * Used to store the list of service calls associated with a socket.
@@ -126,6 +292,14 @@ const IDLE = Symbol('IDLE');
  */
 const CALLS = Symbol('CALLS');
 
+/**
+ * Used to store timestamp when the socket was opened.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const OPENED = Symbol('OPENED');
+
 /**
  * Known HTTP methods.
  *
@@ -146,6 +320,18 @@ const NORMAL_HEADER_NAMES = {
 	'etag': 'ETag'
 };
 
+/**
+ * Connection-specific response headers not allowed in HTTP/2 (see
+ * [RFC 7540]{@link https://tools.ietf.org/html/rfc7540#section-8.1.2.2}).
+ *
+ * @private
+ * @constant {Set.<string>}
+ */
+const CONNECTION_SPECIFIC_HEADERS = new Set([
+	'connection', 'keep-alive', 'proxy-connection', 'transfer-encoding',
+	'upgrade'
+]);
+
 /**
  * Pattern used to parse media type ranges in the "Accept" header.
  *
@@ -158,19 +344,161 @@ const ACCEPT_HEADER_RANGE_PATTERN = new RegExp(
 );
 
 /**
- * Callback for the socket timeout before response has started to be sent.
+ * Callback for the socket timeout before response has started to be sent. For
+ * an HTTP/2 session, the callback is called when the session is inactive and
+ * the session is gracefully closed if there are no calls in progress on it.
+ *
+ * @private
+ * @param {(net.external:Socket|http2.external:Http2Session)} connection The
+ * connection socket or HTTP/2 session.
+ */
+function onBeforeResponseTimeout(connection) {
+
+	if (!connection)
+		return;
+
+	// check if HTTP/2 session
+	const socket = connection.socket;
+	if (socket && (socket[SESSION] === connection)) {
+		if (socket[ACTIVE_CALLS] === 0)
+			connection.close();
+		return;
+	}
+
+	connection.end(
+		'HTTP/1.1 408 ' + http.STATUS_CODES[408] + '\r\n' +
+			'Date: ' + (new Date()).toUTCString() + '\r\n' +
+			'Connection: close\r\n' +
+			'\r\n');
+}
+
+/**
+ * Create HTTP 401 (Unauthorized) response for a call, whose request payload
+ * was rejected by the authenticator's payload verifier.
+ *
+ * @private
+ * @returns {module:x2node-ws~ServiceResponse} The response.
+ */
+function createPayloadNotVerifiedResponse() {
+
+	return (new ServiceResponse(401)).setEntity({
+		errorCode: 'X2-401-2',
+		errorMessage: 'Request payload verification failed.'
+	});
+}
+
+/**
+ * Get length of the response body made of the specified buffers and streams.
+ *
+ * @private
+ * @param {Array.<(external:Buffer|stream.external:Readable)>} bufs The response
+ * body buffers and streams.
+ * @returns {number} The body length, or -1 if unknown (the body includes
+ * streams).
+ */
+function getResponseBodyLength(bufs) {
+
+	return (
+		bufs.every(buf => Buffer.isBuffer(buf)) ?
+			bufs.reduce((tot, buf) => (tot + buf.length), 0) : -1);
+}
+
+/**
+ * Parse list of entity tags from a conditional request header.
+ *
+ * @private
+ * @param {string} header The header value.
+ * @returns {Array.<string>} The entity tags including the weakness indicators.
+ */
+function parseETags(header) {
+
+	return (header.match(/(?:W\/)?"[^"]*"/g) || []);
+}
+
+/**
+ * Compare two entity tags using the weak comparison function (see
+ * [RFC 7232]{@link https://tools.ietf.org/html/rfc7232#section-2.3.2}).
+ *
+ * @private
+ * @param {string} etag1 First entity tag.
+ * @param {string} etag2 Second entity tag.
+ * @returns {boolean} <code>true</code> if the tags match.
+ */
+function weakETagsMatch(etag1, etag2) {
+
+	return (etag1.replace(/^W\//, '') === etag2.replace(/^W\//, ''));
+}
+
+/**
+ * Compare two entity tags using the strong comparison function (see
+ * [RFC 7232]{@link https://tools.ietf.org/html/rfc7232#section-2.3.2}).
+ *
+ * @private
+ * @param {string} etag1 First entity tag.
+ * @param {string} etag2 Second entity tag.
+ * @returns {boolean} <code>true</code> if the tags match.
+ */
+function strongETagsMatch(etag1, etag2) {
+
+	return (!etag1.startsWith('W/') && (etag1 === etag2));
+}
+
+/**
+ * Parse "Range" request header with byte ranges (see
+ * [RFC 7233]{@link https://tools.ietf.org/html/rfc7233#section-2.1}). The
+ * resulting ranges are sorted and overlapping and adjacent ranges are
+ * coalesced.
  *
  * @private
- * @param {net.external:Socket} socket The connection socket.
+ * @param {string} header The header value.
+ * @param {number} length Full length of the representation.
+ * @returns {?Array.<module:x2node-ws~RangeStream~Range>} The satisfiable
+ * ranges (empty array if none), or <code>null</code> if the header is invalid
+ * or uses unsupported range unit and must be ignored.
  */
-function onBeforeResponseTimeout(socket) {
-
-	if (socket)
-		socket.end(
-			'HTTP/1.1 408 ' + http.STATUS_CODES[408] + '\r\n' +
-				'Date: ' + (new Date()).toUTCString() + '\r\n' +
-				'Connection: close\r\n' +
-				'\r\n');
+function parseByteRanges(header, length) {
+
+	const m = /^\s*bytes\s*=\s*(.+)$/i.exec(header);
+	if (!m)
+		return null;
+
+	const ranges = new Array();
+	for (let rangeSpec of m[1].split(',')) {
+		const rm = /^\s*(?:(\d+)\s*-\s*(\d*)|-\s*(\d+))\s*$/.exec(rangeSpec);
+		if (!rm)
+			return null;
+		let start, end;
+		if (rm[3] !== undefined) {
+			const suffixLength = Number(rm[3]);
+			if (suffixLength === 0)
+				continue;
+			start = Math.max(length - suffixLength, 0);
+			end = length - 1;
+		} else {
+			start = Number(rm[1]);
+			if (rm[2].length > 0) {
+				end = Number(rm[2]);
+				if (end < start)
+					return null;
+				end = Math.min(end, length - 1);
+			} else {
+				end = length - 1;
+			}
+		}
+		if (start < length)
+			ranges.push({ start: start, end: end });
+	}
+
+	ranges.sort((a, b) => (a.start - b.start));
+
+	return ranges.reduce((res, range) => {
+		const last = res[res.length - 1];
+		if (last && (range.start <= last.end + 1))
+			last.end = Math.max(last.end, range.end);
+		else
+			res.push(range);
+		return res;
+	}, new Array());
 }
 
 /**
@@ -255,25 +583,55 @@ class Application extends EventEmitter {
 		// the debug log
 		this._log = common.getDebugLogger('X2_APP');
 
-		// marshallers, authenticators, authorizers and endpoints (later maps)
+		// marshallers, authenticators, rate limiters, authorizers, interceptors
+		// and endpoints (later maps)
 		this._marshallers = new Array();
 		this._authenticators = new Array();
+		this._rateLimiters = new Array();
 		this._authorizers = new Array();
+		this._interceptors = new Array();
 		this._endpoints = new Array();
 
 		// current URIs prefix
 		this._prefix = '';
 
+		// health checks
+		this._healthChecks = new Map();
+
+		// access log
+		this._accessLog = (
+			options.accessLog ? (
+				(typeof options.accessLog) === 'object' ?
+					new AccessLog(
+						options.accessLog.format,
+						options.accessLog.destination) :
+					new AccessLog()
+			) : null);
+
+		// metrics collector
+		this._metrics = (
+			options.metricsEndpoint ?
+				new MetricsCollector(this, options.metricsDurationBuckets) :
+				null);
+
+		// hooks called before shutdown completes
+		this._beforeShutdownHooks = new Array();
+
 		// application running state
 		this._connections = new Map();
 		this._nextConnectionId = 1;
+		this._completedCalls = 0;
+		this._completedCallsByStatus = new Object();
 		this._running = false;
+		this._server = null;
 		this._shuttingDown = false;
+		this._shutdownPromise = null;
 	}
 
 	/**
 	 * Set URI prefix for the subsequent <code>addAuthenticator()</code>,
-	 * <code>addAuthorizer()</code> and <code>addEndpoint()</code> calls.
+	 * <code>addRateLimiter()</code>, <code>addAuthorizer()</code>,
+	 * <code>addInterceptor()</code> and <code>addEndpoint()</code> calls.
 	 *
 	 * @param {string} prefix Prefix to add to the URI patterns.
 	 * @returns {module:x2node-ws~Application} This application.
@@ -317,7 +675,9 @@ class Application extends EventEmitter {
 	/**
 	 * Associate an authenticator with the specified URI pattern. When looking up
 	 * authenticator for a URI, the URI patterns are matched in the order the
-	 * authenticators were added to the application.
+	 * authenticators were added to the application and only the first matching
+	 * authenticator is used. To accept credentials of multiple kinds, use
+	 * [CompositeAuthenticator]{@link module:x2node-ws.CompositeAuthenticator}.
 	 *
 	 * @param {string} uriPattern URI regular expression pattern. The URI is
 	 * matched against the pattern as a whole, so no starting <code>^</code> and
@@ -336,6 +696,27 @@ class Application extends EventEmitter {
 		return this;
 	}
 
+	/**
+	 * Associate a rate limiter with the specified URI pattern. Multiple rate
+	 * limiters can match the same URI, in which case they are called in the
+	 * order they were added to the application.
+	 *
+	 * @param {string} uriPattern URI regular expression pattern. The URI is
+	 * matched against the pattern as a whole, so no starting <code>^</code> and
+	 * ending <code>$</code> are necessary. The match is case-sensitive.
+	 * @param {module:x2node-ws.RateLimiter} rateLimiter The rate limiter.
+	 * @returns {module:x2node-ws~Application} This application.
+	 */
+	addRateLimiter(uriPattern, rateLimiter) {
+
+		if (this._running)
+			throw new common.X2UsageError('Application is already running.');
+
+		this._rateLimiters.push(this._toMappingDesc(uriPattern, rateLimiter));
+
+		return this;
+	}
+
 	/**
 	 * Associate an authorizer with the specified URI pattern. When looking up
 	 * authorizer for a URI, the URI patterns are matched in the order the
@@ -363,6 +744,28 @@ class Application extends EventEmitter {
 		return this;
 	}
 
+	/**
+	 * Associate an interceptor with the specified URI pattern. Multiple
+	 * interceptors can match the same URI. Their "before" hooks are called in
+	 * the order the interceptors were added to the application and their
+	 * "after" hooks are called in the reverse order.
+	 *
+	 * @param {string} uriPattern URI regular expression pattern. The URI is
+	 * matched against the pattern as a whole, so no starting <code>^</code> and
+	 * ending <code>$</code> are necessary. The match is case-sensitive.
+	 * @param {module:x2node-ws.Interceptor} interceptor The interceptor.
+	 * @returns {module:x2node-ws~Application} This application.
+	 */
+	addInterceptor(uriPattern, interceptor) {
+
+		if (this._running)
+			throw new common.X2UsageError('Application is already running.');
+
+		this._interceptors.push(this._toMappingDesc(uriPattern, interceptor));
+
+		return this;
+	}
+
 	/**
 	 * Add web service endpoint. When looking up endpoint handler for a URI, the
 	 * URI patterns are matched in the order the handlers were added to the
@@ -375,15 +778,68 @@ class Application extends EventEmitter {
 	 * array, the first array element is the pattern and the rest are names for
 	 * the positional URI parameters.
 	 * @param {module:x2node-ws.Handler} handler The handler for the endpoint.
+	 * @param {module:x2node-ws~EndpointOptions} [options] Endpoint options.
 	 * @returns {module:x2node-ws~Application} This application.
 	 */
-	addEndpoint(uriPattern, handler) {
+	addEndpoint(uriPattern, handler, options) {
 
 		if (this._running)
 			throw new common.X2UsageError('Application is already running.');
 
-		this._endpoints.push(
-			this._toMappingDesc(uriPattern, handler));
+		const mappingDesc = this._toMappingDesc(uriPattern, {
+			handler: handler,
+			options: (options || {})
+		});
+		mappingDesc.value.uriPattern = (
+			Array.isArray(mappingDesc.pattern) ?
+				mappingDesc.pattern[0] : mappingDesc.pattern);
+		this._endpoints.push(mappingDesc);
+
+		return this;
+	}
+
+	/**
+	 * Add health check reported by the built-in health and readiness endpoints
+	 * (see <code>healthEndpoints</code> application option).
+	 *
+	 * @param {string} name Unique check name used in the health report.
+	 * @param {module:x2node-ws~HealthHandler~HealthCheck} check The check
+	 * function.
+	 * @returns {module:x2node-ws~Application} This application.
+	 * @throws {module:x2node-common.X2UsageError} If a check with the same name
+	 * has already been added.
+	 */
+	addHealthCheck(name, check) {
+
+		if (this._healthChecks.has(name))
+			throw new common.X2UsageError(
+				`Health check ${name} has already been added.`);
+
+		this._healthChecks.set(name, check);
+
+		return this;
+	}
+
+	/**
+	 * Add hook function called when the application shuts down after the HTTP
+	 * server has closed all the connections. The hooks are called in a sequence
+	 * in the order they were added and the shutdown does not complete until the
+	 * promise returned by the hook, if any, is settled. This allows releasing
+	 * any application resources, such as database connection pools, before the
+	 * process exits.
+	 *
+	 * @param {function} hook The hook function. Takes no arguments and may
+	 * return a <code>Promise</code>. If the hook fails, the error is logged and
+	 * the shutdown proceeds with the next hook.
+	 * @returns {module:x2node-ws~Application} This application.
+	 */
+	beforeShutdown(hook) {
+
+		if (this._shutdownPromise)
+			throw new common.X2UsageError(
+				'Application is already shutting down.');
+
+		this._beforeShutdownHooks.push(hook);
 
 		return this;
 	}
@@ -412,12 +868,18 @@ class Application extends EventEmitter {
 	}
 
 	/**
-	 * Create HTTP server and run the application on it.
+	 * Create HTTP server and run the application on it. Unless disabled by the
+	 * <code>handleSignals</code> application option, process signal handlers
+	 * are installed that gracefully shut the application down.
 	 *
 	 * @param {number} port Port, on which to listen for incoming HTTP requests.
-	 * @returns {http.external:Server} The HTTP server.
+	 * @param {module:x2node-ws~Application~RunOptions} [options] Options
+	 * specifying the server transport. If not provided, the application serves
+	 * plain HTTP/1.1.
+	 * @returns {(http.external:Server|https.external:Server|http2.external:Http2Server)}
+	 * The server.
 	 */
-	run(port) {
+	run(port, options) {
 
 		// check if already running
 		if (this._running)
@@ -438,14 +900,74 @@ class Application extends EventEmitter {
 			value: JSON_MARSHALLER
 		});
 
+		// add built-in health endpoints in front of the application endpoints
+		if (this._options.healthEndpoints) {
+			const paths = Object.assign(
+				new Object(), DEFAULT_HEALTH_ENDPOINTS, (
+					(typeof this._options.healthEndpoints) === 'object' ?
+						this._options.healthEndpoints : null));
+			const checkTimeout = (
+				this._options.healthCheckTimeout ||
+					DEFAULT_HEALTH_CHECK_TIMEOUT);
+			for (let kind of Object.keys(DEFAULT_HEALTH_ENDPOINTS).reverse()) {
+				if (paths[kind])
+					this._endpoints.unshift({
+						pattern: paths[kind],
+						value: {
+							handler: new HealthHandler(
+								this, kind, this._healthChecks, checkTimeout),
+							options: {},
+							uriPattern: paths[kind]
+						}
+					});
+			}
+		}
+
+		// add built-in metrics endpoint in front of the application endpoints
+		if (this._metrics) {
+			const path = (
+				(typeof this._options.metricsEndpoint) === 'string' ?
+					this._options.metricsEndpoint : '/metrics');
+			this._endpoints.unshift({
+				pattern: path,
+				value: {
+					handler: this._metrics,
+					options: {},
+					uriPattern: path
+				}
+			});
+		}
+
 		// compile pattern maps
 		this._marshallers = new PatternMap(this._marshallers);
 		this._authenticators = new PatternMap(this._authenticators);
+		this._rateLimiters = new PatternMap(this._rateLimiters);
 		this._authorizers = new PatternMap(this._authorizers);
+		this._interceptors = new PatternMap(this._interceptors);
 		this._endpoints = new PatternMap(this._endpoints);
 
-		// create HTTP server
-		const server = http.createServer();
+		// create the server
+		const runOptions = (options || {});
+		const secure = !!runOptions.tls;
+		let server;
+		if (runOptions.http2) {
+			const http2 = require('http2');
+			server = (
+				secure ?
+					http2.createSecureServer(Object.assign(
+						{ allowHTTP1: true }, runOptions.tls)) :
+					http2.createServer());
+			server.on('session', session => {
+				session.socket[SESSION] = session;
+				if (this._shuttingDown)
+					session.close();
+			});
+		} else {
+			server = (
+				secure ?
+					https.createServer(runOptions.tls) : http.createServer());
+		}
+		this._server = server;
 
 		// set initial connection idle timeout
 		server.setTimeout(
@@ -457,18 +979,19 @@ class Application extends EventEmitter {
 		server.maxHeadersCount = (this._options.maxRequestHeadersCount || 50);
 
 		// set open connections registry maintenance handlers
-		server.on('connection', socket => {
+		server.on((secure ? 'secureConnection' : 'connection'), socket => {
 			const connectionId = `#${this._nextConnectionId++}`;
 			this._log(`connection ${connectionId}: opened`);
 			socket[CONNECTION_ID] = connectionId;
+			socket[OPENED] = Date.now();
 			socket[NEXT_CALL_ID] = 1;
 			socket.x2NextCallId = nextCallId.bind(socket);
-			socket[IDLE] = true;
+			socket[ACTIVE_CALLS] = 0;
 			socket[CALLS] = [];
-			this._connections.set(CONNECTION_ID, socket);
+			this._connections.set(connectionId, socket);
 			socket.on('close', () => {
 				this._log(`connection ${connectionId}: closed`);
-				this._connections.delete(CONNECTION_ID);
+				this._connections.delete(connectionId);
 				for (let call of socket[CALLS])
 					call.connectionClosed = true;
 				delete socket[CALLS];
@@ -482,95 +1005,278 @@ class Application extends EventEmitter {
 		});
 
 		// set request processing handlers
-		server.on('checkContinue', this._respond.bind(this));
+		server.on('checkContinue', (httpRequest, httpResponse) => {
+			httpResponse[EXPECTS_CONTINUE] = true;
+			this._respond(httpRequest, httpResponse);
+		});
 		server.on('request', this._respond.bind(this));
 
-		// setup signals
-		const terminate = (singalNum) => {
+		// shut down and let the process exit with the specified code
+		const terminate = (exitCode) => {
 			if (this._shuttingDown) {
 				log('already shutting down');
 			} else {
-				log('shutting down');
-
-				// mark application as shutting down
-				this._shuttingDown = true;
-
-				// stop accepting new connections
-				server.close(() => {
-					process.exit(128 + singalNum);
-				});
-
-				// severe idle keep-alive connections
-				for (let connection of this._connections.values())
-					if (connection[IDLE])
-						this._destroyConnection(connection);
-
-				// fire shutting down event
-				this.emit('shuttingdown');
+				process.exitCode = exitCode;
+				this.shutdown();
 			}
 		};
-		process.on('SIGHUP', () => { terminate(1); });
-		process.on('SIGINT', () => { terminate(2); });
-		process.on('SIGTERM', () => { terminate(15); });
-		process.on('SIGBREAK', () => { terminate(21); });
+
+		// setup signals
+		if (this._options.handleSignals !== false) {
+			const signalHandlers = [
+				[ 'SIGHUP', () => { terminate(128 + 1); } ],
+				[ 'SIGINT', () => { terminate(128 + 2); } ],
+				[ 'SIGTERM', () => { terminate(128 + 15); } ],
+				[ 'SIGBREAK', () => { terminate(128 + 21); } ]
+			];
+			for (let signalHandler of signalHandlers)
+				process.on(signalHandler[0], signalHandler[1]);
+			this.once('shutdown', () => {
+				for (let signalHandler of signalHandlers)
+					process.removeListener(signalHandler[0], signalHandler[1]);
+			});
+		}
 
 		// terminate on server error
 		server.on('error', err => {
 			common.error('could not start the application', err);
-			terminate(-127);
+			terminate(1);
 		});
 
 		// start listening for incoming requests
 		server.listen(port, () => {
 			log(
-				`ready for requests on ${port}, ` +
+				`ready for ${runOptions.http2 ? 'HTTP/2 ' : ''}` +
+					`${secure ? 'TLS ' : ''}requests on ${port}, ` +
 					`API version ${this._apiVersion}`);
 		});
 
-		// return the HTTP server
+		// return the server
 		return server;
 	}
 
 	/**
-	 * Respond to an HTTP request.
+	 * Get snapshot of the application's open connections, calls in progress and
+	 * completed calls statistics.
 	 *
-	 * @private
-	 * @param {http.external:IncomingMessage} httpRequest HTTP request.
-	 * @param {http.external:ServerResponse} httpResponse HTTP response.
+	 * @returns {module:x2node-ws~Application~Stats} The statistics.
 	 */
-	_respond(httpRequest, httpResponse) {
+	getStats() {
+
+		const now = Date.now();
+
+		const stats = {
+			running: this._running,
+			shuttingDown: this._shuttingDown,
+			openConnections: this._connections.size,
+			idleConnections: 0,
+			activeConnections: 0,
+			inFlightCalls: 0,
+			connections: new Array(),
+			completedCalls: this._completedCalls,
+			completedCallsByStatus: Object.assign(
+				new Object(), this._completedCallsByStatus)
+		};
 
-		// mark connection as active
-		httpRequest.socket[IDLE] = false;
+		for (let connection of this._connections.values()) {
+			const calls = (connection[CALLS] || []).map(call => ({
+				id: call.id,
+				method: call.method,
+				uri: call.httpRequest.url,
+				age: now - call.timestamp
+			}));
+			const idle = (connection[ACTIVE_CALLS] === 0);
+			if (idle)
+				stats.idleConnections++;
+			else
+				stats.activeConnections++;
+			stats.inFlightCalls += calls.length;
+			stats.connections.push({
+				id: connection[CONNECTION_ID],
+				remoteAddress: connection.remoteAddress,
+				age: now - connection[OPENED],
+				idle: idle,
+				calls: calls
+			});
+		}
 
-		// create the service call object
-		const call = new ServiceCall(
-			this._apiVersion, httpRequest, this._options);
+		return stats;
+	}
 
-		// add call to the calls associated with the connection
-		httpRequest.socket[CALLS].push(call);
+	/**
+	 * Gracefully shut down the application. The HTTP server stops accepting
+	 * new connections, idle keep-alive connections are closed, HTTP/2 sessions
+	 * are told to stop opening new streams and the calls in progress are allowed
+	 * to complete. If the drain timeout is specified and
+	 * the calls do not complete before it expires, their connections are
+	 * forcibly closed. After all connections are closed, the "shutdown" event
+	 * is fired and the hooks added with
+	 * [beforeShutdown()]{@link module:x2node-ws~Application#beforeShutdown}
+	 * are called. The method does not terminate the process. If called again
+	 * while shutting down, the method returns the same promise.
+	 *
+	 * @param {Object} [options] Shutdown options.
+	 * @param {number} [options.timeout] Drain timeout in milliseconds.
+	 * Overrides the <code>shutdownTimeout</code> application option. Zero means
+	 * wait for the calls in progress indefinitely.
+	 * @returns {Promise} Promise that is fulfilled when the shutdown is
+	 * complete.
+	 * @throws {module:x2node-common.X2UsageError} If the application is not
+	 * running.
+	 */
+	shutdown(options) {
 
-		// process the call
-		try {
+		// check if running
+		if (!this._server)
+			throw new common.X2UsageError('Application is not running.');
 
-			// log the call
-			this._log(
-				`call ${call.id}: received ${httpRequest.method}` +
-					` ${call.requestUrl.pathname}`);
+		// check if already shutting down
+		if (this._shutdownPromise)
+			return this._shutdownPromise;
 
-			// remove the initial connection idle timeout
-			httpRequest.socket.setTimeout(0, onBeforeResponseTimeout);
+		// the debug log
+		const log = this._log;
+		log('shutting down');
+
+		// mark application as shutting down
+		this._shuttingDown = true;
+
+		// get the drain timeout
+		const timeout = (
+			options && (options.timeout !== undefined) ?
+				options.timeout : this._options.shutdownTimeout);
+
+		// build the shutdown chain
+		this._shutdownPromise = new Promise(resolve => {
+
+			// set up drain timeout
+			let drainTimer;
+			if (timeout > 0)
+				drainTimer = setTimeout(() => {
+					log(
+						'drain timeout expired, severing' +
+							` ${this._connections.size} open connection(s)`);
+					for (let connection of this._connections.values())
+						this._destroyConnection(connection);
+				}, timeout);
 
-			// lookup the handler
-			const hasHandler = this._endpoints.lookup(
-				call.requestUrl.pathname,
-				(handler, uriParams) => { call.setHandler(handler, uriParams); }
-			);
-			if (!hasHandler)
-				return this._sendResponse(
-					httpResponse, call, (new ServiceResponse(404).setEntity({
-						errorCode: 'X2-404-1',
-						errorMessage: 'No service endpoint at this URI.'
+			// stop accepting new connections
+			this._server.close(() => {
+				if (drainTimer)
+					clearTimeout(drainTimer);
+				resolve();
+			});
+
+			// close HTTP/2 sessions and severe idle keep-alive connections
+			for (let connection of this._connections.values())
+				if (connection[SESSION])
+					connection[SESSION].close();
+				else if (connection[ACTIVE_CALLS] === 0)
+					this._destroyConnection(connection);
+
+			// fire shutting down event
+			this.emit('shuttingdown');
+
+		}).then(
+			() => this._beforeShutdownHooks.reduce(
+				(promiseChain, hook) => promiseChain.then(
+					() => hook()
+				).catch(
+					err => {
+						common.error('shutdown hook failed', err);
+					}
+				),
+				Promise.resolve()
+			)
+		).then(
+			() => {
+				log('shutdown complete');
+			}
+		);
+
+		// return the shutdown promise
+		return this._shutdownPromise;
+	}
+
+	/**
+	 * Respond to an HTTP request.
+	 *
+	 * @private
+	 * @param {http.external:IncomingMessage} httpRequest HTTP request.
+	 * @param {http.external:ServerResponse} httpResponse HTTP response.
+	 */
+	_respond(httpRequest, httpResponse) {
+
+		// check that the connection has not been closed in the meantime
+		const connectionId = httpRequest.socket[CONNECTION_ID];
+		const connection = this._connections.get(connectionId);
+		if (!connection) {
+			this._log(
+				`connection ${connectionId}: request received after the` +
+					' connection was closed, responding with 503');
+			httpResponse.statusCode = 503;
+			httpResponse.end();
+			return;
+		}
+
+		// mark connection as active until the response is finished or aborted
+		connection[ACTIVE_CALLS]++;
+		let callDone = false;
+		const onCallDone = () => {
+			if (!callDone) {
+				callDone = true;
+				connection[ACTIVE_CALLS]--;
+				return true;
+			}
+			return false;
+		};
+
+		// create the service call object
+		const call = new ServiceCall(
+			this._apiVersion, httpRequest, this._options);
+
+		// track the call completion (HTTP/2 streams may be reset individually)
+		httpResponse
+			.on('finish', onCallDone)
+			.on('close', () => {
+				if (onCallDone())
+					call.connectionClosed = true;
+			});
+
+		// add call to the calls associated with the connection
+		httpRequest.socket[CALLS].push(call);
+
+		// process the call
+		try {
+
+			// log the call
+			this._log(
+				`call ${call.id}: received ${httpRequest.method}` +
+					` ${call.requestUrl.pathname}`);
+
+			// remove the initial connection idle timeout
+			this._setBeforeResponseTimeout(call, false);
+
+			// lookup the interceptors
+			this._interceptors.lookupMultiReverse(
+				call.requestUrl.pathname,
+				interceptor => { call.addInterceptor(interceptor); }
+			);
+
+			// lookup the handler
+			const hasHandler = this._endpoints.lookup(
+				call.requestUrl.pathname,
+				(endpoint, uriParams) => {
+					call.setHandler(
+						endpoint.handler, uriParams, endpoint.options,
+						endpoint.uriPattern);
+				}
+			);
+			if (!hasHandler)
+				return this._sendResponse(
+					httpResponse, call, (new ServiceResponse(404).setEntity({
+						errorCode: 'X2-404-1',
+						errorMessage: 'No service endpoint at this URI.'
 					})));
 
 			// lookup the authenticator (OPTIONS responder needs it)
@@ -602,6 +1308,12 @@ class Application extends EventEmitter {
 				return this._sendResponse(httpResponse, call, response);
 			}
 
+			// lookup the rate limiters
+			this._rateLimiters.lookupMultiReverse(
+				call.requestUrl.pathname,
+				rateLimiter => { call.addRateLimiter(rateLimiter); }
+			);
+
 			// lookup the authorizer
 			this._authorizers.lookupMultiReverse(
 				call.requestUrl.pathname,
@@ -609,38 +1321,58 @@ class Application extends EventEmitter {
 			);
 
 			// build the processing chain
-			this._authenticateCall(
-				call
+			const processingChain = this._runStage(
+				call, 'Authenticate', call => this._authenticateCall(call)
 			).then(
 				call => (
 					this._log(
 						`call ${call.id}: authed actor` +
 							` ${call.actor && call.actor.stamp}`),
-					this._authorizeCall(call)
+					this._runStage(
+						call, 'RateLimit', call => this._rateLimitCall(call))
 				)
 			).then(
-				call => this._chooseRepresentation(call)
+				call => this._runStage(
+					call, 'Authorize', call => this._authorizeCall(call))
 			).then(
-				call => this._readRequestPayload(call, httpResponse)
+				call => this._runStage(
+					call, 'ChooseRepresentation',
+					call => this._chooseRepresentation(call))
 			).then(
-				call => Promise.resolve(call.handler[method](call))
+				call => this._runStage(
+					call, 'EvaluatePreconditions',
+					call => this._evaluatePreconditions(call))
 			).then(
-				result => {
-					let response;
-					if ((result === null) || (result === undefined)) {
-						response = new ServiceResponse(204);
-					} else if (result instanceof ServiceResponse) {
-						response = result;
-					} else if ((typeof result) === 'object') {
-						response = new ServiceResponse(200);
-						response.setEntity(result);
-					} else {
-						response = new ServiceResponse(200);
-						response.setEntity(
-							Buffer.from(String(result), 'utf8'),
-							'text/plain; charset=UTF-8'
-						);
-					}
+				call => this._runStage(
+					call, 'ReadPayload',
+					call => this._readRequestPayload(call, httpResponse))
+			).then(
+				call => this._runStage(
+					call, 'Handle',
+					call => Promise.resolve(call.handler[method](call)).then(
+						result => {
+							if ((result === null) || (result === undefined))
+								return new ServiceResponse(204);
+							if (result instanceof ServiceResponse)
+								return result;
+							const response = new ServiceResponse(200);
+							if ((typeof result) === 'object')
+								response.setEntity(result);
+							else
+								response.setEntity(
+									Buffer.from(String(result), 'utf8'),
+									'text/plain; charset=UTF-8'
+								);
+							return response;
+						}
+					))
+			);
+
+			// send the response when processing completes or times out
+			this._limitProcessingTime(
+				call, processingChain
+			).then(
+				response => {
 					this._sendResponse(httpResponse, call, response);
 				}
 			).catch(
@@ -658,6 +1390,157 @@ class Application extends EventEmitter {
 		}
 	}
 
+	/**
+	 * Apply call processing time limit, if any, to the call processing chain. If
+	 * the limit is exceeded, the call is cancelled and the returned promise is
+	 * rejected with the timeout response, while any subsequent outcome of the
+	 * processing chain is ignored.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {Promise.<module:x2node-ws~ServiceResponse>} processingChain
+	 * Promise of the call response.
+	 * @returns {Promise.<module:x2node-ws~ServiceResponse>} Promise of the call
+	 * response.
+	 */
+	_limitProcessingTime(call, processingChain) {
+
+		// get the limit
+		const timeout = this._getCallSetting(call, 'callTimeout');
+		if (!(timeout > 0))
+			return processingChain;
+
+		// race the processing chain against the timer
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				this._log(`call ${call.id}: timed out after ${timeout}ms`);
+				call.cancel(new Error(
+					`Call processing timed out after ${timeout}ms.`));
+				const statusCode = (
+					this._getCallSetting(call, 'callTimeoutStatusCode') || 503);
+				reject((new ServiceResponse(statusCode)).setEntity({
+					errorCode: `X2-${statusCode}-1`,
+					errorMessage: 'Call processing timed out.'
+				}));
+			}, timeout);
+			processingChain.then(
+				response => {
+					clearTimeout(timer);
+					resolve(response);
+				},
+				err => {
+					clearTimeout(timer);
+					reject(err);
+				}
+			);
+		});
+	}
+
+	/**
+	 * Get setting for the call's endpoint falling back to the application
+	 * options.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {string} name Setting name.
+	 * @returns {*} The setting value, or <code>undefined</code> if not
+	 * specified.
+	 */
+	_getCallSetting(call, name) {
+
+		const value = this._getEndpointSetting(call, name);
+
+		return (value !== undefined ? value : this._options[name]);
+	}
+
+	/**
+	 * Run a call processing pipeline stage surrounded by the call interceptors'
+	 * corresponding "before" and "after" hooks. If any hook returns (or
+	 * resolves the returned promise with) a service response, the rest of the
+	 * pipeline is skipped and the response is sent back to the client. The
+	 * exception is the "afterHandle" hook, which replaces the response produced
+	 * by the handler with it.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {string} stage Stage name used to construct the hook names (e.g.
+	 * "Authorize" for "beforeAuthorize" and "afterAuthorize" hooks).
+	 * @param {function} stageFunc Function that performs the stage. Receives the
+	 * call as its only argument and returns the stage result or a promise of it.
+	 * @returns {Promise} Promise of the stage result, which is the call, or the
+	 * service response for the "Handle" stage.
+	 */
+	_runStage(call, stage, stageFunc) {
+
+		// check if no interceptors
+		const interceptors = call.interceptors;
+		if (!interceptors || (interceptors.length === 0))
+			return Promise.resolve(stageFunc(call));
+
+		// run the stage surrounded by the hooks
+		const isHandle = (stage === 'Handle');
+		return this._callInterceptorHooks(
+			call, interceptors, `before${stage}`, undefined, false
+		).then(
+			() => stageFunc(call)
+		).then(
+			result => this._callInterceptorHooks(
+				call, interceptors.slice().reverse(), `after${stage}`,
+				(isHandle ? result : undefined), isHandle
+			).then(
+				response => (isHandle ? response : result)
+			)
+		);
+	}
+
+	/**
+	 * Call the specified hook in a sequence on the interceptors that have it.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {Array.<module:x2node-ws.Interceptor>} interceptors The
+	 * interceptors in the order, in which the hooks are called.
+	 * @param {string} hookName The hook method name.
+	 * @param {module:x2node-ws~ServiceResponse} [response] The response passed
+	 * to the hooks as the second argument, if any.
+	 * @param {boolean} replace <code>true</code> if a service response
+	 * returned by a hook replaces the <code>response</code> rather than
+	 * short-circuits the call processing.
+	 * @returns {Promise.<module:x2node-ws~ServiceResponse>} Promise of the
+	 * response (the original or the replacement). The promise is rejected with
+	 * the service response returned by a hook if short-circuited, or with
+	 * <code>null</code> if the connection was closed.
+	 */
+	_callInterceptorHooks(call, interceptors, hookName, response, replace) {
+
+		let promiseChain = Promise.resolve(response);
+		for (let interceptor of interceptors) {
+			if ((typeof interceptor[hookName]) !== 'function')
+				continue;
+			promiseChain = promiseChain.then(
+				response => Promise.resolve(
+					interceptor[hookName](call, response)
+				).then(
+					result => {
+
+						// check if connection closed while in the hook
+						if (call.connectionClosed)
+							return Promise.reject(null);
+
+						// check if the hook returned a response
+						if (result instanceof ServiceResponse)
+							return (replace ? result : Promise.reject(result));
+
+						// proceed with the current response
+						return response;
+					}
+				)
+			);
+		}
+
+		return promiseChain;
+	}
+
 	/**
 	 * Perform service call authentication, set the actor on the call and check
 	 * if allowed to proceed.
@@ -691,6 +1574,63 @@ class Application extends EventEmitter {
 		);
 	}
 
+	/**
+	 * Check the call against the rate limiters associated with it.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @returns {Promise.<module:x2node-ws~ServiceCall>} Promise of the call
+	 * allowed by the rate limiters.
+	 */
+	_rateLimitCall(call) {
+
+		// check if no rate limiters
+		const rateLimiters = call.rateLimiters;
+		if (!rateLimiters || (rateLimiters.length === 0))
+			return call;
+
+		// queue up the rate limiters
+		let promiseChain = Promise.resolve(call);
+		for (let rateLimiter of rateLimiters) {
+			promiseChain = promiseChain.then(
+				call => Promise.resolve(rateLimiter.consume(call)).then(
+					result => {
+
+						// check if connection closed while checking
+						if (call.connectionClosed)
+							return Promise.reject(null);
+
+						// keep the most restrictive result for the headers
+						const current = call.rateLimit;
+						if (!current || (current.allowed && (
+							!result.allowed ||
+								(result.remaining < current.remaining))))
+							call.rateLimit = result;
+
+						// check if not allowed
+						if (!result.allowed)
+							return Promise.reject(
+								(new ServiceResponse(429))
+									.setHeader('Retry-After', String(
+										result.retryAfter !== undefined ?
+											result.retryAfter : result.reset))
+									.setEntity({
+										errorCode: 'X2-429',
+										errorMessage: 'Too many requests.'
+									})
+							);
+
+						// proceed with the call
+						return call;
+					}
+				)
+			);
+		}
+
+		// return the result
+		return promiseChain;
+	}
+
 	/**
 	 * Perform service call authorization.
 	 *
@@ -869,6 +1809,112 @@ class Application extends EventEmitter {
 		return call;
 	}
 
+	/**
+	 * Evaluate "If-Match" and "If-Unmodified-Since" preconditions of a request
+	 * that uses an unsafe method against the current state of the target
+	 * resource provided by the handler's <code>getCurrentETag()</code> and
+	 * <code>getLastModified()</code> methods.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @returns {Promise.<module:x2node-ws~ServiceCall>} Promise of the call that
+	 * passed the preconditions.
+	 */
+	_evaluatePreconditions(call) {
+
+		// only unsafe methods
+		const method = call.httpRequest.method;
+		if ((method === 'GET') || (method === 'HEAD'))
+			return call;
+
+		// get precondition request headers
+		const requestHeaders = call.httpRequest.headers;
+		const ifMatch = requestHeaders['if-match'];
+		const ifUnmodifiedSince = requestHeaders['if-unmodified-since'];
+
+		// check if preconditions are required
+		if ((ifMatch === undefined) && (ifUnmodifiedSince === undefined)) {
+			const required = this._getEndpointSetting(
+				call, 'requirePreconditions');
+			if ((required === true) || (
+				Array.isArray(required) && required.some(
+					m => (String(m).toUpperCase() === method))))
+				return Promise.reject(
+					(new ServiceResponse(428)).setEntity({
+						errorCode: 'X2-428',
+						errorMessage: 'Conditional request is required.'
+					})
+				);
+			return call;
+		}
+
+		// evaluate "If-Match" precondition
+		const handler = call.handler;
+		if (ifMatch !== undefined) {
+			if ((typeof handler.getCurrentETag) !== 'function')
+				return call;
+			return Promise.resolve(handler.getCurrentETag(call)).then(
+				etag => {
+
+					// check if connection closed while getting the tag
+					if (call.connectionClosed)
+						return Promise.reject(null);
+
+					// check if matches (tags made weak by response
+					// compression still identify the handler's tag)
+					const compressed = this._isCompressionEnabled(call);
+					if (!etag || !(
+						(ifMatch.trim() === '*') ||
+						parseETags(ifMatch).some(t => strongETagsMatch(
+							(compressed ? t.replace(/^W\//, '') : t), etag))))
+						return Promise.reject(this._preconditionFailed(call));
+
+					// proceed with the call
+					return call;
+				}
+			);
+		}
+
+		// evaluate "If-Unmodified-Since" precondition
+		const since = Date.parse(ifUnmodifiedSince);
+		if (((typeof handler.getLastModified) !== 'function') ||
+			Number.isNaN(since))
+			return call;
+		return Promise.resolve(handler.getLastModified(call)).then(
+			lastModified => {
+
+				// check if connection closed while getting the date
+				if (call.connectionClosed)
+					return Promise.reject(null);
+
+				// check if modified
+				if (!lastModified ||
+					(Math.floor(lastModified.getTime() / 1000) * 1000 > since))
+					return Promise.reject(this._preconditionFailed(call));
+
+				// proceed with the call
+				return call;
+			}
+		);
+	}
+
+	/**
+	 * Create 412 (Precondition Failed) response.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @returns {module:x2node-ws~ServiceResponse} The response.
+	 */
+	_preconditionFailed(call) {
+
+		this._log(`call ${call.id}: precondition failed`);
+
+		return (new ServiceResponse(412)).setEntity({
+			errorCode: 'X2-412',
+			errorMessage: 'Precondition failed.'
+		});
+	}
+
 	/**
 	 * Load request payload, if any, and add it to the service call.
 	 *
@@ -881,23 +1927,39 @@ class Application extends EventEmitter {
 	_readRequestPayload(call, httpResponse) {
 
 		// get request headers
-		const requestHeaders = call.httpRequest.headers;
-
-		// check if there is payload
+		const httpRequest = call.httpRequest;
+		const requestHeaders = httpRequest.headers;
+
+		// check if there is payload (HTTP/2 request without content length has
+		// payload unless the stream was ended with the headers)
+		const chunked = (
+			(requestHeaders['transfer-encoding'] !== undefined) || (
+				(httpRequest.httpVersionMajor >= 2) &&
+					(requestHeaders['content-length'] === undefined) &&
+					!httpRequest.stream.endAfterHeaders));
 		const contentLength = Number(requestHeaders['content-length']);
-		if (!(contentLength > 0))
+
+		// get payload verifier from the authenticator, if it needs one
+		const authenticator = call.authenticator;
+		const verifier = (
+			authenticator && authenticator.createPayloadVerifier ?
+				authenticator.createPayloadVerifier(call) : null);
+
+		// proceed with the call if no payload
+		if (!chunked && !(contentLength > 0)) {
+			if (verifier && !verifier.verify())
+				return Promise.reject(createPayloadNotVerifiedResponse());
 			return call;
+		}
 
-		// check if not too large
-		const maxRequestSize = (
-			this._options.maxRequestSize || DEFAULT_MAX_REQUEST_SIZE);
-		if (contentLength > maxRequestSize)
+		// check if content length is required
+		if (chunked && this._options.requireContentLength)
 			return Promise.reject(
-				(new ServiceResponse(413))
+				(new ServiceResponse(411))
 					.setHeader('Connection', 'close')
 					.setEntity({
-						errorCode: 'X2-413',
-						errorMessage: 'The request entity is too large.'
+						errorCode: 'X2-411',
+						errorMessage: 'Request entity length is required.'
 					})
 			);
 
@@ -905,90 +1967,447 @@ class Application extends EventEmitter {
 		const contentType = (
 			requestHeaders['content-type'] || 'application/octet-stream');
 
-		// restore connection idle timeout
-		const connection = call.httpRequest.socket;
-		connection.setTimeout(
-			this._options.connectionIdleTimeout || DEFAULT_CONN_IDLE_TIMEOUT,
-			onBeforeResponseTimeout
-		);
+		// get entity content type without parameters
+		const entityContentType = contentType.split(';')[0].trim().toLowerCase();
 
-		// check if multipart
-		if (/^multipart\//i.test(contentType)) {
+		// check if the handler wants the entity streamed
+		const streamed = this._isRequestEntityStreamed(
+			call.handler, entityContentType);
 
-			// TODO: implement
-			return Promise.reject((new ServiceResponse(415)).setEntity({
-				errorCode: 'X2-415',
-				errorMessage: 'Multipart requests are not supported yet.'
-			}));
+		// get content codings and check if supported
+		const contentCodings = (requestHeaders['content-encoding'] || '')
+			.toLowerCase().split(',').map(c => c.trim()).filter(
+				c => ((c.length > 0) && (c !== 'identity')));
+		if (contentCodings.some(c => !CONTENT_DECODERS[c]))
+			return Promise.reject(
+				(new ServiceResponse(415))
+					.setHeader(
+						'Accept-Encoding',
+						Object.keys(CONTENT_DECODERS).join(', '))
+					.setEntity({
+						errorCode: 'X2-415',
+						errorMessage:
+							'Unsupported request entity content encoding.'
+					})
+			);
 
-		} else { // not multipart
+		// check if not too large (decoded size is checked as it is read, payload
+		// that needs to be verified is read in memory before it is streamed)
+		const maxRequestSize = this._getMaxRequestSize(
+			call, entityContentType, (streamed && !verifier));
+		if ((maxRequestSize > 0) && !chunked &&
+			(contentCodings.length === 0) && (contentLength > maxRequestSize))
+			return Promise.reject(
+				(new ServiceResponse(413))
+					.setHeader('Connection', 'close')
+					.setEntity({
+						errorCode: 'X2-413',
+						errorMessage: 'The request entity is too large.'
+					})
+			);
 
-			// find marshaller
-			const entityContentType = contentType.split(';')[0].toLowerCase();
-			let marshaller;
-			if (call.handler.requestEntityParsers) {
-				const deserializer = call.handler.requestEntityParsers[
-					entityContentType];
-				if ((typeof deserializer) === 'function')
-					marshaller = { deserialize: deserializer };
+		// get the multipart boundary or find the deserializer before the payload
+		// is read, unless streamed
+		let boundary, marshaller;
+		if (!streamed) {
+			if (/^multipart\//.test(entityContentType)) {
+				const m = /;\s*boundary=(?:"([^"]+)"|([^";\s]+))/i.exec(
+					contentType);
+				if (!m)
+					return Promise.reject(
+						(new ServiceResponse(400)).setEntity({
+							errorCode: 'X2-400-1',
+							errorMessage: 'Could not parse request entity.'
+						})
+					);
+				boundary = (m[1] || m[2]);
+			} else {
+				marshaller = this._findDeserializer(call, entityContentType);
+				if (!marshaller)
+					return Promise.reject(
+						(new ServiceResponse(415)).setEntity({
+							errorCode: 'X2-415',
+							errorMessage:
+								'Unsupported request entity content type.'
+						})
+					);
 			}
-			if (!marshaller)
-				marshaller = this._marshallers.lookup(entityContentType);
-			if (!marshaller)
-				return Promise.reject(
-					(new ServiceResponse(415)).setEntity({
-						errorCode: 'X2-415',
-						errorMessage: 'Unsupported request entity content type.'
-					})
-				);
+		}
+
+		// restore connection idle timeout
+		this._setBeforeResponseTimeout(call, true);
+
+		// get the decoded entity input stream
+		const input = this._getRequestEntityInput(
+			call, contentCodings, verifier);
+
+		// provide the entity stream to the handler if streamed and the payload
+		// does not need to be verified
+		if (streamed && !verifier) {
 
 			// respond with 100 if expecting continue
 			this._sendContinue(httpResponse);
 
-			// read the data
-			return this._readEntity(
-				call, call.httpRequest, marshaller, contentType).then(
-					entity => {
+			// create the entity stream
+			const entityStream = this._createRequestEntityStream(
+				call, maxRequestSize);
+			const onEnd = () => {
+				this._setBeforeResponseTimeout(call, false);
+			};
+			httpRequest
+				.on('end', onEnd)
+				.on('aborted', () => {
+					onEnd();
+					entityStream.fail(new Error('Connection closed.'));
+				});
+			input
+				.on('error', err => {
+					onEnd();
+					entityStream.fail(
+						err instanceof common.X2DataError ?
+							(new ServiceResponse(400)).setEntity({
+								errorCode: 'X2-400-1',
+								errorMessage: 'Could not parse request entity.'
+							}) : err
+					);
+				})
+				.pipe(entityStream);
+
+			// set the stream on the call
+			call.entityStream = entityStream;
+			call.entityContentType = entityContentType;
+
+			// proceed with the call
+			return call;
+		}
+
+		// check if streamed, but needs to be verified first
+		let readEntity;
+		if (streamed) {
 
-						// remove connection idle timeout
-						connection.setTimeout(0, onBeforeResponseTimeout);
+			// respond with 100 if expecting continue
+			this._sendContinue(httpResponse);
 
-						// set entity on the call
-						call.entity = entity;
+			// read the whole payload and provide it as a stream once verified
+			const dataBufs = new Array();
+			readEntity = this._readEntity(
+				call, input, maxRequestSize, {
+					write(chunk) { dataBufs.push(chunk); },
+					end() { return Buffer.concat(dataBufs); }
+				}).then(
+					data => {
+						const entityStream = this._createRequestEntityStream(
+							call, 0);
+						if (data !== null)
+							entityStream.write(data);
+						entityStream.end();
+						call.entityStream = entityStream;
 						call.entityContentType = entityContentType;
+					}
+				);
 
-						// proceed with the call
-						return call;
-					},
-					err => {
+		} else if (boundary) { // multipart
 
-						// remove connection idle timeout
-						connection.setTimeout(0, onBeforeResponseTimeout);
+			// respond with 100 if expecting continue
+			this._sendContinue(httpResponse);
 
-						// abort the call
-						return Promise.reject(err);
+			// read the parts
+			const parts = new Array();
+			const parser = new MultipartParser(boundary);
+			parser.on('part', part => {
+				parts.push(this._toEntityPart(call, part));
+			});
+			readEntity = this._readEntity(
+				call, input, maxRequestSize, {
+					write(chunk) { parser.write(chunk); },
+					end() { parser.end(); return parts; }
+				}).then(
+					data => {
+						if (data !== null) {
+							call.entityParts = parts;
+							call.entityContentType = entityContentType;
+						}
+					}
+				);
+
+		} else { // not multipart
+
+			// respond with 100 if expecting continue
+			this._sendContinue(httpResponse);
+
+			// read the data
+			const dataBufs = new Array();
+			readEntity = this._readEntity(
+				call, input, maxRequestSize, {
+					write(chunk) { dataBufs.push(chunk); },
+					end() {
+						return marshaller.deserialize((
+							dataBufs.length === 1 ?
+								dataBufs[0] : Buffer.concat(dataBufs)
+						), contentType);
+					}
+				}).then(
+					entity => {
+						if (entity !== null) {
+							call.entity = entity;
+							call.entityContentType = entityContentType;
+						}
 					}
 				);
 		}
+
+		// wait for the entity and proceed with the call
+		return readEntity.then(
+			() => {
+
+				// remove connection idle timeout
+				this._setBeforeResponseTimeout(call, false);
+
+				// proceed with the call
+				return call;
+			},
+			err => {
+
+				// remove connection idle timeout
+				this._setBeforeResponseTimeout(call, false);
+
+				// abort the call
+				return Promise.reject(err);
+			}
+		);
 	}
 
 	/**
-	 * Read and parse entity from input stream.
+	 * Create request entity stream for a handler that opted in for request
+	 * entity streaming. The stream gets an "error" event listener that logs the
+	 * failure, so that the failure does not crash the process if the handler
+	 * does not listen to the stream's errors.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {number} maxSize Maximum allowed number of bytes, or zero for no
+	 * limit.
+	 * @returns {module:x2node-ws~RequestEntityStream} The entity stream.
+	 */
+	_createRequestEntityStream(call, maxSize) {
+
+		return new RequestEntityStream(call, maxSize).on('error', err => {
+			this._log(
+				`call ${call.id}: request entity stream failed: ` + (
+					err instanceof ServiceResponse ?
+						`HTTP ${err.statusCode}` : err.message));
+		});
+	}
+
+	/**
+	 * Get request entity input stream that decodes the request payload according
+	 * to its content codings. Errors decoding the payload are emitted by the
+	 * returned stream as <code>X2DataError</code>. If the payload verifier
+	 * rejects the payload, the returned stream emits an "error" event with a
+	 * <code>ServiceResponse</code> for an HTTP 401 (Unauthorized) response
+	 * instead of the "end" event.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {Array.<string>} contentCodings Content codings from the
+	 * "Content-Encoding" request header in the order they were applied. All
+	 * codings must be supported.
+	 * @param {?module:x2node-ws.Authenticator~PayloadVerifier} verifier
+	 * Payload verifier, if any.
+	 * @returns {stream.external:Readable} The entity input stream.
+	 */
+	_getRequestEntityInput(call, contentCodings, verifier) {
+
+		// count received bytes
+		const httpRequest = call.httpRequest;
+		httpRequest.on('data', chunk => { call.bytesReceived += chunk.length; });
+
+		// feed the raw payload to the verifier, if any
+		let rawInput = httpRequest;
+		if (verifier) {
+			rawInput = httpRequest.pipe(new stream.Transform({
+				transform(chunk, encoding, callback) {
+					verifier.update(chunk);
+					callback(null, chunk);
+				},
+				flush(callback) {
+					callback(
+						verifier.verify() ?
+							null : createPayloadNotVerifiedResponse());
+				}
+			}));
+			httpRequest.on('error', err => { rawInput.emit('error', err); });
+		}
+
+		// check if not encoded
+		if (contentCodings.length === 0)
+			return rawInput;
+
+		// build the decoding pipeline
+		const output = new stream.PassThrough();
+		rawInput.on('error', err => { output.emit('error', err); });
+		let input = rawInput;
+		for (let i = contentCodings.length - 1; i >= 0; i--) {
+			const decoder = CONTENT_DECODERS[contentCodings[i]]();
+			decoder.on('error', err => {
+				output.emit('error', new common.X2DataError(
+					`Invalid ${contentCodings[i]} request entity encoding:` +
+						` ${err.message}`));
+			});
+			input = input.pipe(decoder);
+		}
+
+		// return the decoded stream
+		return input.pipe(output);
+	}
+
+	/**
+	 * Get setting for the call's endpoint. The setting is looked up first in the
+	 * endpoint options and then on the handler.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {string} name Setting name.
+	 * @returns {*} The setting value, or <code>undefined</code> if not
+	 * specified or if no endpoint matched the call.
+	 */
+	_getEndpointSetting(call, name) {
+
+		// check if no endpoint matched the call
+		if (!call.handler)
+			return undefined;
+
+		const value = call.endpointOptions[name];
+
+		return (value !== undefined ? value : call.handler[name]);
+	}
+
+	/**
+	 * Get maximum allowed request entity size for the call. Limit specified for
+	 * the endpoint mapping takes precedence over the one specified on the
+	 * handler, which, in turn, takes precedence over the application options.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {string} entityContentType Entity content type, all lower case and
+	 * without parameters.
+	 * @param {boolean} streamed <code>true</code> if the entity is streamed to
+	 * the handler.
+	 * @returns {number} Maximum allowed number of bytes, or zero for no limit.
+	 */
+	_getMaxRequestSize(call, entityContentType, streamed) {
+
+		for (let limit of [
+			call.endpointOptions.maxRequestSize,
+			call.handler.maxRequestSize
+		]) {
+			if (((typeof limit) === 'object') && (limit !== null))
+				limit = limit[entityContentType];
+			if (Number.isInteger(limit) && (limit >= 0))
+				return limit;
+		}
+
+		return (
+			streamed ?
+				(this._options.maxStreamedRequestSize || 0) :
+				(this._options.maxRequestSize || DEFAULT_MAX_REQUEST_SIZE)
+		);
+	}
+
+	/**
+	 * Tell if the handler wants the request entity of the specified content type
+	 * provided to it as a stream instead of a deserialized object.
+	 *
+	 * @private
+	 * @param {module:x2node-ws.Handler} handler The handler.
+	 * @param {string} entityContentType Entity content type, all lower case and
+	 * without parameters.
+	 * @returns {boolean} <code>true</code> if the entity is streamed.
+	 */
+	_isRequestEntityStreamed(handler, entityContentType) {
+
+		const streaming = handler.requestEntityStreaming;
+		if (Array.isArray(streaming))
+			return streaming.some(
+				ctype => (String(ctype).toLowerCase() === entityContentType));
+
+		return (streaming === true);
+	}
+
+	/**
+	 * Find request entity deserializer for the content type. Request entity
+	 * parsers provided by the call handler take precedence over the marshallers
+	 * registered with the application.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {string} entityContentType Entity content type, all lower case and
+	 * without parameters.
+	 * @returns {module:x2node-ws.Marshaller} The marshaller, or
+	 * <code>undefined</code> if none.
+	 */
+	_findDeserializer(call, entityContentType) {
+
+		if (call.handler.requestEntityParsers) {
+			const deserializer = call.handler.requestEntityParsers[
+				entityContentType];
+			if ((typeof deserializer) === 'function')
+				return { deserialize: deserializer };
+		}
+
+		return this._marshallers.lookup(entityContentType);
+	}
+
+	/**
+	 * Request entity data consumer used by the entity reader.
+	 *
+	 * @private
+	 * @typedef {Object} module:x2node-ws~Application~EntityConsumer
+	 * @property {function(external:Buffer)} write Function that receives next
+	 * chunk of the entity data.
+	 * @property {function():*} end Function called after all the entity data has
+	 * been read. The function returns the parsed entity.
+	 */
+
+	/**
+	 * Read entity from input stream and feed it to the consumer. Exceptions
+	 * thrown by the consumer functions reject the returned promise and if the
+	 * exception is an <code>X2DataError</code>, it is converted into an HTTP 400
+	 * (Bad Request) response.
 	 *
 	 * @private
 	 * @param {module:x2node-ws~ServiceCall} call The call.
 	 * @param {stream.external:Readable} input Input stream.
-	 * @param {module:x2node-ws.Marshaller} marshaller Marshaller to use to parse
-	 * the entity.
-	 * @param {string} contentType Content type request header value.
-	 * @returns {Promise.<Object>} Promise of the parsed entity object.
+	 * @param {number} maxSize Maximum allowed number of bytes to read, or zero
+	 * for no limit.
+	 * @param {module:x2node-ws~Application~EntityConsumer} consumer The entity
+	 * data consumer.
+	 * @returns {Promise.<*>} Promise of the parsed entity returned by the
+	 * consumer's <code>end()</code> function, or <code>null</code> if the input
+	 * stream turned out to be empty (possible with "chunked" transfer encoding),
+	 * in which case the consumer's <code>end()</code> function is not called.
 	 */
-	_readEntity(call, input, marshaller, contentType) {
+	_readEntity(call, input, maxSize, consumer) {
 
 		return (new Promise((resolve, reject) => {
 
-			const dataBufs = new Array();
-			let done = false;
+			let done = false, bytesRead = 0;
+			const fail = err => {
+				done = true;
+				this._log(
+					`call ${call.id}: error parsing request entity:` +
+						` ${err.message}`);
+				if (err instanceof common.X2DataError) {
+					reject(
+						(new ServiceResponse(400)).setEntity({
+							errorCode: 'X2-400-1',
+							errorMessage: 'Could not parse request entity.'
+						})
+					);
+				} else {
+					reject(err);
+				}
+			};
 			input
 				.on('data', chunk => {
 
@@ -999,11 +2418,31 @@ class Application extends EventEmitter {
 					// check if connection closed
 					if (call.connectionClosed) {
 						done = true;
-						return Promise.reject(null);
+						return reject(null);
+					}
+
+					// check if not too large
+					bytesRead += chunk.length;
+					if ((maxSize > 0) && (bytesRead > maxSize)) {
+						done = true;
+						input.pause();
+						return reject(
+							(new ServiceResponse(413))
+								.setHeader('Connection', 'close')
+								.setEntity({
+									errorCode: 'X2-413',
+									errorMessage:
+										'The request entity is too large.'
+								})
+						);
 					}
 
-					// add data chunk to the read data buffer
-					dataBufs.push(chunk);
+					// feed the data chunk to the consumer
+					try {
+						consumer.write(chunk);
+					} catch (err) {
+						fail(err);
+					}
 				})
 				.on('error', err => {
 
@@ -1011,11 +2450,17 @@ class Application extends EventEmitter {
 					if (done)
 						return;
 
-					// mark as done
-					done = true;
+					// check if the payload verifier rejected the payload
+					if (err instanceof ServiceResponse) {
+						done = true;
+						this._log(
+							`call ${call.id}: request payload verification` +
+								' failed');
+						return reject(err);
+					}
 
 					// reject with the error
-					reject(err);
+					fail(err);
 				})
 				.on('end', () => {
 
@@ -1023,34 +2468,25 @@ class Application extends EventEmitter {
 					if (done)
 						return;
 
-					// mark as done
-					done = true;
-
 					// check if connection closed
-					if (call.connectionClosed)
-						return Promise.reject(null);
+					if (call.connectionClosed) {
+						done = true;
+						return reject(null);
+					}
+
+					// check if no data
+					if (bytesRead === 0) {
+						done = true;
+						return resolve(null);
+					}
 
 					// parse the request entity
 					try {
-						resolve(marshaller.deserialize((
-							dataBufs.length === 1 ?
-								dataBufs[0] : Buffer.concat(dataBufs)
-						), contentType));
+						const entity = consumer.end();
+						done = true;
+						resolve(entity);
 					} catch (err) {
-						this._log(
-							`call ${call.id}: error parsing request entity:` +
-								` ${err.message}`);
-						if (err instanceof common.X2DataError) {
-							reject(
-								(new ServiceResponse(400)).setEntity({
-									errorCode: 'X2-400-1',
-									errorMessage:
-										'Could not parse request entity.'
-								})
-							);
-						} else {
-							reject(err);
-						}
+						fail(err);
 					}
 				});
 
@@ -1064,6 +2500,70 @@ class Application extends EventEmitter {
 		);
 	}
 
+	/**
+	 * Convert part parsed from a multipart request entity to the entity part
+	 * descriptor exposed on the call.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {Object} part Part from the multipart parser.
+	 * @returns {module:x2node-ws~ServiceCall~EntityPart} The entity part.
+	 * @throws {module:x2node-common.X2DataError} If the part body cannot be
+	 * deserialized.
+	 */
+	_toEntityPart(call, part) {
+
+		// get part content type
+		const contentType = (part.headers['content-type'] || 'text/plain');
+		const entityPart = {
+			headers: part.headers,
+			contentType: contentType.split(';')[0].trim().toLowerCase(),
+			data: part.data,
+			entity: null
+		};
+
+		// get field name and filename from the content disposition
+		const disposition = part.headers['content-disposition'];
+		if (disposition) {
+			const paramRE =
+				/;\s*([^\s=;]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^;\s]*))/g;
+			let m;
+			while ((m = paramRE.exec(disposition)) !== null) {
+				const value = (
+					m[2] !== undefined ? m[2].replace(/\\(.)/g, '$1') : m[3]);
+				switch (m[1].toLowerCase()) {
+				case 'name':
+					entityPart.name = value;
+					break;
+				case 'filename':
+					if (entityPart.filename === undefined)
+						entityPart.filename = value;
+					break;
+				case 'filename*': {
+					const em = /^utf-8'[^']*'(.*)$/i.exec(value);
+					if (em) {
+						try {
+							entityPart.filename = decodeURIComponent(em[1]);
+						} catch (err) {
+							throw new common.X2DataError(
+								'Invalid multipart part filename.');
+						}
+					}
+				}
+				}
+			}
+		}
+
+		// deserialize the part body if there is a marshaller for it
+		const marshaller = this._findDeserializer(
+			call, entityPart.contentType);
+		if (marshaller)
+			entityPart.entity = marshaller.deserialize(part.data, contentType);
+
+		// return the part
+		return entityPart;
+	}
+
 	/**
 	 * Send 100 (Continue) HTTP response, if needs to.
 	 *
@@ -1072,11 +2572,34 @@ class Application extends EventEmitter {
 	 */
 	_sendContinue(httpResponse) {
 
-		// KLUDGE: response properties used below are undocumented
-		if (httpResponse._expect_continue && !httpResponse._sent100)
+		if (httpResponse[EXPECTS_CONTINUE]) {
+			httpResponse[EXPECTS_CONTINUE] = false;
 			httpResponse.writeContinue();
-		/*if (httpRequest.headers['expect'] === '100-continue')
-			httpResponse.writeContinue();*/
+		}
+	}
+
+	/**
+	 * Set or remove the connection idle timeout used while the call's response
+	 * has not started to be sent. Does nothing for HTTP/2 calls, because the
+	 * HTTP/2 session is shared by multiple calls and its inactivity timeout is
+	 * never removed.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {boolean} enable <code>true</code> to set the timeout,
+	 * <code>false</code> to remove it.
+	 */
+	_setBeforeResponseTimeout(call, enable) {
+
+		const httpRequest = call.httpRequest;
+		if (httpRequest.httpVersionMajor >= 2)
+			return;
+
+		httpRequest.socket.setTimeout((
+			enable ? (
+				this._options.connectionIdleTimeout || DEFAULT_CONN_IDLE_TIMEOUT
+			) : 0
+		), onBeforeResponseTimeout);
 	}
 
 	/**
@@ -1178,7 +2701,8 @@ class Application extends EventEmitter {
 		}
 
 		// remove call from the calls associated with the connection
-		const connectionCalls = httpResponse.socket[CALLS];
+		const connectionCalls = (
+			httpResponse.socket && httpResponse.socket[CALLS]);
 		if (connectionCalls)
 			connectionCalls.splice(connectionCalls.indexOf(call), 1);
 
@@ -1192,15 +2716,28 @@ class Application extends EventEmitter {
 
 		try {
 
+			// let the interceptors inspect or replace the response
+			const interceptors = call.interceptors;
+			if (interceptors)
+				for (let i = interceptors.length - 1; i >= 0; i--) {
+					const interceptor = interceptors[i];
+					if ((typeof interceptor.beforeResponse) === 'function') {
+						const replacement = interceptor.beforeResponse(
+							call, response);
+						if (replacement instanceof ServiceResponse)
+							response = replacement;
+					}
+				}
+
 			// restore idle timeout on the connection
 			httpResponse.setTimeout(
 				this._options.connectionIdleTimeout || DEFAULT_CONN_IDLE_TIMEOUT,
-				socket => {
+				() => {
 					if (!call.complete)
 						common.error(
 							`call ${call.id}: connection timed out before` +
 								' completing the response');
-					this._destroyConnection(socket);
+					this._abortResponse(httpResponse);
 				}
 			);
 
@@ -1210,10 +2747,23 @@ class Application extends EventEmitter {
 			// response always varies depending on the "Origin" header
 			response.addToHeadersListHeader('Vary', 'Origin');
 
+			// and on the accepted encodings if compression is enabled
+			if (this._isCompressionEnabled(call))
+				response.addToHeadersListHeader('Vary', 'Accept-Encoding');
+
 			// let authenticator to add its response headers
 			if (call.authenticator && call.authenticator.addResponseHeaders)
 				call.authenticator.addResponseHeaders(call, response);
 
+			// add rate limit headers
+			const rateLimit = call.rateLimit;
+			if (rateLimit) {
+				response.setHeader('RateLimit-Limit', String(rateLimit.limit));
+				response.setHeader(
+					'RateLimit-Remaining', String(rateLimit.remaining));
+				response.setHeader('RateLimit-Reset', String(rateLimit.reset));
+			}
+
 			// default response cache control if none in the service response
 			if (!response.hasHeader('Cache-Control') && (
 				(method === 'GET') || (method === 'HEAD') ||
@@ -1225,6 +2775,14 @@ class Application extends EventEmitter {
 					.setHeader('Pragma', 'no-cache');
 			}
 
+			// evaluate conditional GET and range requests
+			if (((method === 'GET') || (method === 'HEAD')) &&
+				(response.statusCode === 200)) {
+				response = this._evaluateConditionalGet(call, response);
+				if (response.statusCode === 200)
+					response = this._evaluateRange(call, response);
+			}
+
 			// check if cross-origin request
 			if (this._addCORS(call, response)) {
 
@@ -1243,9 +2801,17 @@ class Application extends EventEmitter {
 			// completion handler
 			httpResponse.on('finish', () => {
 				call.complete = true;
+				this._completedCalls++;
+				const statusCode = httpResponse.statusCode;
+				this._completedCallsByStatus[statusCode] =
+					(this._completedCallsByStatus[statusCode] || 0) + 1;
+				if (this._metrics)
+					this._metrics.recordCall(call, statusCode);
+				if (this._accessLog)
+					this._accessLog.logCall(call, statusCode);
 				const connection = call.httpRequest.socket;
-				connection[IDLE] = true;
-				if (this._shuttingDown)
+				if (this._shuttingDown &&
+					(call.httpRequest.httpVersionMajor < 2))
 					process.nextTick(() => {
 						this._destroyConnection(connection);
 					});
@@ -1270,6 +2836,7 @@ class Application extends EventEmitter {
 
 				// send entities using different methods
 				if (method === 'HEAD') {
+					this._addResponseContentCodingHeaders(call, response);
 					this._completeResponseNoEntities(
 						httpResponse, call, response);
 				} else {
@@ -1286,25 +2853,254 @@ class Application extends EventEmitter {
 				common.error(
 					`call ${call.id}: internal error after response header has` +
 						' been written, quitely closing the connection', err);
-				this._destroyConnection(httpResponse.socket);
+				this._abortResponse(httpResponse);
 			} else {
 				common.error(
 					`call ${call.id}: internal error preparing response,` +
 						' sending 500 response', err);
 				try {
-					httpResponse.socket.end(
-						'HTTP/1.1 500 ' + http.STATUS_CODES[500] + '\r\n' +
-							'Date: ' + (new Date()).toUTCString() + '\r\n' +
-							'Connection: close\r\n' +
-							'\r\n');
+					if (httpResponse.stream) // HTTP/2
+						httpResponse.stream.respond(
+							{ ':status': 500 }, { endStream: true });
+					else
+						httpResponse.socket.end(
+							'HTTP/1.1 500 ' + http.STATUS_CODES[500] + '\r\n' +
+								'Date: ' + (new Date()).toUTCString() + '\r\n' +
+								'Connection: close\r\n' +
+								'\r\n');
 				} catch (errorResponseErr) {
 					common.error(
 						`call ${call.id}: internal error sending 500 response,` +
 							' quitely closing the connection', errorResponseErr);
-					this._destroyConnection(httpResponse.socket);
+					this._abortResponse(httpResponse);
+				}
+			}
+		}
+	}
+
+	/**
+	 * Generate automatic entity tag for the response, if enabled, and evaluate
+	 * "If-None-Match" and "If-Modified-Since" request headers against the
+	 * response's "ETag" and "Last-Modified" headers.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {module:x2node-ws~ServiceResponse} response The 200 response to a
+	 * GET or HEAD request.
+	 * @returns {module:x2node-ws~ServiceResponse} Either the original response,
+	 * or a new 304 (Not Modified) response if the client's cached
+	 * representation is still valid.
+	 */
+	_evaluateConditionalGet(call, response) {
+
+		// generate entity tag if enabled and none provided by the handler
+		const autoETag = this._getEndpointSetting(call, 'autoETag');
+		if (!response.hasHeader('ETag') &&
+			(autoETag === undefined ? this._options.autoETag : autoETag)) {
+			const etag = this._generateETag(response);
+			if (etag)
+				response.setHeader('ETag', etag);
+		}
+
+		// get the entity tag
+		const etag = response.headers['etag'];
+
+		// get conditional request headers
+		const requestHeaders = call.httpRequest.headers;
+		const ifNoneMatch = requestHeaders['if-none-match'];
+		const ifModifiedSince = requestHeaders['if-modified-since'];
+
+		// evaluate the preconditions
+		let notModified = false;
+		if (ifNoneMatch !== undefined) {
+			if (etag)
+				notModified = (
+					(ifNoneMatch.trim() === '*') ||
+					parseETags(ifNoneMatch).some(t => weakETagsMatch(t, etag))
+				);
+		} else if (ifModifiedSince !== undefined) {
+			const lastModified = Date.parse(response.headers['last-modified']);
+			const since = Date.parse(ifModifiedSince);
+			notModified = (
+				!Number.isNaN(lastModified) && !Number.isNaN(since) &&
+					(lastModified <= since));
+		}
+
+		// respond with the original response if modified
+		if (!notModified)
+			return response;
+
+		// set the headers the compressed full response would have
+		this._log(`call ${call.id}: representation not modified`);
+		this._addResponseContentCodingHeaders(call, response);
+
+		// build the 304 response
+		const notModifiedResponse = new ServiceResponse(304);
+		const headers = response.headers;
+		for (let h of Object.keys(headers))
+			if (!h.startsWith('content-') || (h === 'content-location'))
+				notModifiedResponse.setHeader(h, headers[h]);
+
+		// return the 304 response
+		return notModifiedResponse;
+	}
+
+	/**
+	 * Advertise range requests support on a response that can be served
+	 * partially, and if the request has a satisfiable "Range" header, convert
+	 * the response into a 206 (Partial Content) response. Only responses with a
+	 * single entity that is a buffer or a stream with known length (provided by
+	 * the handler in the "Content-Length" response header) are eligible.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {module:x2node-ws~ServiceResponse} response The 200 response to a
+	 * GET or HEAD request.
+	 * @returns {module:x2node-ws~ServiceResponse} Either the original response,
+	 * a new 206 (Partial Content) response, or a new 416 (Range Not
+	 * Satisfiable) response.
+	 */
+	_evaluateRange(call, response) {
+
+		// check if the response is eligible
+		const entities = response.entities;
+		if (entities.length !== 1)
+			return response;
+		const entity = entities[0];
+		let length;
+		if (Buffer.isBuffer(entity.data))
+			length = entity.data.length;
+		else if (entity.data instanceof stream.Readable)
+			length = Number(response.headers['content-length']);
+		if (!Number.isInteger(length) || (length < 0))
+			return response;
+
+		// advertise range requests support
+		response.setHeader('Accept-Ranges', 'bytes');
+
+		// check if range request
+		const requestHeaders = call.httpRequest.headers;
+		const rangeHeader = requestHeaders['range'];
+		if (!rangeHeader || (call.httpRequest.method !== 'GET'))
+			return response;
+
+		// evaluate "If-Range" precondition
+		const ifRange = requestHeaders['if-range'];
+		if (ifRange !== undefined) {
+			const ifRangeTrimmed = ifRange.trim();
+			if (/^(?:W\/)?"/.test(ifRangeTrimmed)) {
+				const etag = response.headers['etag'];
+				if (!etag || !strongETagsMatch(ifRangeTrimmed, etag))
+					return response;
+			} else {
+				const lastModified = Date.parse(response.headers['last-modified']);
+				if (Number.isNaN(lastModified) ||
+					(lastModified !== Date.parse(ifRangeTrimmed)))
+					return response;
+			}
+		}
+
+		// parse the ranges
+		const ranges = parseByteRanges(rangeHeader, length);
+		if (ranges === null)
+			return response;
+
+		// check if not satisfiable
+		if (ranges.length === 0) {
+			this._log(`call ${call.id}: range not satisfiable`);
+			if ((entity.data instanceof stream.Readable) &&
+				((typeof entity.data.destroy) === 'function'))
+				entity.data.destroy();
+			return (new ServiceResponse(416))
+				.setHeader('Content-Range', `bytes */${length}`)
+				.setEntity({
+					errorCode: 'X2-416',
+					errorMessage: 'Requested range not satisfiable.'
+				});
+		}
+
+		// build the partial response
+		const partialResponse = new ServiceResponse(206);
+		const headers = response.headers;
+		for (let h of Object.keys(headers))
+			if ((h !== 'content-length') && (h !== 'content-type'))
+				partialResponse.setHeader(h, headers[h]);
+		const contentType = entity.headers['content-type'];
+		if (ranges.length === 1) {
+			const range = ranges[0];
+			partialResponse.setHeader(
+				'Content-Range', `bytes ${range.start}-${range.end}/${length}`);
+			if (Buffer.isBuffer(entity.data)) {
+				partialResponse.setEntity(
+					entity.data.slice(range.start, range.end + 1), contentType);
+			} else {
+				partialResponse
+					.setHeader('Content-Length', range.end - range.start + 1)
+					.setEntity(
+						new RangeStream(entity.data, ranges), contentType);
+			}
+		} else { // multiple ranges
+			for (let range of ranges) {
+				range.prefix = Buffer.concat([
+					BOUNDARY_MID,
+					Buffer.from(
+						`Content-Type: ${contentType}\r\n` +
+						`Content-Range: bytes ${range.start}-${range.end}` +
+							`/${length}\r\n\r\n`, 'ascii')
+				]);
+				range.suffix = CRLF;
+			}
+			const multipartContentType =
+				`multipart/byteranges; boundary=${BOUNDARY}`;
+			if (Buffer.isBuffer(entity.data)) {
+				const bufs = new Array();
+				for (let range of ranges) {
+					bufs.push(range.prefix);
+					bufs.push(entity.data.slice(range.start, range.end + 1));
+					bufs.push(range.suffix);
 				}
+				bufs.push(BOUNDARY_END);
+				partialResponse.setEntity(
+					Buffer.concat(bufs), multipartContentType);
+			} else {
+				partialResponse.setEntity(
+					new RangeStream(entity.data, ranges, BOUNDARY_END),
+					multipartContentType);
 			}
 		}
+
+		// return the partial response
+		this._log(`call ${call.id}: sending ${ranges.length} range(s)`);
+		return partialResponse;
+	}
+
+	/**
+	 * Generate strong entity tag for the response by calculating a hash of its
+	 * serialized entities. The serialized entity data buffers are set back to the
+	 * response entities so that they are not serialized again when the response
+	 * is sent.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceResponse} response The response.
+	 * @returns {string} The entity tag, or <code>undefined</code> if the
+	 * response has no entities or any of them is a stream.
+	 */
+	_generateETag(response) {
+
+		const entities = response.entities;
+		if ((entities.length === 0) ||
+			entities.some(entity => (entity.data instanceof stream.Readable)))
+			return undefined;
+
+		const hash = crypto.createHash('sha1');
+		for (let entity of entities) {
+			entity.data = this._getResponseEntityDataBuffer(entity);
+			for (let h of Object.keys(entity.headers).sort())
+				hash.update(`${h}: ${entity.headers[h]}\r\n`);
+			hash.update(entity.data);
+		}
+
+		return `"${hash.digest('base64').replace(/=+$/, '')}"`;
 	}
 
 	/**
@@ -1323,6 +3119,22 @@ class Application extends EventEmitter {
 		}
 	}
 
+	/**
+	 * Forcibly abort sending HTTP response. For HTTP/2, the response stream is
+	 * reset leaving the session and other calls on it intact. Otherwise, the
+	 * connection is severed.
+	 *
+	 * @private
+	 * @param {http.external:ServerResponse} httpResponse The HTTP response.
+	 */
+	_abortResponse(httpResponse) {
+
+		if (httpResponse.stream)
+			httpResponse.stream.close(NGHTTP2_CANCEL);
+		else
+			this._destroyConnection(httpResponse.socket);
+	}
+
 	/**
 	 * Check origin of a cross-origin request and if allowed, add CORS response
 	 * headers common for simple and preflight requests.
@@ -1385,7 +3197,7 @@ class Application extends EventEmitter {
 	_completeResponseNoEntities(httpResponse, call, response) {
 
 		httpResponse.writeHead(
-			response.statusCode, this._capitalizeHeaders(response.headers));
+			response.statusCode, this._toHttpHeaders(call, response.headers));
 		call.responseHeaderWritten = true;
 		httpResponse.end();
 	}
@@ -1403,59 +3215,27 @@ class Application extends EventEmitter {
 	_completeResponseWithEntities(httpResponse, call, response, entities) {
 
 		// create sequence of buffers and streams to send in the response body
-		let bufs = new Array(), chunked = false;
-		if (entities.length === 1) {
-
-			const entity = entities[0];
-			if (entity.data instanceof stream.Readable) {
-				bufs.push(entity.data);
-				chunked = true;
-			} else {
-				bufs.push(this._getResponseEntityDataBuffer(entity));
-			}
-
-		} else { // multipart
-
-			// add payload parts
-			for (let i = 0, len = entities.length; i < len; i++) {
-				const entity = entities[i];
-
-				// part boundary
-				bufs.push(BOUNDARY_MID);
-
-				// part headers
-				bufs.push(Buffer.from(
-					Object.keys(entity.headers).reduce((res, h) => {
-						return res + this._capitalizeHeaderName(h) + ': ' +
-							entity.headers[h] + '\r\n';
-					}, '') + '\r\n', 'ascii'));
-
-				// part body
-				if (entity.data instanceof stream.Readable) {
-					bufs.push(entity.data);
-					chunked = true;
-				} else {
-					bufs.push(this._getResponseEntityDataBuffer(entity));
-				}
-
-				// part end
-				bufs.push(CRLF);
-			}
-
-			// end boundary of the multipart payload
-			bufs.push(BOUNDARY_END);
+		const bufs = this._getResponseBody(entities);
+
+		// get response body length (unknown if chunked)
+		const contentLength = getResponseBodyLength(bufs);
+
+		// check if compressing the response body
+		const contentCoding = this._getResponseContentCoding(
+			call, response, entities, contentLength);
+
+		// set response content length or encoding
+		let out = httpResponse;
+		if (contentCoding) {
+			this._setResponseContentCoding(response, contentCoding);
+			out = CONTENT_ENCODERS[contentCoding]();
+		} else if (contentLength >= 0) {
+			response.setHeader('Content-Length', contentLength);
 		}
 
-		// set response content length
-		if (!chunked)
-			response.setHeader(
-				'Content-Length',
-				bufs.reduce((tot, buf) => (tot + buf.length), 0)
-			);
-
 		// write response head
 		httpResponse.writeHead(
-			response.statusCode, this._capitalizeHeaders(response.headers));
+			response.statusCode, this._toHttpHeaders(call, response.headers));
 		call.responseHeaderWritten = true;
 
 		// setup error listener
@@ -1466,10 +3246,23 @@ class Application extends EventEmitter {
 			error = true;
 		});
 
+		// pipe the encoder into the response if compressing
+		if (out !== httpResponse) {
+			out.on('error', err => {
+				common.error(
+					`call ${call.id}: error compressing the response,` +
+						' quitely closing the connection', err);
+				error = true;
+				this._abortResponse(httpResponse);
+			});
+			out.on('data', chunk => { call.bytesSent += chunk.length; });
+			out.pipe(httpResponse);
+		}
+
 		// write response body buffers and streams
 		const numBufs = bufs.length;
 		let curBufInd = 0;
-		function writeHttpResponse() {
+		const writeHttpResponse = () => {
 
 			// give up if error or connection closed
 			if (error || call.connectionClosed) {
@@ -1484,11 +3277,15 @@ class Application extends EventEmitter {
 				// buffer or stream?
 				if (Buffer.isBuffer(data)) {
 
+					// count sent bytes unless counted by the encoder
+					if (out === httpResponse)
+						call.bytesSent += data.length;
+
 					// write the buffer, wait for "drain" if necessary
-					if (!httpResponse.write(data)) {
+					if (!out.write(data)) {
 
 						// continue to the next buffer or stream upon "drain"
-						httpResponse.once('drain', writeHttpResponse);
+						out.once('drain', writeHttpResponse);
 
 						// exit until "drain" is received
 						return;
@@ -1496,8 +3293,14 @@ class Application extends EventEmitter {
 
 				} else { // stream
 
+					// count sent bytes unless counted by the encoder
+					if (out === httpResponse)
+						data.on('data', chunk => {
+							call.bytesSent += chunk.length;
+						});
+
 					// pipe the stream into the response
-					data.pipe(httpResponse, { end: false });
+					data.pipe(out, { end: false });
 
 					// continue to the next buffer or stream upon "end"
 					data.on('end', writeHttpResponse);
@@ -1508,19 +3311,221 @@ class Application extends EventEmitter {
 			}
 
 			// all buffers written, end the response
-			httpResponse.end();
+			out.end();
 
 			// remove call from the socket
-			const socketCalls = httpResponse.socket[CALLS];
-			const callInd = socketCalls.indexOf(call);
+			const socketCalls = httpResponse.socket && httpResponse.socket[CALLS];
+			const callInd = (socketCalls ? socketCalls.indexOf(call) : -1);
 			if (callInd >= 0)
 				socketCalls.splice(callInd, 1);
-		}
+		};
 
 		// initiate the write
 		writeHttpResponse();
 	}
 
+	/**
+	 * Create sequence of buffers and streams that make the response body. The
+	 * serialized entity data buffers are set back to the response entities so
+	 * that they are not serialized again.
+	 *
+	 * @private
+	 * @param {Array.<module:x2node-ws~ServiceResponse~Entity>} entities Response
+	 * entities.
+	 * @returns {Array.<(external:Buffer|stream.external:Readable)>} The response
+	 * body buffers and streams.
+	 */
+	_getResponseBody(entities) {
+
+		const bufs = new Array();
+		if (entities.length === 1) {
+
+			const entity = entities[0];
+			if (!(entity.data instanceof stream.Readable))
+				entity.data = this._getResponseEntityDataBuffer(entity);
+			bufs.push(entity.data);
+
+		} else { // multipart
+
+			// add payload parts
+			for (let i = 0, len = entities.length; i < len; i++) {
+				const entity = entities[i];
+
+				// part boundary
+				bufs.push(BOUNDARY_MID);
+
+				// part headers
+				bufs.push(Buffer.from(
+					Object.keys(entity.headers).reduce((res, h) => {
+						return res + this._capitalizeHeaderName(h) + ': ' +
+							entity.headers[h] + '\r\n';
+					}, '') + '\r\n', 'ascii'));
+
+				// part body
+				if (!(entity.data instanceof stream.Readable))
+					entity.data = this._getResponseEntityDataBuffer(entity);
+				bufs.push(entity.data);
+
+				// part end
+				bufs.push(CRLF);
+			}
+
+			// end boundary of the multipart payload
+			bufs.push(BOUNDARY_END);
+		}
+
+		return bufs;
+	}
+
+	/**
+	 * Set headers of a response, whose body is compressed with the specified
+	 * content coding. The response's strong entity tag, if any, is made weak,
+	 * since the compressed representation is not byte-for-byte identical to the
+	 * one the tag was generated for.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceResponse} response The response.
+	 * @param {string} contentCoding The content coding.
+	 */
+	_setResponseContentCoding(response, contentCoding) {
+
+		response.setHeader('Content-Encoding', contentCoding);
+		response.setHeader('Content-Length', null);
+
+		const etag = response.headers['etag'];
+		if (etag && !etag.startsWith('W/'))
+			response.setHeader('ETag', `W/${etag}`);
+	}
+
+	/**
+	 * Set the headers the response would have if its body were compressed and
+	 * sent, without actually sending it. Used for responses to
+	 * <code>HEAD</code> requests and for HTTP 304 (Not Modified) responses.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {module:x2node-ws~ServiceResponse} response The response with
+	 * entities.
+	 */
+	_addResponseContentCodingHeaders(call, response) {
+
+		const entities = response.entities;
+		if (entities.length === 0)
+			return;
+
+		const contentCoding = this._getResponseContentCoding(
+			call, response, entities,
+			getResponseBodyLength(this._getResponseBody(entities)));
+		if (contentCoding)
+			this._setResponseContentCoding(response, contentCoding);
+	}
+
+	/**
+	 * Tell if response compression is enabled for the call's endpoint.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @returns {boolean} <code>true</code> if enabled.
+	 */
+	_isCompressionEnabled(call) {
+
+		const compress = this._getEndpointSetting(call, 'compressResponses');
+
+		return Boolean(
+			compress === undefined ? this._options.compressResponses : compress);
+	}
+
+	/**
+	 * Decide if the response body needs to be compressed and choose the content
+	 * coding for it.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {module:x2node-ws~ServiceResponse} response The response.
+	 * @param {Array.<module:x2node-ws~ServiceResponse~Entity>} entities Response
+	 * entities.
+	 * @param {number} contentLength Response body length, or negative if
+	 * unknown (the body is streamed).
+	 * @returns {?string} The content coding, or <code>null</code> if the
+	 * response body is not compressed.
+	 */
+	_getResponseContentCoding(call, response, entities, contentLength) {
+
+		// check if compression is enabled for the endpoint
+		if (!this._isCompressionEnabled(call))
+			return null;
+
+		// partial content is never compressed
+		if (response.statusCode === 206)
+			return null;
+
+		// check if already encoded by the handler
+		if (response.hasHeader('Content-Encoding'))
+			return null;
+
+		// check if too small to bother
+		const threshold = (
+			Number.isInteger(this._options.compressionThreshold) ?
+				this._options.compressionThreshold :
+				DEFAULT_COMPRESSION_THRESHOLD
+		);
+		if ((contentLength >= 0) && (contentLength < threshold))
+			return null;
+
+		// check if already compressed content
+		if (entities.some(entity => INCOMPRESSIBLE_CONTENT_TYPE_PATTERN.test(
+			entity.headers['content-type'])))
+			return null;
+
+		// choose the coding from the accepted by the client
+		return this._negotiateContentCoding(
+			call.httpRequest.headers['accept-encoding']);
+	}
+
+	/**
+	 * Choose response content coding given the "Accept-Encoding" request header.
+	 * If the client accepts several supported codings with the same weight, the
+	 * one that comes first in the supported codings list is chosen.
+	 *
+	 * @private
+	 * @param {string} [acceptEncodingHeader] The "Accept-Encoding" request
+	 * header value, if any.
+	 * @returns {?string} The chosen content coding, or <code>null</code> if none
+	 * of the supported codings is acceptable.
+	 */
+	_negotiateContentCoding(acceptEncodingHeader) {
+
+		// check if the client accepts any encodings
+		if (!acceptEncodingHeader)
+			return null;
+
+		// parse the header
+		const weights = new Map();
+		for (let codingDef of acceptEncodingHeader.toLowerCase().split(',')) {
+			const m = /^\s*([a-z0-9*!#$%&'+.^_`|~-]+)\s*(?:;\s*q=([0-9.]+))?/.exec(
+				codingDef);
+			if (m)
+				weights.set(m[1], (m[2] !== undefined ? Number(m[2]) : 1));
+		}
+		if (weights.has('x-gzip') && !weights.has('gzip'))
+			weights.set('gzip', weights.get('x-gzip'));
+
+		// choose the coding
+		let selectedCoding = null, selectedWeight = 0;
+		for (let coding of Object.keys(CONTENT_ENCODERS)) {
+			const weight = (
+				weights.has(coding) ? weights.get(coding) : (
+					weights.has('*') ? weights.get('*') : 0));
+			if (weight > selectedWeight) {
+				selectedCoding = coding;
+				selectedWeight = weight;
+			}
+		}
+
+		// return the chosen coding
+		return selectedCoding;
+	}
+
 	/**
 	 * Get data buffer for the specified response entity invoking appropriate
 	 * marshaller if necessary.
@@ -1558,6 +3563,28 @@ class Application extends EventEmitter {
 		}, new Object());
 	}
 
+	/**
+	 * Convert service response headers to the HTTP response headers. For HTTP/2
+	 * calls, connection-specific headers are removed. Otherwise, the header
+	 * names are capitalized.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {Object.<string,*>} headers Service response headers.
+	 * @returns {Object.<string,*>} HTTP response headers.
+	 */
+	_toHttpHeaders(call, headers) {
+
+		if (call.httpRequest.httpVersionMajor < 2)
+			return this._capitalizeHeaders(headers);
+
+		return Object.keys(headers).reduce((res, h) => {
+			if (!CONNECTION_SPECIFIC_HEADERS.has(h.toLowerCase()))
+				res[h] = headers[h];
+			return res;
+		}, new Object());
+	}
+
 	/**
 	 * Capitalize header name.
 	 *
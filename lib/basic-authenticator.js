@@ -31,6 +31,14 @@ class BasicAuthenticator {
 			`Basic realm="${realm || 'Web Service'}", charset="UTF-8"`;
 	}
 
+	/**
+	 * The "Basic" scheme.
+	 *
+	 * @member {string}
+	 * @readonly
+	 */
+	get scheme() { return 'Basic'; }
+
 	// authenticate the call
 	authenticate(call) {
 
@@ -60,7 +68,13 @@ class BasicAuthenticator {
 	addResponseHeaders(call, response) {
 
 		if (call[AUTHED] && (response.statusCode === 401))
-			response.setHeader('WWW-Authenticate', this._challenge);
+			response.setHeader('WWW-Authenticate', this.getChallenge(call));
+	}
+
+	// get the challenge
+	getChallenge() {
+
+		return this._challenge;
 	}
 }
 
@@ -2,6 +2,8 @@
 
 const common = require('x2node-common');
 
+const ServiceResponse = require('./service-response.js');
+
 
 /**
  * Symbol used to mark the call as passed through this authenticator.
@@ -11,6 +13,22 @@ const common = require('x2node-common');
  */
 const AUTHED = Symbol('AUTHED_BEARER');
 
+/**
+ * Symbol used to store the reason the call's token was rejected.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const TOKEN_ERROR = Symbol('TOKEN_ERROR');
+
+/**
+ * Symbol used to store the scope the call's valid token does not have.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const INSUFFICIENT_SCOPE = Symbol('INSUFFICIENT_SCOPE');
+
 /**
  * The log.
  *
@@ -29,6 +47,25 @@ const log = common.getDebugLogger('X2_APP_AUTH');
  */
 class BearerAuthenticator {
 
+	/**
+	 * Create new authenticator.
+	 *
+	 * @param {string} [realm] The realm to include in the "WWW-Authenticate"
+	 * response header, if any.
+	 */
+	constructor(realm) {
+
+		this._realm = realm;
+	}
+
+	/**
+	 * The "Bearer" scheme.
+	 *
+	 * @member {string}
+	 * @readonly
+	 */
+	get scheme() { return 'Bearer'; }
+
 	// authenticate the call
 	authenticate(call) {
 
@@ -47,8 +84,88 @@ class BearerAuthenticator {
 	// add response headers
 	addResponseHeaders(call, response) {
 
-		if (call[AUTHED] && (response.statusCode === 401))
-			response.setHeader('WWW-Authenticate', 'Bearer');
+		if (call[AUTHED] && ((response.statusCode === 401) || (
+			(response.statusCode === 403) && call[INSUFFICIENT_SCOPE])))
+			response.setHeader('WWW-Authenticate', this.getChallenge(call));
+	}
+
+	/**
+	 * Get value for the "WWW-Authenticate" header added to HTTP 401 responses
+	 * and to HTTP 403 responses to calls refused using
+	 * [rejectScope()]{@link module:x2node-ws.BearerAuthenticator#rejectScope}.
+	 * The challenge includes the realm, if any, and if the token was rejected
+	 * using [rejectToken()]{@link module:x2node-ws.BearerAuthenticator#rejectToken},
+	 * the "invalid_token" error details, or, if the call was refused because of
+	 * the token scope, the "insufficient_scope" error with the required scope
+	 * (see [RFC 6750]{@link https://tools.ietf.org/html/rfc6750#section-3}).
+	 *
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @returns {string} The challenge.
+	 */
+	getChallenge(call) {
+
+		const params = new Array();
+		if (this._realm)
+			params.push(`realm="${this._realm}"`);
+		const error = call[TOKEN_ERROR];
+		const scope = call[INSUFFICIENT_SCOPE];
+		if (error)
+			params.push(
+				'error="invalid_token"', `error_description="${error}"`);
+		else if (scope)
+			params.push('error="insufficient_scope"', `scope="${scope}"`);
+
+		return 'Bearer' + (params.length > 0 ? ' ' + params.join(', ') : '');
+	}
+
+	/**
+	 * Record that the token presented with the call is invalid, so that the
+	 * "invalid_token" error is included in the challenge. Subclasses call it
+	 * from the <code>validateToken()</code> method and return its result.
+	 *
+	 * @protected
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {string} description Human-readable error description. Must not
+	 * contain double quotes or backslashes.
+	 * @returns {null} Always <code>null</code>.
+	 */
+	rejectToken(call, description) {
+
+		log(`rejected token: ${description}`);
+
+		call[TOKEN_ERROR] = description;
+
+		return null;
+	}
+
+	/**
+	 * Refuse the call made with a valid token that does not have the scope
+	 * required by the authenticator. The actor is set on the call, but the call
+	 * results in an HTTP 403 (Forbidden) response with the "insufficient_scope"
+	 * error in the challenge. Subclasses call it from the
+	 * <code>validateToken()</code> method and return its result.
+	 *
+	 * @protected
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {module:x2node-common.Actor} actor The actor identified by the
+	 * token.
+	 * @param {Array.<string>} scopes The required scopes. The scope names must
+	 * not contain double quotes or backslashes.
+	 * @returns {Promise} Promise rejected with the 403 response.
+	 */
+	rejectScope(call, actor, scopes) {
+
+		log(`token does not have required scope ${scopes.join(' ')}`);
+
+		call.actor = actor;
+		call[INSUFFICIENT_SCOPE] = scopes.join(' ');
+
+		return Promise.reject(
+			(new ServiceResponse(403)).setEntity({
+				errorCode: 'X2-403-3',
+				errorMessage: 'Insufficient access token scope.'
+			})
+		);
 	}
 
 	/**
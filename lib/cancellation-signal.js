@@ -0,0 +1,143 @@
+'use strict';
+
+const EventEmitter = require('events');
+
+
+/**
+ * Call cancellation event. Fired once when the call is cancelled.
+ *
+ * @event module:x2node-ws~CancellationSignal#abort
+ * @type {Error}
+ */
+
+/**
+ * Signal that tells the call processing logic, such as endpoint handlers, that
+ * the call has been cancelled and any work on it should be stopped. The call is
+ * cancelled when its processing time limit is exceeded or when its connection
+ * is closed. The object mimics the standard <code>AbortSignal</code> interface
+ * (<code>aborted</code>, <code>reason</code>, <code>onabort</code>,
+ * <code>addEventListener()</code> and <code>removeEventListener()</code>), so
+ * it can be passed to libraries that accept one, and is also a regular event
+ * emitter.
+ *
+ * @memberof module:x2node-ws
+ * @inner
+ * @extends external:EventEmitter
+ * @fires module:x2node-ws~CancellationSignal#abort
+ */
+class CancellationSignal extends EventEmitter {
+
+	/**
+	 * <strong>Note:</strong> The constructor is not accessible from the client
+	 * code. Instances are created internally by the framework.
+	 *
+	 * @protected
+	 */
+	constructor() {
+		super();
+
+		this._aborted = false;
+		this._reason = undefined;
+
+		this.onabort = null;
+	}
+
+	/**
+	 * Tells if the call has been cancelled.
+	 *
+	 * @member {boolean}
+	 * @readonly
+	 */
+	get aborted() { return this._aborted; }
+
+	/**
+	 * Error describing the reason the call has been cancelled, or
+	 * <code>undefined</code> if not cancelled.
+	 *
+	 * @member {Error}
+	 * @readonly
+	 */
+	get reason() { return this._reason; }
+
+	/**
+	 * Add "abort" event listener. The listener is called with an event object
+	 * that has <code>type</code> and <code>target</code> properties.
+	 *
+	 * @param {string} type Event type. Only "abort" is supported.
+	 * @param {function} listener The listener.
+	 */
+	addEventListener(type, listener) {
+
+		if (type === 'abort')
+			this.on('abort', this._wrapListener(listener));
+	}
+
+	/**
+	 * Remove "abort" event listener previously added using
+	 * <code>addEventListener()</code>.
+	 *
+	 * @param {string} type Event type.
+	 * @param {function} listener The listener.
+	 */
+	removeEventListener(type, listener) {
+
+		if (type !== 'abort')
+			return;
+
+		const wrapper = this.listeners('abort').find(
+			l => (l.x2Listener === listener));
+		if (wrapper)
+			this.removeListener('abort', wrapper);
+	}
+
+	/**
+	 * Throw the cancellation reason if the call has been cancelled.
+	 *
+	 * @throws {Error} The cancellation reason.
+	 */
+	throwIfAborted() {
+
+		if (this._aborted)
+			throw this._reason;
+	}
+
+	/**
+	 * Cancel the call. Does nothing if already cancelled.
+	 *
+	 * @protected
+	 * @param {Error} reason The cancellation reason.
+	 */
+	abort(reason) {
+
+		if (this._aborted)
+			return;
+
+		this._aborted = true;
+		this._reason = reason;
+
+		if ((typeof this.onabort) === 'function')
+			this.onabort({ type: 'abort', target: this });
+
+		this.emit('abort', reason);
+	}
+
+	/**
+	 * Wrap DOM-style listener so that it receives an event object.
+	 *
+	 * @private
+	 * @param {function} listener The listener.
+	 * @returns {function} The wrapper.
+	 */
+	_wrapListener(listener) {
+
+		const wrapper = () => {
+			listener.call(this, { type: 'abort', target: this });
+		};
+		wrapper.x2Listener = listener;
+
+		return wrapper;
+	}
+}
+
+// export the class
+module.exports = CancellationSignal;
@@ -0,0 +1,158 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * The log.
+ *
+ * @private
+ */
+const log = common.getDebugLogger('X2_APP_AUTH');
+
+/**
+ * Client certificate handle extractor function.
+ *
+ * @callback module:x2node-ws.ClientCertificateAuthenticator~Extractor
+ * @param {module:x2node-ws~ServiceCall~ClientCertificate} cert The client
+ * certificate.
+ * @param {module:x2node-ws~ServiceCall} call The call.
+ * @returns {?string} The actor handle, or <code>null</code> if the certificate
+ * does not identify an actor.
+ */
+
+/**
+ * Parse subject alternative names string.
+ *
+ * @private
+ * @param {string} subjectAltName The subject alternative names as reported by
+ * Node.js (e.g. "DNS:a.example.com, URI:spiffe://example.com/a"). Values with
+ * special characters may be quoted as JSON strings.
+ * @returns {Array.<Array.<string>>} Array of two-element arrays with the name
+ * type and the value.
+ */
+function parseSubjectAltNames(subjectAltName) {
+
+	const names = new Array();
+	const re = /([A-Za-z ]+):("(?:[^"\\]|\\.)*"|[^,]*)(?:,\s*|$)/g;
+	let match;
+	while (((match = re.exec(subjectAltName)) !== null) && (match[0] !== '')) {
+		let value = match[2];
+		if (value.startsWith('"')) {
+			try {
+				value = JSON.parse(value);
+			} catch (err) {
+				// use as is
+			}
+		}
+		names.push([ match[1], value ]);
+	}
+
+	return names;
+}
+
+/**
+ * Create built-in extractor.
+ *
+ * @private
+ * @param {string} extractor Built-in extractor specification.
+ * @returns {module:x2node-ws.ClientCertificateAuthenticator~Extractor} The
+ * extractor function.
+ * @throws {module:x2node-common.X2UsageError} If the specification is invalid.
+ */
+function createExtractor(extractor) {
+
+	if (extractor === 'subject')
+		return cert => {
+			const cn = cert.subject && cert.subject.CN;
+			return (Array.isArray(cn) ? cn[0] : cn) || null;
+		};
+
+	if (extractor === 'fingerprint')
+		return cert => (cert.fingerprint256 || cert.fingerprint || null);
+
+	const match = /^san:(.+)$/.exec(extractor);
+	if (match) {
+		const type = match[1];
+		return cert => {
+			if (!cert.subjectAltName)
+				return null;
+			const name = parseSubjectAltNames(cert.subjectAltName).find(
+				name => (name[0] === type));
+			return (name ? name[1] : null);
+		};
+	}
+
+	throw new common.X2UsageError(
+		`Invalid client certificate extractor ${extractor}.`);
+}
+
+/**
+ * Authenticator that uses client certificates presented over mutual TLS
+ * connections. The actor handle is extracted from the certificate and the actor
+ * is looked up in the actors registry without credentials.
+ *
+ * @memberof module:x2node-ws
+ * @implements module:x2node-ws.Authenticator
+ */
+class ClientCertificateAuthenticator {
+
+	/**
+	 * Create new authenticator.
+	 *
+	 * @param {module:x2node-ws.ActorsRegistry} actorsRegistry Actors registry.
+	 * @param {Object} [options] Authenticator options.
+	 * @param {(string|module:x2node-ws.ClientCertificateAuthenticator~Extractor)} [options.extractor=subject]
+	 * How the actor handle is extracted from the certificate. The "subject"
+	 * value means the subject common name (CN) is used. The "san:<type>" value,
+	 * such as "san:URI", "san:DNS" or "san:email", means the first subject
+	 * alternative name of the specified type is used. The "fingerprint" value
+	 * means the certificate SHA-256 fingerprint (or SHA-1 on older Node.js
+	 * versions) is used. If function, it is called to get the handle.
+	 * @param {boolean} [options.allowUnauthorized=false] If <code>true</code>,
+	 * certificates that were not verified against the trusted certificate
+	 * authorities are accepted as well. Normally used only when the registry
+	 * identifies the actors by the certificate fingerprints.
+	 * @throws {module:x2node-common.X2UsageError} If the extractor is invalid.
+	 */
+	constructor(actorsRegistry, options) {
+
+		this._actorsRegistry = actorsRegistry;
+
+		const opts = (options || {});
+		this._extractor = (
+			(typeof opts.extractor) === 'function' ?
+				opts.extractor : createExtractor(opts.extractor || 'subject'));
+		this._allowUnauthorized = !!opts.allowUnauthorized;
+	}
+
+	// authenticate the call
+	authenticate(call) {
+
+		// get the certificate
+		const cert = call.clientCertificate;
+		if (!cert) {
+			log('no client certificate');
+			return Promise.resolve(null);
+		}
+
+		// check if verified
+		if (!cert.authorized && !this._allowUnauthorized) {
+			log(`client certificate not authorized: ${cert.authorizationError}`);
+			return Promise.resolve(null);
+		}
+
+		// extract the handle
+		const handle = this._extractor(cert, call);
+		if (!handle) {
+			log('no actor handle in client certificate');
+			return Promise.resolve(null);
+		}
+
+		// look up the actor
+		return Promise.resolve(this._actorsRegistry.lookupActor(handle));
+	}
+}
+
+// export the class
+module.exports = ClientCertificateAuthenticator;
@@ -0,0 +1,157 @@
+'use strict';
+
+const common = require('x2node-common');
+
+
+/**
+ * Symbol used to store the authenticators called for the call.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const CALLED = Symbol('CALLED_AUTHENTICATORS');
+
+/**
+ * Symbol used to store the authenticator that authenticated the call.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const AUTHENTICATED_BY = Symbol('AUTHENTICATED_BY');
+
+/**
+ * The log.
+ *
+ * @private
+ */
+const log = common.getDebugLogger('X2_APP_AUTH');
+
+/**
+ * Authenticator that allows an endpoint to accept credentials of multiple
+ * kinds. The call is passed to the member authenticators in the order they are
+ * listed until one of them authenticates it. Authenticators that have the
+ * <code>scheme</code> property are called only if the "Authorization" request
+ * header uses that scheme, while authenticators without it (for example, API
+ * key and client certificate authenticators) are always called. When the call
+ * results in an HTTP 401 response, the "WWW-Authenticate" header includes the
+ * challenges of all member authenticators, so that the client can see all the
+ * supported schemes.
+ *
+ * @memberof module:x2node-ws
+ * @implements module:x2node-ws.Authenticator
+ */
+class CompositeAuthenticator {
+
+	/**
+	 * Create new authenticator.
+	 *
+	 * @param {Array.<module:x2node-ws.Authenticator>} authenticators The member
+	 * authenticators in the order they are tried.
+	 * @throws {module:x2node-common.X2UsageError} If no authenticators.
+	 */
+	constructor(authenticators) {
+
+		if (!Array.isArray(authenticators) || (authenticators.length === 0))
+			throw new common.X2UsageError(
+				'Composite authenticator must have at least one member.');
+
+		this._authenticators = authenticators;
+
+		this._sensitiveQueryParams = Array.from(new Set(
+			authenticators.reduce(
+				(res, a) => res.concat(a.sensitiveQueryParams || []), [])));
+	}
+
+	// query string parameters with credentials of all members
+	get sensitiveQueryParams() { return this._sensitiveQueryParams; }
+
+	// authenticate the call
+	authenticate(call) {
+
+		// get the Authorization scheme
+		const match = /^([^\s,]+)/.exec(
+			call.httpRequest.headers['authorization']);
+		const scheme = (match && match[1].toLowerCase());
+
+		// select the authenticators for the scheme
+		const authenticators = this._authenticators.filter(
+			a => (!a.scheme || (a.scheme.toLowerCase() === scheme)));
+		if (authenticators.length === 0)
+			log(`no authenticator for Authorization scheme ${scheme}`);
+
+		// call the authenticators until one authenticates the call
+		const called = new Set();
+		call[CALLED] = called;
+		let promiseChain = Promise.resolve(null);
+		for (let authenticator of authenticators) {
+			promiseChain = promiseChain.then(
+				actor => {
+					if (actor || call.connectionClosed)
+						return actor;
+					called.add(authenticator);
+					return Promise.resolve(authenticator.authenticate(call)).then(
+						actor => {
+							if (actor)
+								call[AUTHENTICATED_BY] = authenticator;
+							return actor;
+						}
+					);
+				}
+			);
+		}
+
+		return promiseChain;
+	}
+
+	// create payload verifier using the authenticator that authenticated the call
+	createPayloadVerifier(call) {
+
+		const authenticator = call[AUTHENTICATED_BY];
+
+		return (
+			authenticator && authenticator.createPayloadVerifier ?
+				authenticator.createPayloadVerifier(call) : null);
+	}
+
+	// add response headers
+	addResponseHeaders(call, response) {
+
+		// check if passed through this authenticator
+		const called = call[CALLED];
+		if (!called)
+			return;
+
+		// take the challenge that is already in the response, if any
+		const unauthorized = (response.statusCode === 401);
+		const challenges = new Array();
+		if (unauthorized) {
+			const challenge = response.headers['www-authenticate'];
+			if (challenge) {
+				challenges.push(challenge);
+				response.setHeader('WWW-Authenticate', null);
+			}
+		}
+
+		// let the authenticators add their headers and collect the challenges
+		for (let authenticator of this._authenticators) {
+			if (called.has(authenticator) && authenticator.addResponseHeaders)
+				authenticator.addResponseHeaders(call, response);
+			if (unauthorized) {
+				const challenge = (
+					authenticator.getChallenge ?
+						authenticator.getChallenge(call) :
+						response.headers['www-authenticate']);
+				if (challenge)
+					challenges.push(challenge);
+				response.setHeader('WWW-Authenticate', null);
+			}
+		}
+
+		// set all the challenges in the response
+		if (challenges.length > 0)
+			response.setHeader('WWW-Authenticate', challenges.join(', '));
+	}
+}
+
+// export the class
+module.exports = CompositeAuthenticator;
@@ -0,0 +1,159 @@
+'use strict';
+
+const ServiceResponse = require('./service-response.js');
+
+
+/**
+ * Health check function. The function may throw an error, return
+ * <code>false</code> or return a <code>Promise</code> rejected with an error or
+ * fulfilled with <code>false</code> to report the checked component as
+ * unhealthy. Any other outcome reports it as healthy. If the function returns
+ * (or the promise is fulfilled with) an object, the object is included in the
+ * check report as the check details.
+ *
+ * @callback module:x2node-ws~HealthHandler~HealthCheck
+ * @returns {(boolean|Object|Promise.<(boolean|Object)>)} Check result.
+ */
+
+/**
+ * Handler for the built-in health, readiness and liveness endpoints. The
+ * liveness endpoint always responds with HTTP 200 (OK) as long as the
+ * application is able to respond at all. The readiness endpoint responds with
+ * HTTP 503 (Service Unavailable) once the application starts shutting down or
+ * if any of the health checks fails. The health endpoint runs all the health
+ * checks and responds with a report that includes each check's status and
+ * latency.
+ *
+ * @protected
+ * @memberof module:x2node-ws
+ * @inner
+ * @implements module:x2node-ws.Handler
+ */
+class HealthHandler {
+
+	/**
+	 * Create new handler.
+	 *
+	 * @param {module:x2node-ws~Application} app The application.
+	 * @param {string} kind Endpoint kind: "health", "readiness" or "liveness".
+	 * @param {Map.<string,module:x2node-ws~HealthHandler~HealthCheck>} checks
+	 * Health checks by names.
+	 * @param {number} checkTimeout Timeout in milliseconds, after which a health
+	 * check that has not completed is reported as failed.
+	 */
+	constructor(app, kind, checks, checkTimeout) {
+
+		this._kind = kind;
+		this._checks = checks;
+		this._checkTimeout = checkTimeout;
+
+		this._shuttingDown = false;
+		app.once('shuttingdown', () => { this._shuttingDown = true; });
+	}
+
+	// respond with the status
+	GET() {
+
+		// liveness does not depend on anything
+		if (this._kind === 'liveness')
+			return this._buildResponse(true);
+
+		// not ready if shutting down
+		if (this._shuttingDown && (this._kind === 'readiness'))
+			return this._buildResponse(false, { shuttingDown: true });
+
+		// run the checks
+		return this._runChecks().then(checks => this._buildResponse(
+			!this._shuttingDown &&
+				Object.keys(checks).every(name => (checks[name].status === 'UP')),
+			{
+				shuttingDown: (this._shuttingDown || undefined),
+				checks: checks
+			}
+		));
+	}
+
+	/**
+	 * Run all health checks in parallel.
+	 *
+	 * @private
+	 * @returns {Promise.<Object.<string,Object>>} Promise of the check reports
+	 * by check names.
+	 */
+	_runChecks() {
+
+		const names = Array.from(this._checks.keys());
+
+		return Promise.all(names.map(name => this._runCheck(
+			this._checks.get(name)))).then(reports => reports.reduce(
+			(res, report, ind) => {
+				res[names[ind]] = report;
+				return res;
+			}, new Object()));
+	}
+
+	/**
+	 * Run single health check.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~HealthHandler~HealthCheck} check The check.
+	 * @returns {Promise.<Object>} Promise of the check report, which is never
+	 * rejected.
+	 */
+	_runCheck(check) {
+
+		const started = Date.now();
+
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => {
+				reject(new Error(
+					`Check timed out after ${this._checkTimeout}ms.`));
+			}, this._checkTimeout);
+			Promise.resolve().then(() => check()).then(
+				result => {
+					clearTimeout(timer);
+					resolve(result);
+				},
+				err => {
+					clearTimeout(timer);
+					reject(err);
+				}
+			);
+		}).then(
+			result => {
+				const report = {
+					status: (result === false ? 'DOWN' : 'UP'),
+					latency: Date.now() - started
+				};
+				if (result && ((typeof result) === 'object'))
+					report.details = result;
+				return report;
+			},
+			err => ({
+				status: 'DOWN',
+				latency: Date.now() - started,
+				error: String((err && err.message) || err)
+			})
+		);
+	}
+
+	/**
+	 * Build status response.
+	 *
+	 * @private
+	 * @param {boolean} up <code>true</code> if the status is good.
+	 * @param {Object} [report] Additional properties for the response entity.
+	 * @returns {module:x2node-ws~ServiceResponse} The response.
+	 */
+	_buildResponse(up, report) {
+
+		return (new ServiceResponse(up ? 200 : 503))
+			.setHeader('Cache-Control', 'no-store')
+			.setEntity(Object.assign({
+				status: (up ? 'UP' : 'DOWN')
+			}, report));
+	}
+}
+
+// export the class
+module.exports = HealthHandler;
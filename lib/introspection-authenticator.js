@@ -0,0 +1,392 @@
+'use strict';
+
+const http = require('http');
+const https = require('https');
+const url = require('url');
+const querystring = require('querystring');
+const crypto = require('crypto');
+const common = require('x2node-common');
+
+const BearerAuthenticator = require('./bearer-authenticator.js');
+
+
+/**
+ * The log.
+ *
+ * @private
+ */
+const log = common.getDebugLogger('X2_APP_AUTH');
+
+/**
+ * Default maximum number of cached introspection results.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_MAX_CACHED = 1000;
+
+/**
+ * Default maximum time in milliseconds to cache positive introspection
+ * results.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_CACHE_TTL = 300000;
+
+/**
+ * Default time in milliseconds to cache negative introspection results.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_NEGATIVE_CACHE_TTL = 30000;
+
+/**
+ * Default introspection request timeout in milliseconds.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_TIMEOUT = 5000;
+
+/**
+ * Authenticator that validates opaque "Bearer" tokens by calling an OAuth 2.0
+ * token introspection endpoint (see
+ * [RFC 7662]{@link https://tools.ietf.org/html/rfc7662}). The introspection
+ * results, both positive and negative, are cached in memory, so that the
+ * endpoint is not called for every service call. The actor is looked up in the
+ * actors registry by the handle taken from the introspection response (the
+ * "sub" member by default).
+ *
+ * @memberof module:x2node-ws
+ * @extends module:x2node-ws.BearerAuthenticator
+ */
+class IntrospectionAuthenticator extends BearerAuthenticator {
+
+	/**
+	 * Create new authenticator.
+	 *
+	 * @param {module:x2node-ws.ActorsRegistry} actorsRegistry Actors registry.
+	 * The registry's <code>lookupActor()</code> method is called with the
+	 * handle only.
+	 * @param {Object} options Authenticator options.
+	 * @param {string} options.endpoint Introspection endpoint URL.
+	 * @param {string} [options.clientId] Client id used to authenticate with
+	 * the introspection endpoint using "Basic" scheme.
+	 * @param {string} [options.clientSecret] Client secret used to authenticate
+	 * with the introspection endpoint.
+	 * @param {Object} [options.requestOptions] Additional options for the
+	 * introspection HTTP requests, such as <code>ca</code> or
+	 * <code>agent</code>.
+	 * @param {number} [options.timeout=5000] Introspection request timeout in
+	 * milliseconds.
+	 * @param {(string|Array.<string>)} [options.requiredScope] Scopes the token
+	 * must have.
+	 * @param {string} [options.handleClaim=sub] Name of the introspection
+	 * response member that has the actor handle.
+	 * @param {number} [options.maxCached=1000] Maximum number of cached
+	 * introspection results.
+	 * @param {number} [options.cacheTtl=300000] Maximum milliseconds to cache
+	 * a positive result. The result is never cached past the token expiration.
+	 * @param {number} [options.negativeCacheTtl=30000] Milliseconds to cache a
+	 * negative result.
+	 * @param {string} [options.realm] Realm to include in the challenge.
+	 * @throws {module:x2node-common.X2UsageError} If the options are invalid.
+	 */
+	constructor(actorsRegistry, options) {
+		super(options && options.realm);
+
+		const opts = (options || {});
+
+		this._actorsRegistry = actorsRegistry;
+
+		if (!opts.endpoint)
+			throw new common.X2UsageError(
+				'Token introspection endpoint is not specified.');
+		const endpoint = url.parse(opts.endpoint);
+		if ((endpoint.protocol !== 'http:') && (endpoint.protocol !== 'https:'))
+			throw new common.X2UsageError(
+				`Invalid token introspection endpoint ${opts.endpoint}.`);
+		this._transport = (endpoint.protocol === 'https:' ? https : http);
+		this._requestOptions = Object.assign({
+			protocol: endpoint.protocol,
+			hostname: endpoint.hostname,
+			port: endpoint.port,
+			path: endpoint.path
+		}, opts.requestOptions, {
+			method: 'POST',
+			headers: Object.assign(
+				new Object(),
+				opts.requestOptions && opts.requestOptions.headers, {
+					'Content-Type': 'application/x-www-form-urlencoded',
+					'Accept': 'application/json'
+				})
+		});
+		if (opts.clientId !== undefined)
+			this._requestOptions.headers['Authorization'] = 'Basic ' +
+				Buffer.from(
+					querystring.escape(opts.clientId) + ':' +
+						querystring.escape(opts.clientSecret || '')
+				).toString('base64');
+		this._timeout = (opts.timeout || DEFAULT_TIMEOUT);
+
+		this._requiredScopes = (
+			opts.requiredScope !== undefined ?
+				[].concat(opts.requiredScope) : []);
+		this._handleClaim = (opts.handleClaim || 'sub');
+
+		this._maxCached = (
+			opts.maxCached !== undefined ? opts.maxCached : DEFAULT_MAX_CACHED);
+		if (!(this._maxCached > 0))
+			throw new common.X2UsageError(
+				'Maximum cached introspection results must be a positive' +
+					' number.');
+		this._cacheTtl = (opts.cacheTtl || DEFAULT_CACHE_TTL);
+		this._negativeCacheTtl = (
+			opts.negativeCacheTtl !== undefined ?
+				opts.negativeCacheTtl : DEFAULT_NEGATIVE_CACHE_TTL);
+
+		this._cache = new Map();
+	}
+
+	// validate the token
+	validateToken(token, call) {
+
+		return this._getTokenInfo(token).then(
+			info => {
+
+				// check if invalid
+				if (info.error)
+					return this.rejectToken(call, info.error);
+
+				// check if expired since cached
+				if ((info.exp !== undefined) && (Date.now() >= info.exp * 1000))
+					return this.rejectToken(call, 'The access token expired.');
+
+				// look up the actor
+				return Promise.resolve(
+					this._actorsRegistry.lookupActor(info.handle)).then(
+					actor => {
+
+						// check if unknown actor
+						if (!actor)
+							return this.rejectToken(call, 'Unknown actor.');
+
+						// check if the token does not have the required scope
+						if (info.insufficientScope)
+							return this.rejectScope(
+								call, actor, this._requiredScopes);
+
+						// authenticated
+						return actor;
+					}
+				);
+			}
+		);
+	}
+
+	/**
+	 * Invalidate cached introspection result for the token, if cached.
+	 *
+	 * @param {string} token The token.
+	 */
+	invalidateCachedToken(token) {
+
+		this._cache.delete(this._getCacheKey(token));
+	}
+
+	/**
+	 * Get cache key for the token. The token itself is not kept in memory.
+	 *
+	 * @private
+	 * @param {string} token The token.
+	 * @returns {string} The cache key.
+	 */
+	_getCacheKey(token) {
+
+		return crypto.createHash('sha256').update(token).digest('base64');
+	}
+
+	/**
+	 * Get token information from the cache or from the introspection endpoint.
+	 *
+	 * @private
+	 * @param {string} token The token.
+	 * @returns {Promise.<Object>} Promise of the token information, which has
+	 * either <code>error</code> property with the reason the token is invalid,
+	 * or the actor <code>handle</code>, optional <code>exp</code> and
+	 * <code>insufficientScope</code> flag set if the token does not have the
+	 * required scope.
+	 */
+	_getTokenInfo(token) {
+
+		const key = this._getCacheKey(token);
+
+		const element = this._cache.get(key);
+		if (element && (element.loading || (element.expireAt > Date.now())))
+			return element.info;
+
+		return this._loadTokenInfo(key, token);
+	}
+
+	/**
+	 * Call the introspection endpoint and save the result into the cache.
+	 *
+	 * @private
+	 * @param {string} key The cache key.
+	 * @param {string} token The token.
+	 * @returns {Promise.<Object>} Promise of the token information.
+	 */
+	_loadTokenInfo(key, token) {
+
+		log('introspecting token');
+
+		const element = {
+			loading: true,
+			info: this._introspect(token).then(res => this._toTokenInfo(res))
+		};
+
+		this._cache.set(key, element);
+
+		return element.info.then(
+			info => {
+
+				if (this._cache.get(key) !== element)
+					return info;
+
+				const now = Date.now();
+				const ttl = (
+					info.error ? this._negativeCacheTtl : (
+						info.exp !== undefined ?
+							Math.min(this._cacheTtl, info.exp * 1000 - now) :
+							this._cacheTtl));
+				if (!(ttl > 0)) {
+					this._cache.delete(key);
+					return info;
+				}
+
+				if (this._cache.size > this._maxCached) {
+					if (this._purgeExpired(now) === 0) {
+						common.error(
+							'reached maximum cached introspection results,' +
+								' increasing cache size is recommended');
+						this._cache.delete(key);
+						return info;
+					}
+				}
+
+				delete element.loading;
+				element.expireAt = now + ttl;
+
+				return info;
+			},
+			err => {
+
+				if (this._cache.get(key) === element)
+					this._cache.delete(key);
+
+				return Promise.reject(err);
+			}
+		);
+	}
+
+	/**
+	 * Remove expired introspection results from the cache.
+	 *
+	 * @private
+	 * @param {number} now Current time.
+	 * @returns {number} Number of purged results.
+	 */
+	_purgeExpired(now) {
+
+		let numPurged = 0;
+		for (let entry of this._cache)
+			if (!entry[1].loading && (entry[1].expireAt <= now)) {
+				this._cache.delete(entry[0]);
+				numPurged++;
+			}
+
+		log(`purged ${numPurged} expired introspection results from the cache`);
+
+		return numPurged;
+	}
+
+	/**
+	 * Call the introspection endpoint.
+	 *
+	 * @private
+	 * @param {string} token The token.
+	 * @returns {Promise.<Object>} Promise of the introspection response.
+	 */
+	_introspect(token) {
+
+		return new Promise((resolve, reject) => {
+			const request = this._transport.request(
+				this._requestOptions, response => {
+					const bufs = new Array();
+					response
+						.on('data', chunk => { bufs.push(chunk); })
+						.on('end', () => {
+							if (response.statusCode !== 200)
+								return reject(new common.X2DataError(
+									'Token introspection endpoint responded' +
+										` with status ${response.statusCode}.`));
+							try {
+								resolve(JSON.parse(
+									Buffer.concat(bufs).toString('utf8')));
+							} catch (err) {
+								reject(new common.X2DataError(
+									'Invalid token introspection response: ' +
+										err.message));
+							}
+						})
+						.on('error', reject);
+				});
+			request.setTimeout(this._timeout, () => {
+				request.abort();
+				reject(new Error('Token introspection request timed out.'));
+			});
+			request.on('error', reject);
+			request.end(querystring.stringify({
+				token: token,
+				token_type_hint: 'access_token'
+			}));
+		});
+	}
+
+	/**
+	 * Convert introspection response to the token information.
+	 *
+	 * @private
+	 * @param {Object} res The introspection response.
+	 * @returns {Object} The token information.
+	 */
+	_toTokenInfo(res) {
+
+		if (!res || (res.active !== true))
+			return { error: 'The access token is not active.' };
+
+		if ((res.exp !== undefined) && !Number.isFinite(res.exp))
+			return { error: 'Invalid token expiration.' };
+		if ((res.exp !== undefined) && (Date.now() >= res.exp * 1000))
+			return { error: 'The access token expired.' };
+
+		const handle = res[this._handleClaim];
+		if (((typeof handle) !== 'string') || (handle.length === 0))
+			return { error: 'Token does not identify the actor.' };
+
+		const scopes = new Set(
+			(typeof res.scope) === 'string' ? res.scope.split(/\s+/) : []);
+
+		return {
+			handle: handle,
+			exp: res.exp,
+			insufficientScope: !this._requiredScopes.every(
+				scope => scopes.has(scope))
+		};
+	}
+}
+
+// export the class
+module.exports = IntrospectionAuthenticator;
@@ -0,0 +1,444 @@
+'use strict';
+
+const crypto = require('crypto');
+const common = require('x2node-common');
+
+const BearerAuthenticator = require('./bearer-authenticator.js');
+
+
+/**
+ * JSON Web Key Set document (see
+ * [RFC 7517]{@link https://tools.ietf.org/html/rfc7517#section-5}).
+ *
+ * @typedef {Object} module:x2node-ws.JwtAuthenticator~KeySet
+ * @property {Array.<Object>} keys The keys. Supported are "RSA" keys, "EC" keys
+ * on the "P-256" curve and "oct" keys. Keys with <code>use</code> other than
+ * "sig" are ignored.
+ */
+
+/**
+ * Supported signature algorithms and their key types.
+ *
+ * @private
+ * @constant {Object.<string,Object>}
+ */
+const ALGORITHMS = {
+	'HS256': { kty: 'oct', hash: 'sha256' },
+	'RS256': { kty: 'RSA', hash: 'RSA-SHA256' },
+	'ES256': { kty: 'EC', hash: 'sha256', sigLength: 64 }
+};
+
+/**
+ * Default clock skew tolerance in seconds.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_CLOCK_SKEW = 30;
+
+/**
+ * DER encoded "rsaEncryption" algorithm identifier.
+ *
+ * @private
+ * @constant {external:Buffer}
+ */
+const RSA_ALGORITHM_ID = Buffer.from(
+	'300d06092a864886f70d0101010500', 'hex');
+
+/**
+ * DER encoded "ecPublicKey" algorithm identifier with "prime256v1" curve.
+ *
+ * @private
+ * @constant {external:Buffer}
+ */
+const EC_P256_ALGORITHM_ID = Buffer.from(
+	'301306072a8648ce3d020106082a8648ce3d030107', 'hex');
+
+/**
+ * Decode Base64URL encoded string.
+ *
+ * @private
+ * @param {string} str The encoded string.
+ * @returns {external:Buffer} The decoded data.
+ */
+function decodeBase64Url(str) {
+
+	return Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Encode DER element.
+ *
+ * @private
+ * @param {number} tag Element tag.
+ * @param {external:Buffer} content Element content.
+ * @returns {external:Buffer} The encoded element.
+ */
+function der(tag, content) {
+
+	const len = content.length;
+	let header;
+	if (len < 0x80) {
+		header = Buffer.from([ tag, len ]);
+	} else {
+		const lenBytes = new Array();
+		for (let l = len; l > 0; l >>= 8)
+			lenBytes.unshift(l & 0xff);
+		header = Buffer.from([ tag, 0x80 | lenBytes.length ].concat(lenBytes));
+	}
+
+	return Buffer.concat([ header, content ]);
+}
+
+/**
+ * Encode unsigned big-endian integer as DER INTEGER element.
+ *
+ * @private
+ * @param {external:Buffer} value The integer bytes.
+ * @returns {external:Buffer} The encoded element.
+ */
+function derUInt(value) {
+
+	let start = 0;
+	while ((start < value.length - 1) && (value[start] === 0))
+		start++;
+	const bytes = value.slice(start);
+
+	return der(0x02, (
+		bytes[0] & 0x80 ? Buffer.concat([ Buffer.from([ 0 ]), bytes ]) : bytes));
+}
+
+/**
+ * Convert public JWK to PEM encoded SubjectPublicKeyInfo.
+ *
+ * @private
+ * @param {Object} jwk The key.
+ * @returns {string} The PEM.
+ * @throws {module:x2node-common.X2UsageError} If the key is invalid.
+ */
+function jwkToPem(jwk) {
+
+	let spki;
+	if ((jwk.kty === 'RSA') && jwk.n && jwk.e) {
+		spki = der(0x30, Buffer.concat([
+			RSA_ALGORITHM_ID,
+			der(0x03, Buffer.concat([
+				Buffer.from([ 0 ]),
+				der(0x30, Buffer.concat([
+					derUInt(decodeBase64Url(jwk.n)),
+					derUInt(decodeBase64Url(jwk.e))
+				]))
+			]))
+		]));
+	} else if ((jwk.kty === 'EC') && (jwk.crv === 'P-256') && jwk.x && jwk.y) {
+		spki = der(0x30, Buffer.concat([
+			EC_P256_ALGORITHM_ID,
+			der(0x03, Buffer.concat([
+				Buffer.from([ 0, 0x04 ]),
+				decodeBase64Url(jwk.x),
+				decodeBase64Url(jwk.y)
+			]))
+		]));
+	} else {
+		throw new common.X2UsageError(
+			`Unsupported or invalid JWK${jwk.kid ? ' ' + jwk.kid : ''}.`);
+	}
+
+	return '-----BEGIN PUBLIC KEY-----\n' +
+		spki.toString('base64').replace(/(.{64})/g, '$1\n').replace(/\n$/, '') +
+		'\n-----END PUBLIC KEY-----\n';
+}
+
+/**
+ * Convert ECDSA signature from the JWS format (concatenated R and S) to DER.
+ *
+ * @private
+ * @param {external:Buffer} sig The JWS signature.
+ * @returns {external:Buffer} DER encoded signature.
+ */
+function ecSignatureToDer(sig) {
+
+	const half = sig.length / 2;
+
+	return der(0x30, Buffer.concat([
+		derUInt(sig.slice(0, half)), derUInt(sig.slice(half))
+	]));
+}
+
+/**
+ * Authenticator that validates JSON Web Tokens (see
+ * [RFC 7519]{@link https://tools.ietf.org/html/rfc7519}) presented as
+ * "Bearer" tokens. The token signature is verified using HS256, RS256 or ES256
+ * algorithm, the token time and issuer and audience claims are validated, and
+ * the actor is looked up in the actors registry by the handle taken from a token
+ * claim (the "sub" claim by default).
+ *
+ * @memberof module:x2node-ws
+ * @extends module:x2node-ws.BearerAuthenticator
+ */
+class JwtAuthenticator extends BearerAuthenticator {
+
+	/**
+	 * Create new authenticator. At least one of the <code>secret</code>,
+	 * <code>publicKey</code> and <code>keySet</code> options must be provided.
+	 *
+	 * @param {module:x2node-ws.ActorsRegistry} actorsRegistry Actors registry.
+	 * The registry's <code>lookupActor()</code> method is called with the
+	 * handle only.
+	 * @param {Object} options Authenticator options.
+	 * @param {(string|external:Buffer)} [options.secret] Shared secret for
+	 * HS256 tokens.
+	 * @param {string} [options.publicKey] PEM encoded public key for RS256 or
+	 * ES256 tokens.
+	 * @param {module:x2node-ws.JwtAuthenticator~KeySet} [options.keySet] Key
+	 * set. If the token header has "kid", the key with the matching "kid" is
+	 * used.
+	 * @param {Array.<string>} [options.algorithms] Allowed algorithms. By
+	 * default, all supported algorithms, for which there are keys, are
+	 * allowed.
+	 * @param {(string|Array.<string>)} [options.issuer] Allowed token issuers.
+	 * If specified, the token must have a matching "iss" claim.
+	 * @param {(string|Array.<string>)} [options.audience] Allowed token
+	 * audiences. If specified, the token must have a matching "aud" claim.
+	 * @param {number} [options.clockSkew=30] Clock skew tolerance in seconds
+	 * used when validating token times.
+	 * @param {number} [options.maxAge] Maximum token age in seconds. If
+	 * specified, the token must have "iat" claim.
+	 * @param {string} [options.handleClaim=sub] Name of the claim that has the
+	 * actor handle.
+	 * @param {string} [options.realm] Realm to include in the challenge.
+	 * @throws {module:x2node-common.X2UsageError} If the options are invalid.
+	 */
+	constructor(actorsRegistry, options) {
+		super(options && options.realm);
+
+		const opts = (options || {});
+
+		this._actorsRegistry = actorsRegistry;
+
+		this._secret = (
+			opts.secret !== undefined ? Buffer.from(opts.secret) : undefined);
+		this._publicKey = opts.publicKey;
+		this._keysById = new Map();
+		this._keys = new Array();
+		if (opts.keySet)
+			this.setKeySet(opts.keySet);
+		if (!this._secret && !this._publicKey && !opts.keySet)
+			throw new common.X2UsageError(
+				'No JWT verification keys provided.');
+
+		this._algorithms = (opts.algorithms || Object.keys(ALGORITHMS));
+		for (let alg of this._algorithms)
+			if (!ALGORITHMS[alg])
+				throw new common.X2UsageError(
+					`Unsupported JWT algorithm ${alg}.`);
+
+		this._issuers = (
+			opts.issuer !== undefined ? [].concat(opts.issuer) : null);
+		this._audiences = (
+			opts.audience !== undefined ? [].concat(opts.audience) : null);
+		this._clockSkew = (
+			opts.clockSkew !== undefined ? opts.clockSkew : DEFAULT_CLOCK_SKEW);
+		this._maxAge = opts.maxAge;
+		this._handleClaim = (opts.handleClaim || 'sub');
+	}
+
+	/**
+	 * Replace the key set. Used to rotate the keys without restarting the
+	 * application. During rotation, the key set should include both the old
+	 * and the new keys until tokens signed with the old keys expire.
+	 *
+	 * @param {module:x2node-ws.JwtAuthenticator~KeySet} keySet The new key set.
+	 * @throws {module:x2node-common.X2UsageError} If the key set is invalid.
+	 */
+	setKeySet(keySet) {
+
+		if (!keySet || !Array.isArray(keySet.keys))
+			throw new common.X2UsageError('Invalid JWK set.');
+
+		const keysById = new Map();
+		const keys = new Array();
+		for (let jwk of keySet.keys) {
+			if (jwk.use && (jwk.use !== 'sig'))
+				continue;
+			if ((jwk.kty === 'oct') && !jwk.k)
+				throw new common.X2UsageError(
+					`Invalid JWK${jwk.kid ? ' ' + jwk.kid : ''}.`);
+			const key = {
+				kty: jwk.kty,
+				alg: jwk.alg,
+				data: (
+					jwk.kty === 'oct' ? decodeBase64Url(jwk.k) : jwkToPem(jwk))
+			};
+			if (jwk.kid !== undefined)
+				keysById.set(jwk.kid, key);
+			keys.push(key);
+		}
+
+		this._keysById = keysById;
+		this._keys = keys;
+	}
+
+	// validate the token
+	validateToken(token, call) {
+
+		// parse the token
+		const parts = token.split('.');
+		if (parts.length !== 3)
+			return this.rejectToken(call, 'Malformed token.');
+		let header, claims;
+		try {
+			header = JSON.parse(decodeBase64Url(parts[0]).toString('utf8'));
+			claims = JSON.parse(decodeBase64Url(parts[1]).toString('utf8'));
+		} catch (err) {
+			return this.rejectToken(call, 'Malformed token.');
+		}
+		if ((typeof header) !== 'object' || (header === null) ||
+			(typeof claims) !== 'object' || (claims === null))
+			return this.rejectToken(call, 'Malformed token.');
+
+		// check the algorithm
+		const alg = header.alg;
+		if (!this._algorithms.includes(alg) || !ALGORITHMS[alg])
+			return this.rejectToken(call, 'Unsupported token algorithm.');
+		if (header.crit !== undefined)
+			return this.rejectToken(call, 'Unsupported critical header.');
+
+		// verify the signature
+		const keys = this._getVerificationKeys(alg, header.kid);
+		if (keys.length === 0)
+			return this.rejectToken(call, 'Unknown token signing key.');
+		const signingInput = parts[0] + '.' + parts[1];
+		const sig = decodeBase64Url(parts[2]);
+		if (!keys.some(key => this._verify(alg, key, signingInput, sig)))
+			return this.rejectToken(call, 'Invalid token signature.');
+
+		// validate the claims
+		const error = this._validateClaims(claims);
+		if (error)
+			return this.rejectToken(call, error);
+
+		// get the actor handle
+		const handle = claims[this._handleClaim];
+		if (((typeof handle) !== 'string') || (handle.length === 0))
+			return this.rejectToken(call, 'Token does not identify the actor.');
+
+		// look up the actor
+		return Promise.resolve(this._actorsRegistry.lookupActor(handle)).then(
+			actor => (actor || this.rejectToken(call, 'Unknown actor.'))
+		);
+	}
+
+	/**
+	 * Get keys that can be used to verify token signature.
+	 *
+	 * @private
+	 * @param {string} alg The token algorithm.
+	 * @param {string} [kid] The token key id, if any.
+	 * @returns {Array.<Object>} The keys, each with <code>kty</code> and
+	 * <code>data</code> properties.
+	 */
+	_getVerificationKeys(alg, kid) {
+
+		const kty = ALGORITHMS[alg].kty;
+		const matches = (key => (
+			(key.kty === kty) && (!key.alg || (key.alg === alg))));
+
+		if (kid !== undefined) {
+			const key = this._keysById.get(kid);
+			return (key && matches(key) ? [ key ] : []);
+		}
+
+		const keys = this._keys.filter(matches);
+		if ((kty === 'oct') && this._secret)
+			keys.push({ kty: kty, data: this._secret });
+		if ((kty !== 'oct') && this._publicKey)
+			keys.push({ kty: kty, data: this._publicKey });
+
+		return keys;
+	}
+
+	/**
+	 * Verify token signature.
+	 *
+	 * @private
+	 * @param {string} alg The token algorithm.
+	 * @param {Object} key The key.
+	 * @param {string} signingInput The signed part of the token.
+	 * @param {external:Buffer} sig The signature.
+	 * @returns {boolean} <code>true</code> if the signature is valid.
+	 */
+	_verify(alg, key, signingInput, sig) {
+
+		const algDesc = ALGORITHMS[alg];
+
+		if (key.kty === 'oct') {
+			const expected = crypto.createHmac(algDesc.hash, key.data)
+				.update(signingInput).digest();
+			return (
+				(expected.length === sig.length) &&
+					crypto.timingSafeEqual(expected, sig));
+		}
+
+		if (algDesc.sigLength && (sig.length !== algDesc.sigLength))
+			return false;
+
+		try {
+			return crypto.createVerify(algDesc.hash)
+				.update(signingInput)
+				.verify(key.data, (
+					key.kty === 'EC' ? ecSignatureToDer(sig) : sig));
+		} catch (err) {
+			common.error('error verifying JWT signature', err);
+			return false;
+		}
+	}
+
+	/**
+	 * Validate token claims.
+	 *
+	 * @private
+	 * @param {Object} claims The token claims.
+	 * @returns {string} Error description if the claims are invalid, or
+	 * nothing if valid.
+	 */
+	_validateClaims(claims) {
+
+		const now = Date.now() / 1000;
+		const skew = this._clockSkew;
+
+		for (let claim of [ 'exp', 'nbf', 'iat' ])
+			if ((claims[claim] !== undefined) &&
+				!Number.isFinite(claims[claim]))
+				return `Invalid ${claim} claim.`;
+
+		if ((claims.exp !== undefined) && (now > claims.exp + skew))
+			return 'The access token expired.';
+
+		if ((claims.nbf !== undefined) && (now < claims.nbf - skew))
+			return 'The access token is not yet valid.';
+
+		if (claims.iat !== undefined) {
+			if (claims.iat > now + skew)
+				return 'The access token is issued in the future.';
+			if ((this._maxAge !== undefined) &&
+				(now > claims.iat + this._maxAge + skew))
+				return 'The access token expired.';
+		} else if (this._maxAge !== undefined) {
+			return 'The access token has no issue time.';
+		}
+
+		if (this._issuers && !this._issuers.includes(claims.iss))
+			return 'Invalid token issuer.';
+
+		if (this._audiences) {
+			const audiences = [].concat(
+				claims.aud !== undefined ? claims.aud : []);
+			if (!audiences.some(aud => this._audiences.includes(aud)))
+				return 'Invalid token audience.';
+		}
+	}
+}
+
+// export the class
+module.exports = JwtAuthenticator;
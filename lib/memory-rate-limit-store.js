@@ -0,0 +1,77 @@
+'use strict';
+
+
+/**
+ * Interval in milliseconds between purges of full buckets.
+ *
+ * @private
+ * @constant {number}
+ */
+const PURGE_INTERVAL = 60000;
+
+/**
+ * Rate limit store that keeps token buckets in the process memory. Buckets that
+ * have been refilled completely are periodically purged.
+ *
+ * @memberof module:x2node-ws
+ * @implements module:x2node-ws.RateLimitStore
+ */
+class MemoryRateLimitStore {
+
+	/**
+	 * Create new empty store.
+	 */
+	constructor() {
+
+		this._buckets = new Map();
+		this._nextPurge = Date.now() + PURGE_INTERVAL;
+	}
+
+	// take a token
+	take(key, capacity, refillRate) {
+
+		const now = Date.now();
+
+		// purge full buckets
+		if (now >= this._nextPurge) {
+			this._nextPurge = now + PURGE_INTERVAL;
+			for (let entry of this._buckets.entries()) {
+				const bucket = entry[1];
+				if (bucket.tokens + (now - bucket.updated) / 1000 *
+					bucket.refillRate >= bucket.capacity)
+					this._buckets.delete(entry[0]);
+			}
+		}
+
+		// get and refill the bucket
+		let bucket = this._buckets.get(key);
+		if (bucket) {
+			bucket.tokens = Math.min(
+				capacity,
+				bucket.tokens + (now - bucket.updated) / 1000 * refillRate);
+		} else {
+			bucket = { tokens: capacity };
+			this._buckets.set(key, bucket);
+		}
+		bucket.updated = now;
+		bucket.capacity = capacity;
+		bucket.refillRate = refillRate;
+
+		// take a token if available
+		const taken = (bucket.tokens >= 1);
+		if (taken)
+			bucket.tokens -= 1;
+
+		// return the result
+		return {
+			taken: taken,
+			remaining: Math.floor(bucket.tokens),
+			reset: Math.ceil((capacity - bucket.tokens) / refillRate),
+			retryAfter: (
+				taken ? 0 : Math.ceil((1 - bucket.tokens) / refillRate))
+		};
+	}
+}
+
+// export the class
+module.exports = MemoryRateLimitStore;
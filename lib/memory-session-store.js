@@ -0,0 +1,74 @@
+'use strict';
+
+
+/**
+ * Interval in milliseconds between purges of expired sessions.
+ *
+ * @private
+ * @constant {number}
+ */
+const PURGE_INTERVAL = 60000;
+
+/**
+ * Session store that keeps sessions in the process memory. Expired sessions
+ * are periodically purged.
+ *
+ * @memberof module:x2node-ws
+ * @implements module:x2node-ws.SessionStore
+ */
+class MemorySessionStore {
+
+	/**
+	 * Create new empty store.
+	 */
+	constructor() {
+
+		this._sessions = new Map();
+		this._nextPurge = Date.now() + PURGE_INTERVAL;
+	}
+
+	// get session
+	get(sessionId) {
+
+		const now = Date.now();
+
+		const element = this._sessions.get(sessionId);
+		if (!element)
+			return null;
+		if (element.expireAt <= now) {
+			this._sessions.delete(sessionId);
+			return null;
+		}
+
+		return element.session;
+	}
+
+	// save session
+	set(sessionId, session, ttl) {
+
+		const now = Date.now();
+
+		// purge expired sessions
+		if (now >= this._nextPurge) {
+			this._nextPurge = now + PURGE_INTERVAL;
+			for (let entry of this._sessions.entries())
+				if (entry[1].expireAt <= now)
+					this._sessions.delete(entry[0]);
+		}
+
+		// save the session
+		this._sessions.set(sessionId, {
+			session: session,
+			expireAt: now + ttl * 1000
+		});
+	}
+
+	// delete session
+	delete(sessionId) {
+
+		this._sessions.delete(sessionId);
+	}
+}
+
+// export the class
+module.exports = MemorySessionStore;
@@ -0,0 +1,283 @@
+'use strict';
+
+const ServiceResponse = require('./service-response.js');
+
+
+/**
+ * Default request duration histogram buckets in seconds.
+ *
+ * @private
+ * @constant {Array.<number>}
+ */
+const DEFAULT_DURATION_BUCKETS = [
+	0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10
+];
+
+/**
+ * Request and response size histogram buckets in bytes.
+ *
+ * @private
+ * @constant {Array.<number>}
+ */
+const SIZE_BUCKETS = [ 100, 1000, 10000, 100000, 1000000, 10000000 ];
+
+/**
+ * Prometheus text exposition format content type.
+ *
+ * @private
+ * @constant {string}
+ */
+const EXPOSITION_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Histogram metric.
+ *
+ * @private
+ */
+class Histogram {
+
+	/**
+	 * Create new histogram.
+	 *
+	 * @param {string} name Metric name.
+	 * @param {string} help Metric description.
+	 * @param {Array.<number>} buckets Bucket upper bounds in ascending order.
+	 */
+	constructor(name, help, buckets) {
+
+		this._name = name;
+		this._help = help;
+		this._buckets = buckets;
+
+		this._series = new Map();
+	}
+
+	/**
+	 * Add observation.
+	 *
+	 * @param {Object.<string,string>} labels Series labels.
+	 * @param {number} value Observed value.
+	 */
+	observe(labels, value) {
+
+		const key = formatLabels(labels);
+		let series = this._series.get(key);
+		if (!series) {
+			series = {
+				labels: labels,
+				counts: this._buckets.map(() => 0),
+				sum: 0,
+				count: 0
+			};
+			this._series.set(key, series);
+		}
+
+		for (let i = this._buckets.length - 1; i >= 0; i--) {
+			if (value > this._buckets[i])
+				break;
+			series.counts[i]++;
+		}
+		series.sum += value;
+		series.count++;
+	}
+
+	/**
+	 * Render the metric in the text exposition format.
+	 *
+	 * @returns {string} The metric text.
+	 */
+	render() {
+
+		const name = this._name;
+		let res = `# HELP ${name} ${this._help}\n# TYPE ${name} histogram\n`;
+		for (let series of this._series.values()) {
+			for (let i = 0; i < this._buckets.length; i++)
+				res += `${name}_bucket` + formatLabels(Object.assign(
+					{}, series.labels, { le: String(this._buckets[i]) })) +
+					` ${series.counts[i]}\n`;
+			res += `${name}_bucket` + formatLabels(Object.assign(
+				{}, series.labels, { le: '+Inf' })) + ` ${series.count}\n`;
+			const labels = formatLabels(series.labels);
+			res += `${name}_sum${labels} ${series.sum}\n`;
+			res += `${name}_count${labels} ${series.count}\n`;
+		}
+
+		return res;
+	}
+}
+
+/**
+ * Counter metric.
+ *
+ * @private
+ */
+class Counter {
+
+	/**
+	 * Create new counter.
+	 *
+	 * @param {string} name Metric name.
+	 * @param {string} help Metric description.
+	 */
+	constructor(name, help) {
+
+		this._name = name;
+		this._help = help;
+
+		this._series = new Map();
+	}
+
+	/**
+	 * Increment the counter.
+	 *
+	 * @param {Object.<string,string>} labels Series labels.
+	 */
+	inc(labels) {
+
+		const key = formatLabels(labels);
+		this._series.set(key, (this._series.get(key) || 0) + 1);
+	}
+
+	/**
+	 * Render the metric in the text exposition format.
+	 *
+	 * @returns {string} The metric text.
+	 */
+	render() {
+
+		const name = this._name;
+		let res = `# HELP ${name} ${this._help}\n# TYPE ${name} counter\n`;
+		for (let entry of this._series.entries())
+			res += `${name}${entry[0]} ${entry[1]}\n`;
+
+		return res;
+	}
+}
+
+/**
+ * Format metric series labels.
+ *
+ * @private
+ * @param {Object.<string,string>} labels The labels.
+ * @returns {string} Labels in the text exposition format, or empty string if
+ * no labels.
+ */
+function formatLabels(labels) {
+
+	const names = Object.keys(labels);
+	if (names.length === 0)
+		return '';
+
+	return '{' + names.map(name => `${name}="` + String(labels[name])
+		.replace(/\\/g, '\\\\')
+		.replace(/"/g, '\\"')
+		.replace(/\n/g, '\\n') + '"').join(',') + '}';
+}
+
+/**
+ * Render gauge metric.
+ *
+ * @private
+ * @param {string} name Metric name.
+ * @param {string} help Metric description.
+ * @param {number} value Current value.
+ * @returns {string} The metric text.
+ */
+function renderGauge(name, help, value) {
+
+	return `# HELP ${name} ${help}\n# TYPE ${name} gauge\n${name} ${value}\n`;
+}
+
+/**
+ * Collector of the application metrics, which also serves as the handler for
+ * the built-in metrics endpoint that exposes the metrics in
+ * [Prometheus]{@link https://prometheus.io/} text exposition format.
+ *
+ * @protected
+ * @memberof module:x2node-ws
+ * @inner
+ * @implements module:x2node-ws.Handler
+ */
+class MetricsCollector {
+
+	/**
+	 * Create new collector.
+	 *
+	 * @param {module:x2node-ws~Application} app The application.
+	 * @param {Array.<number>} [durationBuckets] Request duration histogram
+	 * buckets in seconds.
+	 */
+	constructor(app, durationBuckets) {
+
+		this._app = app;
+
+		this._requestDuration = new Histogram(
+			'http_request_duration_seconds',
+			'Time from receiving the request to completing the response.',
+			(durationBuckets || DEFAULT_DURATION_BUCKETS).slice().sort(
+				(a, b) => (a - b)));
+		this._requestSize = new Histogram(
+			'http_request_size_bytes',
+			'Size of the request entity as received.',
+			SIZE_BUCKETS);
+		this._responseSize = new Histogram(
+			'http_response_size_bytes',
+			'Size of the response entity as sent.',
+			SIZE_BUCKETS);
+		this._responses = new Counter(
+			'http_responses_total',
+			'Completed responses by request method and response status code.');
+		this._authFailures = new Counter(
+			'http_authentication_failures_total',
+			'Calls rejected with a 401 (Unauthorized) response.');
+	}
+
+	/**
+	 * Record completed call.
+	 *
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {number} statusCode Response status code.
+	 */
+	recordCall(call, statusCode) {
+
+		const endpoint = (call.endpointUriPattern || '');
+		const method = call.method;
+		const labels = { endpoint: endpoint, method: method };
+
+		this._requestDuration.observe(
+			labels, (Date.now() - call.timestamp) / 1000);
+		this._requestSize.observe(labels, call.bytesReceived);
+		this._responseSize.observe(labels, call.bytesSent);
+		this._responses.inc({ method: method, status: String(statusCode) });
+		if (statusCode === 401)
+			this._authFailures.inc({ endpoint: endpoint });
+	}
+
+	// respond with the metrics
+	GET() {
+
+		const stats = this._app.getStats();
+
+		return (new ServiceResponse(200))
+			.setHeader('Cache-Control', 'no-store')
+			.setEntity(Buffer.from(
+				renderGauge(
+					'http_open_connections',
+					'Currently open HTTP connections.',
+					stats.openConnections) +
+				renderGauge(
+					'http_requests_in_flight',
+					'Calls currently being processed.',
+					stats.inFlightCalls) +
+				this._requestDuration.render() +
+				this._requestSize.render() +
+				this._responseSize.render() +
+				this._responses.render() +
+				this._authFailures.render(),
+				'utf8'
+			), EXPOSITION_CONTENT_TYPE);
+	}
+}
+
+// export the class
+module.exports = MetricsCollector;
@@ -0,0 +1,268 @@
+'use strict';
+
+const EventEmitter = require('events');
+const common = require('x2node-common');
+
+
+/**
+ * Maximum allowed size of a part's headers block in bytes.
+ *
+ * @private
+ * @constant {number}
+ */
+const MAX_PART_HEADERS_SIZE = 8192;
+
+/**
+ * Parser states.
+ *
+ * @private
+ * @enum {number}
+ */
+const STATE = {
+	PREAMBLE: 0,
+	DELIMITER: 1,
+	HEADERS: 2,
+	BODY: 3,
+	EPILOGUE: 4
+};
+
+const CRLF = Buffer.from('\r\n', 'ascii');
+const CRLFCRLF = Buffer.from('\r\n\r\n', 'ascii');
+const DASHDASH = Buffer.from('--', 'ascii');
+
+/**
+ * Multipart payload part event. Fired when a complete part has been parsed.
+ *
+ * @event module:x2node-ws~MultipartParser#part
+ * @type {Object}
+ * @property {Object.<string,string>} headers Part headers. All header names are
+ * lowercase.
+ * @property {external:Buffer} data Part body.
+ */
+
+/**
+ * Streaming parser for multipart payloads (see
+ * [RFC 2046]{@link https://tools.ietf.org/html/rfc2046#section-5.1}). The
+ * payload is fed to the parser chunk by chunk as it is being read and the
+ * parser fires a "part" event for each complete part it finds. Only the body of
+ * the part that is currently being parsed is buffered.
+ *
+ * @protected
+ * @memberof module:x2node-ws
+ * @inner
+ * @extends external:EventEmitter
+ * @fires module:x2node-ws~MultipartParser#part
+ */
+class MultipartParser extends EventEmitter {
+
+	/**
+	 * Create new parser.
+	 *
+	 * @param {string} boundary The boundary from the payload content type.
+	 */
+	constructor(boundary) {
+		super();
+
+		this._delimiter = Buffer.from(`\r\n--${boundary}`, 'latin1');
+
+		// the first delimiter may not be preceded by CRLF if no preamble
+		this._buf = CRLF;
+
+		this._state = STATE.PREAMBLE;
+		this._partHeaders = null;
+		this._partBodyBufs = null;
+	}
+
+	/**
+	 * Feed next chunk of the payload to the parser.
+	 *
+	 * @param {external:Buffer} chunk Payload data chunk.
+	 * @throws {module:x2node-common.X2DataError} If the payload is malformed.
+	 */
+	write(chunk) {
+
+		this._buf = (
+			this._buf.length > 0 ? Buffer.concat([ this._buf, chunk ]) : chunk);
+
+		while (this._parseNext());
+	}
+
+	/**
+	 * Tell the parser that the whole payload has been fed to it.
+	 *
+	 * @throws {module:x2node-common.X2DataError} If the payload is incomplete.
+	 */
+	end() {
+
+		if (this._state !== STATE.EPILOGUE)
+			throw new common.X2DataError(
+				'Unexpected end of multipart payload.');
+	}
+
+	/**
+	 * Make the next parsing step on the buffered data.
+	 *
+	 * @private
+	 * @returns {boolean} <code>true</code> if parsing can continue,
+	 * <code>false</code> if more data is needed.
+	 */
+	_parseNext() {
+
+		const buf = this._buf;
+		const delimiter = this._delimiter;
+
+		switch (this._state) {
+		case STATE.PREAMBLE: {
+
+			// find the first delimiter, skip everything before it
+			const ind = buf.indexOf(delimiter);
+			if (ind < 0) {
+				this._buf = this._keepTail(buf, delimiter.length - 1);
+				return false;
+			}
+			this._buf = buf.slice(ind + delimiter.length);
+			this._state = STATE.DELIMITER;
+
+			return true;
+		}
+		case STATE.DELIMITER: {
+
+			// check if the close delimiter
+			if (buf.length < DASHDASH.length)
+				return false;
+			if (buf.slice(0, DASHDASH.length).equals(DASHDASH)) {
+				this._buf = buf.slice(0, 0);
+				this._state = STATE.EPILOGUE;
+				return false;
+			}
+
+			// skip transport padding up to the line end
+			const ind = buf.indexOf(CRLF);
+			if (ind < 0) {
+				if (buf.length > MAX_PART_HEADERS_SIZE)
+					throw new common.X2DataError(
+						'Invalid multipart delimiter line.');
+				return false;
+			}
+			if (!/^[ \t]*$/.test(buf.toString('latin1', 0, ind)))
+				throw new common.X2DataError(
+					'Invalid multipart delimiter line.');
+			this._buf = buf.slice(ind + CRLF.length);
+			this._state = STATE.HEADERS;
+
+			return true;
+		}
+		case STATE.HEADERS: {
+
+			// find the end of the headers block
+			let headersEnd, bodyStart;
+			if ((buf.length >= CRLF.length) &&
+				buf.slice(0, CRLF.length).equals(CRLF)) {
+				headersEnd = 0;
+				bodyStart = CRLF.length;
+			} else {
+				headersEnd = buf.indexOf(CRLFCRLF);
+				if (headersEnd < 0) {
+					if (buf.length > MAX_PART_HEADERS_SIZE)
+						throw new common.X2DataError(
+							'Multipart part headers are too large.');
+					return false;
+				}
+				bodyStart = headersEnd + CRLFCRLF.length;
+			}
+			if (headersEnd > MAX_PART_HEADERS_SIZE)
+				throw new common.X2DataError(
+					'Multipart part headers are too large.');
+
+			// parse the headers
+			this._partHeaders = this._parseHeaders(
+				buf.toString('latin1', 0, headersEnd));
+			this._partBodyBufs = new Array();
+			this._buf = buf.slice(bodyStart);
+			this._state = STATE.BODY;
+
+			return true;
+		}
+		case STATE.BODY: {
+
+			// find the delimiter that ends the part
+			const ind = buf.indexOf(delimiter);
+			if (ind < 0) {
+				const keepLength = delimiter.length - 1;
+				if (buf.length > keepLength) {
+					this._partBodyBufs.push(
+						buf.slice(0, buf.length - keepLength));
+					this._buf = this._keepTail(buf, keepLength);
+				}
+				return false;
+			}
+
+			// complete the part
+			this._partBodyBufs.push(buf.slice(0, ind));
+			const part = {
+				headers: this._partHeaders,
+				data: Buffer.concat(this._partBodyBufs)
+			};
+			this._partHeaders = null;
+			this._partBodyBufs = null;
+			this._buf = buf.slice(ind + delimiter.length);
+			this._state = STATE.DELIMITER;
+			this.emit('part', part);
+
+			return true;
+		}
+		default: // epilogue, ignore everything
+			this._buf = buf.slice(0, 0);
+			return false;
+		}
+	}
+
+	/**
+	 * Get copy of the specified number of bytes at the end of the buffer.
+	 *
+	 * @private
+	 * @param {external:Buffer} buf The buffer.
+	 * @param {number} length Number of bytes to keep.
+	 * @returns {external:Buffer} Buffer with the tail bytes.
+	 */
+	_keepTail(buf, length) {
+
+		return Buffer.from(buf.slice(Math.max(buf.length - length, 0)));
+	}
+
+	/**
+	 * Parse part headers block.
+	 *
+	 * @private
+	 * @param {string} headersBlock The headers block without the terminating
+	 * empty line.
+	 * @returns {Object.<string,string>} The headers with lowercase names.
+	 * @throws {module:x2node-common.X2DataError} If the headers are malformed.
+	 */
+	_parseHeaders(headersBlock) {
+
+		const headers = new Object();
+		if (headersBlock.length === 0)
+			return headers;
+
+		for (let line of headersBlock.split('\r\n').reduce((res, line) => {
+			if (/^[ \t]/.test(line) && (res.length > 0))
+				res[res.length - 1] += ' ' + line.trim();
+			else
+				res.push(line);
+			return res;
+		}, new Array())) {
+			const colInd = line.indexOf(':');
+			if (colInd <= 0)
+				throw new common.X2DataError(
+					'Invalid multipart part header.');
+			headers[line.substring(0, colInd).trim().toLowerCase()] =
+				line.substring(colInd + 1).trim();
+		}
+
+		return headers;
+	}
+}
+
+// export the class
+module.exports = MultipartParser;
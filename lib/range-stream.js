@@ -0,0 +1,128 @@
+'use strict';
+
+const stream = require('stream');
+
+
+/**
+ * Byte range descriptor.
+ *
+ * @protected
+ * @typedef {Object} module:x2node-ws~RangeStream~Range
+ * @property {number} start First byte position (inclusive).
+ * @property {number} end Last byte position (inclusive).
+ * @property {external:Buffer} [prefix] Data to output before the range bytes.
+ * @property {external:Buffer} [suffix] Data to output after the range bytes.
+ */
+
+/**
+ * Stream that extracts byte ranges from the source stream in a single pass. The
+ * ranges must be sorted and must not overlap. Each range can be surrounded by
+ * prefix and suffix data, which allows building "multipart/byteranges"
+ * payloads. Once all the ranges are extracted, the stream ends and stops
+ * reading the source stream. If the source stream supports it, it is
+ * destroyed.
+ *
+ * @protected
+ * @memberof module:x2node-ws
+ * @inner
+ * @extends stream.external:Transform
+ */
+class RangeStream extends stream.Transform {
+
+	/**
+	 * Create new stream and pipe the source stream into it.
+	 *
+	 * @param {stream.external:Readable} source The source stream.
+	 * @param {Array.<module:x2node-ws~RangeStream~Range>} ranges The ranges.
+	 * @param {external:Buffer} [trailer] Data to output after all the ranges.
+	 */
+	constructor(source, ranges, trailer) {
+		super();
+
+		this._source = source;
+		this._ranges = ranges;
+		this._trailer = trailer;
+
+		this._pos = 0;
+		this._rangeInd = 0;
+		this._rangeStarted = false;
+		this._done = false;
+
+		source.on('error', err => { this.emit('error', err); });
+		source.pipe(this);
+	}
+
+	// extract the ranges from the data chunk
+	_transform(chunk, encoding, callback) {
+
+		// discard the data if done
+		if (this._done)
+			return callback();
+
+		// output range bytes in the chunk
+		const chunkStart = this._pos;
+		const chunkEnd = chunkStart + chunk.length;
+		while (this._rangeInd < this._ranges.length) {
+			const range = this._ranges[this._rangeInd];
+			if (range.start >= chunkEnd)
+				break;
+			if (!this._rangeStarted) {
+				if (range.prefix)
+					this.push(range.prefix);
+				this._rangeStarted = true;
+			}
+			const sliceEnd = Math.min(range.end + 1, chunkEnd);
+			this.push(chunk.slice(
+				Math.max(range.start, chunkStart) - chunkStart,
+				sliceEnd - chunkStart));
+			if (sliceEnd < range.end + 1)
+				break;
+			if (range.suffix)
+				this.push(range.suffix);
+			this._rangeStarted = false;
+			this._rangeInd++;
+		}
+		this._pos = chunkEnd;
+
+		// end the stream if all ranges are extracted
+		if (this._rangeInd >= this._ranges.length)
+			this._finish();
+
+		// done with the chunk
+		callback();
+	}
+
+	// end of the source stream
+	_flush(callback) {
+
+		if (!this._done) {
+			this._done = true;
+			if (this._trailer)
+				this.push(this._trailer);
+		}
+
+		callback();
+	}
+
+	/**
+	 * End the stream and stop reading the source.
+	 *
+	 * @private
+	 */
+	_finish() {
+
+		this._done = true;
+
+		if (this._trailer)
+			this.push(this._trailer);
+		this.push(null);
+
+		const source = this._source;
+		source.unpipe(this);
+		if ((typeof source.destroy) === 'function')
+			source.destroy();
+	}
+}
+
+// export the class
+module.exports = RangeStream;
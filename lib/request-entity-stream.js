@@ -0,0 +1,105 @@
+'use strict';
+
+const stream = require('stream');
+
+const ServiceResponse = require('./service-response.js');
+
+
+/**
+ * Readable stream of request entity data provided to handlers that opt in for
+ * request entity streaming. The stream passes the request payload through as-is
+ * while counting the bytes and checking the call's connection state. If the
+ * maximum allowed request size is exceeded, the stream emits an "error" event
+ * with a [ServiceResponse]{@link module:x2node-ws~ServiceResponse} for an HTTP
+ * 413 (Payload Too Large) response, so that the handler can simply reject its
+ * result promise with it. The error is also kept in the stream's
+ * <code>error</code> property for handlers that check it after the fact.
+ *
+ * @protected
+ * @memberof module:x2node-ws
+ * @inner
+ * @extends stream.external:Transform
+ */
+class RequestEntityStream extends stream.Transform {
+
+	/**
+	 * Create new stream.
+	 *
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {number} maxSize Maximum allowed number of bytes, or zero for no
+	 * limit.
+	 */
+	constructor(call, maxSize) {
+		super();
+
+		this._call = call;
+		this._maxSize = maxSize;
+
+		this._bytesRead = 0;
+		this._error = null;
+	}
+
+	/**
+	 * Number of request entity bytes read so far.
+	 *
+	 * @member {number}
+	 * @readonly
+	 */
+	get bytesRead() { return this._bytesRead; }
+
+	/**
+	 * The error, with which the stream failed, or <code>null</code> if it has
+	 * not failed.
+	 *
+	 * @member {*}
+	 * @readonly
+	 */
+	get error() { return this._error; }
+
+	/**
+	 * Make the stream fail with the specified error. The stream stops accepting
+	 * any subsequent data.
+	 *
+	 * @param {*} err The error.
+	 */
+	fail(err) {
+
+		if (this._error)
+			return;
+
+		this._error = err;
+		this.emit('error', err);
+	}
+
+	// pass the data chunk through (stop accepting data if failed)
+	_transform(chunk, encoding, callback) {
+
+		// check if already failed
+		if (this._error)
+			return;
+
+		// check if connection closed
+		if (this._call.connectionClosed)
+			return this.fail(new Error('Connection closed.'));
+
+		// check if the size limit is exceeded
+		this._bytesRead += chunk.length;
+		if ((this._maxSize > 0) && (this._bytesRead > this._maxSize)) {
+			this.fail(
+				(new ServiceResponse(413))
+					.setHeader('Connection', 'close')
+					.setEntity({
+						errorCode: 'X2-413',
+						errorMessage: 'The request entity is too large.'
+					})
+			);
+			return;
+		}
+
+		// pass the chunk through
+		callback(null, chunk);
+	}
+}
+
+// export the class
+module.exports = RequestEntityStream;
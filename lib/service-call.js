@@ -1,8 +1,55 @@
 'use strict';
 
 const url = require('url');
+const common = require('x2node-common');
+
+const CancellationSignal = require('./cancellation-signal.js');
 
 
+/**
+ * Part of a multipart request entity.
+ *
+ * @typedef {Object} module:x2node-ws~ServiceCall~EntityPart
+ * @property {Object.<string,string>} headers Part headers. All header names are
+ * lowercase.
+ * @property {string} contentType Part content type (all lower case, without any
+ * parameters such as charset). If the part does not have a "Content-Type"
+ * header, "text/plain" is assumed.
+ * @property {string} [name] Field name from the part's "Content-Disposition"
+ * header, if any (normally present for "multipart/form-data").
+ * @property {string} [filename] File name from the part's
+ * "Content-Disposition" header, if any.
+ * @property {external:Buffer} data Raw part body.
+ * @property {?Object} entity Part body deserialized using the marshaller (or the
+ * handler's request entity parser) for the part's content type, or
+ * <code>null</code> if there is no marshaller for the content type.
+ */
+
+/**
+ * Client certificate presented over a TLS connection.
+ *
+ * @typedef {Object} module:x2node-ws~ServiceCall~ClientCertificate
+ * @property {boolean} authorized <code>true</code> if the certificate was
+ * verified against the trusted certificate authorities (the <code>ca</code>
+ * TLS option).
+ * @property {?string} authorizationError The reason the certificate was not
+ * verified, or <code>null</code> if authorized.
+ * @property {Object.<string,string>} subject Certificate subject fields (e.g.
+ * <code>CN</code>, <code>O</code>, etc.).
+ * @property {Object.<string,string>} issuer Certificate issuer fields.
+ * @property {?string} subjectAltName The subject alternative names, such as
+ * "DNS:api.example.com, URI:spiffe://example.com/api", or <code>null</code>
+ * if none.
+ * @property {string} serialNumber Certificate serial number as a hex string.
+ * @property {string} fingerprint SHA-1 digest of the certificate as
+ * colon-separated hex bytes.
+ * @property {string} [fingerprint256] SHA-256 digest of the certificate as
+ * colon-separated hex bytes (if supported by the Node.js version).
+ * @property {Date} validFrom Certificate validity start.
+ * @property {Date} validTo Certificate validity end.
+ * @property {external:Buffer} raw DER-encoded certificate.
+ */
+
 /**
  * Web-service call. An instance is created automatically by the framework for
  * each and every web-service call and provides context for all the components
@@ -37,22 +84,53 @@ class ServiceCall {
 		this._actor = null;
 		this._entity = null;
 		this._entityContentType = undefined;
+		this._entityParts = null;
+		this._entityStream = null;
 
 		this._authorized = false;
 
+		this._signal = new CancellationSignal();
+
 		this._connectionClosed = false;
 		this._responseHeaderWritten = false;
 		this._complete = false;
+
+		this._bytesReceived = 0;
+		this._bytesSent = 0;
 	}
 
 	/**
-	 * Tells if the connection was closed unexpectedly.
+	 * Tells if the connection was closed unexpectedly. Setting it to
+	 * <code>true</code> cancels the call.
 	 *
 	 * @protected
 	 * @member {boolean}
 	 */
 	get connectionClosed() { return this._connectionClosed; }
-	set connectionClosed(v) { this._connectionClosed = v; }
+	set connectionClosed(v) {
+		this._connectionClosed = v;
+		if (v)
+			this.cancel(new Error('Connection closed.'));
+	}
+
+	/**
+	 * Cancel the call by aborting its cancellation signal. Does nothing if the
+	 * call has already been cancelled.
+	 *
+	 * @protected
+	 * @param {Error} reason The cancellation reason.
+	 */
+	cancel(reason) {
+
+		if (this._signal.aborted)
+			return;
+
+		try {
+			this._signal.abort(reason);
+		} catch (err) {
+			common.error(`call ${this._id}: error in cancellation listener`, err);
+		}
+	}
 
 	/**
 	 * Tells if HTTP response header has been written.
@@ -72,6 +150,26 @@ class ServiceCall {
 	get complete() { return this._complete; }
 	set complete(v) { this._complete = v; }
 
+	/**
+	 * Number of request entity bytes received so far, as transferred (before
+	 * decoding any content codings).
+	 *
+	 * @protected
+	 * @member {number}
+	 */
+	get bytesReceived() { return this._bytesReceived; }
+	set bytesReceived(v) { this._bytesReceived = v; }
+
+	/**
+	 * Number of response entity bytes sent so far, as transferred (after
+	 * applying any content coding).
+	 *
+	 * @protected
+	 * @member {number}
+	 */
+	get bytesSent() { return this._bytesSent; }
+	set bytesSent(v) { this._bytesSent = v; }
+
 	/**
 	 * Assign authenticator to the call. Only a single authenticator can be
 	 * assigned to a call.
@@ -99,6 +197,36 @@ class ServiceCall {
 		this._authorizers.unshift(authorizer);
 	}
 
+	/**
+	 * Add rate limiter to the call. The rate limiter is added in front of any
+	 * existing rate limiters.
+	 *
+	 * @protected
+	 * @param {module:x2node-ws.RateLimiter} rateLimiter The rate limiter.
+	 */
+	addRateLimiter(rateLimiter) {
+
+		if (!this._rateLimiters)
+			this._rateLimiters = new Array();
+
+		this._rateLimiters.unshift(rateLimiter);
+	}
+
+	/**
+	 * Add interceptor to the call. The interceptor is added in front of any
+	 * existing interceptors.
+	 *
+	 * @protected
+	 * @param {module:x2node-ws.Interceptor} interceptor The interceptor.
+	 */
+	addInterceptor(interceptor) {
+
+		if (!this._interceptors)
+			this._interceptors = new Array();
+
+		this._interceptors.unshift(interceptor);
+	}
+
 	/**
 	 * Assign handler to the call. If the handler has <code>isAllowed</code>
 	 * method, it is added to the end of the authorizers list as well. Only a
@@ -107,8 +235,11 @@ class ServiceCall {
 	 * @protected
 	 * @param {module:x2node-ws.Handler} handler The handler.
 	 * @param {Array.<string>} uriParams Parameter values extracted from the URI.
+	 * @param {module:x2node-ws~EndpointOptions} endpointOptions Options of the
+	 * endpoint mapping.
+	 * @param {string} endpointUriPattern URI pattern of the endpoint mapping.
 	 */
-	setHandler(handler, uriParams) {
+	setHandler(handler, uriParams, endpointOptions, endpointUriPattern) {
 
 		if ((typeof handler.isAllowed) === 'function') {
 			if (!this._authorizers)
@@ -118,6 +249,8 @@ class ServiceCall {
 
 		this._handler = handler;
 		this._uriParams = uriParams;
+		this._endpointOptions = endpointOptions;
+		this._endpointUriPattern = endpointUriPattern;
 	}
 
 	/**
@@ -144,6 +277,17 @@ class ServiceCall {
 	 */
 	get apiVersion() { return this._apiVersion; }
 
+	/**
+	 * Cancellation signal for the call. The signal is aborted when the call
+	 * processing time limit is exceeded or when the call's connection is
+	 * closed, so that the handler can stop any work on the call, such as
+	 * database queries.
+	 *
+	 * @member {module:x2node-ws~CancellationSignal}
+	 * @readonly
+	 */
+	get signal() { return this._signal; }
+
 	/**
 	 * Application configuration options originally passed to the module's
 	 * [createApplication()]{@link module:x2node-ws.createApplication} function,
@@ -170,6 +314,80 @@ class ServiceCall {
 	 */
 	get method() { return this._httpRequest.method; }
 
+	/**
+	 * Cookies sent with the request in the "Cookie" header. The keys are the
+	 * cookie names and the values are the cookie values. If the request has
+	 * multiple cookies with the same name, the first one is used.
+	 *
+	 * @member {Object.<string,string>}
+	 * @readonly
+	 */
+	get cookies() {
+
+		if (!this._cookies) {
+			this._cookies = new Object();
+			const header = this._httpRequest.headers['cookie'];
+			for (let pair of (header ? header.split(/;\s*/) : [])) {
+				const eqInd = pair.indexOf('=');
+				if (eqInd <= 0)
+					continue;
+				const name = pair.substring(0, eqInd).trim();
+				if (this._cookies[name] !== undefined)
+					continue;
+				let value = pair.substring(eqInd + 1).trim();
+				if ((value.length > 1) && value.startsWith('"') &&
+					value.endsWith('"'))
+					value = value.substring(1, value.length - 1);
+				try {
+					this._cookies[name] = decodeURIComponent(value);
+				} catch (err) {
+					this._cookies[name] = value;
+				}
+			}
+		}
+
+		return this._cookies;
+	}
+
+	/**
+	 * Client certificate presented over the call's TLS connection, or
+	 * <code>null</code> if the connection is not encrypted or the client did
+	 * not present a certificate. Note, that unless the application's TLS
+	 * options reject unauthorized clients, the certificate may be present but
+	 * not verified.
+	 *
+	 * @member {?module:x2node-ws~ServiceCall~ClientCertificate}
+	 * @readonly
+	 */
+	get clientCertificate() {
+
+		if (this._clientCertificate === undefined) {
+			const socket = this._httpRequest.socket;
+			const cert = (
+				socket && socket.encrypted &&
+					((typeof socket.getPeerCertificate) === 'function') ?
+					socket.getPeerCertificate() : null);
+			this._clientCertificate = (
+				cert && cert.raw ? {
+					authorized: !!socket.authorized,
+					authorizationError: (
+						socket.authorizationError ?
+							String(socket.authorizationError) : null),
+					subject: cert.subject,
+					issuer: cert.issuer,
+					subjectAltName: (cert.subjectaltname || null),
+					serialNumber: cert.serialNumber,
+					fingerprint: cert.fingerprint,
+					fingerprint256: cert.fingerprint256,
+					validFrom: new Date(cert.valid_from),
+					validTo: new Date(cert.valid_to),
+					raw: cert.raw
+				} : null);
+		}
+
+		return this._clientCertificate;
+	}
+
 	/**
 	 * Parsed request URL object including parsed query string.
 	 *
@@ -195,6 +413,31 @@ class ServiceCall {
 	 */
 	get authorizers() { return this._authorizers; }
 
+	/**
+	 * List of rate limiters associated with the call, if any.
+	 *
+	 * @member {Array.<module:x2node-ws.RateLimiter>=}
+	 * @readonly
+	 */
+	get rateLimiters() { return this._rateLimiters; }
+
+	/**
+	 * Result of the most restrictive rate limiter check for the call, if any
+	 * rate limiters are associated with the call and the call has been checked.
+	 *
+	 * @member {module:x2node-ws.RateLimiter~Result=}
+	 */
+	get rateLimit() { return this._rateLimit; }
+	set rateLimit(v) { this._rateLimit = v; }
+
+	/**
+	 * List of interceptors associated with the call, if any.
+	 *
+	 * @member {Array.<module:x2node-ws.Interceptor>=}
+	 * @readonly
+	 */
+	get interceptors() { return this._interceptors; }
+
 	/**
 	 * The handler associated with the call.
 	 *
@@ -211,6 +454,26 @@ class ServiceCall {
 	 */
 	get uriParams() { return this._uriParams; }
 
+	/**
+	 * Options of the endpoint mapping, to which the call was matched (the options
+	 * passed to the application's <code>addEndpoint()</code> method). May be
+	 * empty object.
+	 *
+	 * @member {module:x2node-ws~EndpointOptions}
+	 * @readonly
+	 */
+	get endpointOptions() { return this._endpointOptions; }
+
+	/**
+	 * URI pattern of the endpoint mapping, to which the call was matched
+	 * (including any prefix set on the application when the endpoint was
+	 * added).
+	 *
+	 * @member {string}
+	 * @readonly
+	 */
+	get endpointUriPattern() { return this._endpointUriPattern; }
+
 	/**
 	 * Authenticated actor associated with the call, or <code>null</code> if
 	 * unauthenticated.
@@ -248,12 +511,34 @@ class ServiceCall {
 
 	/**
 	 * If entity is set on the call, this is the entity content type (all lower
-	 * case, without any parameters such as charset).
+	 * case, without any parameters such as charset). For multipart entities this
+	 * is the multipart content type, such as "multipart/form-data".
 	 *
 	 * @member {string=}
 	 */
 	get entityContentType() { return this._entityContentType; }
 	set entityContentType(v) { this._entityContentType = v; }
+
+	/**
+	 * If the caller provided a multipart entity (such as "multipart/form-data" or
+	 * "multipart/mixed"), this is the list of the entity parts in the order they
+	 * appear in the request payload. Otherwise, <code>null</code>.
+	 *
+	 * @member {?Array.<module:x2node-ws~ServiceCall~EntityPart>}
+	 */
+	get entityParts() { return this._entityParts; }
+	set entityParts(v) { this._entityParts = v; }
+
+	/**
+	 * If the handler opted in for request entity streaming (see handler's
+	 * <code>requestEntityStreaming</code> property) and the caller provided an
+	 * entity, this is the readable stream of the raw entity data. Otherwise,
+	 * <code>null</code>.
+	 *
+	 * @member {?stream.external:Readable}
+	 */
+	get entityStream() { return this._entityStream; }
+	set entityStream(v) { this._entityStream = v; }
 }
 
 // export the class
@@ -51,16 +51,75 @@ class ServiceResponse {
 	 * @param {*} value The value. If the value is a <code>Date</code>, it is
 	 * converted to string using <code>Date.toUTCString()</code> method.
 	 * Otherwise, <code>String()</code> is used to convert it to string. If value
-	 * is <code>null</code>, any existing header is removed instead.
+	 * is <code>null</code>, any existing header is removed instead. If value is
+	 * an array, the header is sent multiple times, once for each element (used
+	 * for headers that cannot be combined into a comma-separated list, such as
+	 * "Set-Cookie").
 	 * @returns {module:x2node-ws~ServiceResponse} This response object.
 	 */
 	setHeader(name, value) {
 
+		const toString = v => (v instanceof Date ? v.toUTCString() : String(v));
+
 		if (value === null)
 			delete this._headers[name.toLowerCase()];
 		else
 			this._headers[name.toLowerCase()] = (
-				value instanceof Date ? value.toUTCString() : String(value));
+				Array.isArray(value) ? value.map(toString) : toString(value));
+
+		return this;
+	}
+
+	/**
+	 * Add "Set-Cookie" header to the HTTP response. Any cookie with the same
+	 * name previously set on the response is replaced.
+	 *
+	 * @param {string} name Cookie name.
+	 * @param {?string} value Cookie value. The value is encoded using
+	 * <code>encodeURIComponent()</code>. If <code>null</code>, the cookie is
+	 * deleted on the client (set with empty value and zero maximum age).
+	 * @param {Object} [options] Cookie attributes.
+	 * @param {string} [options.path] The "Path" attribute.
+	 * @param {string} [options.domain] The "Domain" attribute.
+	 * @param {number} [options.maxAge] The "Max-Age" attribute in seconds.
+	 * @param {Date} [options.expires] The "Expires" attribute.
+	 * @param {boolean} [options.secure] If <code>true</code>, the "Secure"
+	 * attribute is added.
+	 * @param {boolean} [options.httpOnly] If <code>true</code>, the "HttpOnly"
+	 * attribute is added.
+	 * @param {string} [options.sameSite] The "SameSite" attribute ("Strict",
+	 * "Lax" or "None").
+	 * @returns {module:x2node-ws~ServiceResponse} This response object.
+	 */
+	setCookie(name, value, options) {
+
+		const opts = (options || {});
+
+		let cookie = `${name}=` + (
+			value !== null ? encodeURIComponent(value) : '');
+		if (opts.path)
+			cookie += `; Path=${opts.path}`;
+		if (opts.domain)
+			cookie += `; Domain=${opts.domain}`;
+		if (value === null)
+			cookie += '; Max-Age=0';
+		else if (opts.maxAge !== undefined)
+			cookie += `; Max-Age=${Math.floor(opts.maxAge)}`;
+		if (opts.expires && (value !== null))
+			cookie += `; Expires=${opts.expires.toUTCString()}`;
+		if (opts.secure)
+			cookie += '; Secure';
+		if (opts.httpOnly)
+			cookie += '; HttpOnly';
+		if (opts.sameSite)
+			cookie += `; SameSite=${opts.sameSite}`;
+
+		const curVal = this._headers['set-cookie'];
+		const cookies = (
+			curVal === undefined ? [] : [].concat(curVal).filter(
+				c => !c.startsWith(`${name}=`)));
+		cookies.push(cookie);
+		this._headers['set-cookie'] = cookies;
 
 		return this;
 	}
@@ -227,9 +286,10 @@ class ServiceResponse {
 	hasHeader(name) { return (this._headers[name.toLowerCase()] !== undefined); }
 
 	/**
-	 * HTTP response headers. All header names are lowercase.
+	 * HTTP response headers. All header names are lowercase. Headers sent
+	 * multiple times (such as "Set-Cookie") have arrays of values.
 	 *
-	 * @member {Object.<string,string>}
+	 * @member {Object.<string,(string|Array.<string>)>}
 	 * @readonly
 	 */
 	get headers() { return this._headers; }
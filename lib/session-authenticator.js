@@ -0,0 +1,499 @@
+'use strict';
+
+const crypto = require('crypto');
+const common = require('x2node-common');
+
+const ServiceResponse = require('./service-response.js');
+const MemorySessionStore = require('./memory-session-store.js');
+
+
+/**
+ * Symbol used to mark the call as passed through this authenticator.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const AUTHED = Symbol('AUTHED_SESSION');
+
+/**
+ * Symbol used to store the call's session.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const SESSION = Symbol('SESSION');
+
+/**
+ * Symbol used to mark the call as needing the session cookies updated in the
+ * response. The value is an object with the new session cookie
+ * <code>value</code>, the <code>csrfToken</code> and the cookies
+ * <code>maxAge</code>, or <code>null</code> to delete the cookies.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const UPDATE_COOKIES = Symbol('UPDATE_COOKIES');
+
+/**
+ * The log.
+ *
+ * @private
+ */
+const log = common.getDebugLogger('X2_APP_AUTH');
+
+/**
+ * HTTP methods that do not require CSRF token.
+ *
+ * @private
+ * @constant {Set.<string>}
+ */
+const SAFE_METHODS = new Set([ 'GET', 'HEAD', 'OPTIONS', 'TRACE' ]);
+
+/**
+ * Default session idle timeout in seconds.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_MAX_AGE = 1800;
+
+/**
+ * Default maximum session lifetime in seconds.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_MAX_LIFETIME = 12 * 3600;
+
+/**
+ * Encode buffer using Base64URL encoding without padding.
+ *
+ * @private
+ * @param {external:Buffer} buf The buffer.
+ * @returns {string} The encoded string.
+ */
+function base64UrlEncode(buf) {
+
+	return buf.toString('base64')
+		.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Decode Base64URL encoded string.
+ *
+ * @private
+ * @param {string} str The encoded string.
+ * @returns {external:Buffer} The decoded data.
+ */
+function base64UrlDecode(str) {
+
+	return Buffer.from(
+		str.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Generate random token.
+ *
+ * @private
+ * @returns {string} The token.
+ */
+function randomToken() {
+
+	return base64UrlEncode(crypto.randomBytes(32));
+}
+
+/**
+ * Compare two strings in constant time.
+ *
+ * @private
+ * @param {string} str1 First string.
+ * @param {string} str2 Second string.
+ * @returns {boolean} <code>true</code> if the same.
+ */
+function safeEqual(str1, str2) {
+
+	const buf1 = Buffer.from(str1, 'utf8');
+	const buf2 = Buffer.from(str2, 'utf8');
+
+	return (
+		(buf1.length === buf2.length) && crypto.timingSafeEqual(buf1, buf2));
+}
+
+/**
+ * Authenticator that uses session cookies for browser-based clients. The
+ * session is established by the application's login endpoint using the
+ * authenticator's [login()]{@link module:x2node-ws.SessionAuthenticator#login}
+ * method. The session cookie carries the session id, which is signed with an
+ * HMAC (and optionally encrypted), and the session state is kept in a session
+ * store. The session expires after a period of inactivity, which is extended
+ * with every call (sliding expiration), and after the maximum session lifetime.
+ * Calls that use unsafe HTTP methods must include the session CSRF token in a
+ * request header matching the CSRF token cookie (double-submit cookie pattern).
+ *
+ * @memberof module:x2node-ws
+ * @implements module:x2node-ws.Authenticator
+ */
+class SessionAuthenticator {
+
+	/**
+	 * Create new authenticator.
+	 *
+	 * @param {module:x2node-ws.ActorsRegistry} actorsRegistry Actors registry.
+	 * The registry's <code>lookupActor()</code> method is called with the
+	 * handle only.
+	 * @param {Object} options Authenticator options.
+	 * @param {(string|external:Buffer|Array.<(string|external:Buffer)>)} options.secret
+	 * Secret used to sign (and encrypt) the session cookies. If array, the
+	 * first secret is used for new cookies and all of them are accepted, which
+	 * allows rotating the secret.
+	 * @param {boolean} [options.encrypt=false] If <code>true</code>, the session
+	 * cookie content is encrypted.
+	 * @param {module:x2node-ws.SessionStore} [options.store] Session store. If
+	 * not specified, a new
+	 * [MemorySessionStore]{@link module:x2node-ws.MemorySessionStore} is used.
+	 * @param {number} [options.maxAge=1800] Session idle timeout in seconds.
+	 * @param {number} [options.maxLifetime=43200] Maximum session lifetime in
+	 * seconds.
+	 * @param {string} [options.cookieName=sid] Session cookie name.
+	 * @param {string} [options.csrfCookieName=XSRF-TOKEN] CSRF token cookie
+	 * name.
+	 * @param {string} [options.csrfHeader=X-XSRF-TOKEN] Name of the request
+	 * header, in which the client sends the CSRF token back.
+	 * @param {Object} [options.cookieOptions] Cookie attributes (see
+	 * [ServiceResponse.setCookie()]{@link module:x2node-ws~ServiceResponse#setCookie}).
+	 * Only <code>path</code>, <code>domain</code>, <code>secure</code> and
+	 * <code>sameSite</code> are used. The defaults are "/" for the path,
+	 * <code>true</code> for secure and "Lax" for same site.
+	 * @throws {module:x2node-common.X2UsageError} If the options are invalid.
+	 */
+	constructor(actorsRegistry, options) {
+
+		const opts = (options || {});
+
+		this._actorsRegistry = actorsRegistry;
+
+		const secrets = [].concat(
+			opts.secret !== undefined ? opts.secret : []);
+		if ((secrets.length === 0) || secrets.some(s => !s || (s.length === 0)))
+			throw new common.X2UsageError('Session secret is not specified.');
+		this._keys = secrets.map(secret => ({
+			sign: crypto.createHmac('sha256', secret)
+				.update('x2node-ws session signature').digest(),
+			encrypt: crypto.createHmac('sha256', secret)
+				.update('x2node-ws session encryption').digest()
+		}));
+		this._encrypt = !!opts.encrypt;
+
+		this._store = (opts.store || new MemorySessionStore());
+
+		this._maxAge = (opts.maxAge || DEFAULT_MAX_AGE);
+		this._maxLifetime = (opts.maxLifetime || DEFAULT_MAX_LIFETIME);
+
+		this._cookieName = (opts.cookieName || 'sid');
+		this._csrfCookieName = (opts.csrfCookieName || 'XSRF-TOKEN');
+		this._csrfHeader = (opts.csrfHeader || 'X-XSRF-TOKEN');
+		this._cookieOptions = Object.assign({
+			path: '/',
+			secure: true,
+			sameSite: 'Lax'
+		}, opts.cookieOptions);
+	}
+
+	// authenticate the call
+	authenticate(call) {
+
+		// mark the call
+		call[AUTHED] = true;
+
+		// get the session cookie
+		const cookie = call.cookies[this._cookieName];
+		if (!cookie) {
+			log('no session cookie');
+			return Promise.resolve(null);
+		}
+
+		// decode the cookie
+		const claims = this._decodeCookie(cookie);
+		if (!claims)
+			return this._rejectSession(call, 'invalid session cookie');
+
+		// check the expiration
+		const now = Math.floor(Date.now() / 1000);
+		if (claims.exp <= now)
+			return this._rejectSession(call, 'session expired');
+		if (claims.iat + this._maxLifetime <= now)
+			return this._rejectSession(call, 'session lifetime exceeded');
+
+		// get the session from the store
+		return Promise.resolve(this._store.get(claims.sid)).then(session => {
+
+			// check if no session
+			if (!session)
+				return this._rejectSession(call, 'unknown session');
+
+			// check the CSRF token
+			if (!SAFE_METHODS.has(call.method)) {
+				const headerToken = call.httpRequest.headers[
+					this._csrfHeader.toLowerCase()];
+				const cookieToken = call.cookies[this._csrfCookieName];
+				if (!headerToken || (headerToken !== cookieToken) ||
+					!safeEqual(headerToken, session.csrfToken)) {
+					log('invalid CSRF token');
+					return Promise.reject(
+						(new ServiceResponse(403)).setEntity({
+							errorCode: 'X2-403-2',
+							errorMessage: 'Invalid CSRF token.'
+						})
+					);
+				}
+			}
+
+			// look up the actor
+			return Promise.resolve(
+				this._actorsRegistry.lookupActor(session.handle)).then(
+				actor => {
+
+					// check if no actor
+					if (!actor)
+						return this._rejectSession(call, 'unknown actor');
+
+					// save the session on the call
+					call[SESSION] = { id: claims.sid, session: session };
+
+					// extend the session if more than half of idle time passed
+					if (claims.exp - now < this._maxAge / 2) {
+						const exp = Math.min(
+							now + this._maxAge, claims.iat + this._maxLifetime);
+						return Promise.resolve(this._store.set(
+							claims.sid, session, exp - now)).then(() => {
+								call[UPDATE_COOKIES] = {
+									value: this._encodeCookie({
+										sid: claims.sid,
+										iat: claims.iat,
+										exp: exp
+									}),
+									csrfToken: session.csrfToken,
+									maxAge: exp - now
+								};
+								return actor;
+							});
+					}
+
+					// return the authenticated actor
+					return actor;
+				}
+			);
+		});
+	}
+
+	// add response headers
+	addResponseHeaders(call, response) {
+
+		if (!call[AUTHED])
+			return;
+
+		// update the cookies
+		const update = call[UPDATE_COOKIES];
+		if (update !== undefined)
+			this._setCookies(response, update);
+	}
+
+	/**
+	 * Start new session for the actor and add the session cookies to the
+	 * response. Normally called by the application's login endpoint handler
+	 * after it has checked the actor's credentials. If the call already has a
+	 * session, the session is ended.
+	 *
+	 * @param {module:x2node-ws~ServiceCall} call The login call.
+	 * @param {module:x2node-ws~ServiceResponse} response The response to the
+	 * login call.
+	 * @param {string} handle The actor handle. The session's actor is looked
+	 * up in the actors registry using this handle.
+	 * @returns {Promise.<module:x2node-ws~ServiceResponse>} Promise of the
+	 * response with the session cookies.
+	 */
+	login(call, response, handle) {
+
+		const now = Math.floor(Date.now() / 1000);
+		const sessionId = randomToken();
+		const session = {
+			handle: handle,
+			csrfToken: randomToken(),
+			createdAt: Date.now()
+		};
+
+		const current = call[SESSION];
+		return Promise.resolve(
+			current && this._store.delete(current.id)
+		).then(
+			() => this._store.set(sessionId, session, this._maxAge)
+		).then(() => {
+			log(`started session for ${handle}`);
+			call[SESSION] = { id: sessionId, session: session };
+			call[UPDATE_COOKIES] = {
+				value: this._encodeCookie({
+					sid: sessionId,
+					iat: now,
+					exp: now + this._maxAge
+				}),
+				csrfToken: session.csrfToken,
+				maxAge: this._maxAge
+			};
+			this._setCookies(response, call[UPDATE_COOKIES]);
+			return response;
+		});
+	}
+
+	/**
+	 * End the call's session, if any, and add headers that delete the session
+	 * cookies to the response.
+	 *
+	 * @param {module:x2node-ws~ServiceCall} call The logout call.
+	 * @param {module:x2node-ws~ServiceResponse} response The response to the
+	 * logout call.
+	 * @returns {Promise.<module:x2node-ws~ServiceResponse>} Promise of the
+	 * response with the session cookies deleted.
+	 */
+	logout(call, response) {
+
+		const current = call[SESSION];
+		return Promise.resolve(
+			current && this._store.delete(current.id)
+		).then(() => {
+			if (current)
+				log(`ended session for ${current.session.handle}`);
+			call[SESSION] = undefined;
+			call[UPDATE_COOKIES] = null;
+			this._setCookies(response, null);
+			return response;
+		});
+	}
+
+	/**
+	 * Log the reason the session is rejected and mark the call for deleting the
+	 * session cookies.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {string} reason The reason.
+	 * @returns {Promise.<null>} Promise of <code>null</code>.
+	 */
+	_rejectSession(call, reason) {
+
+		log(`session rejected: ${reason}`);
+
+		call[UPDATE_COOKIES] = null;
+
+		return Promise.resolve(null);
+	}
+
+	/**
+	 * Add session and CSRF token cookies to the response.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceResponse} response The response.
+	 * @param {?Object} update The new session cookie <code>value</code>, the
+	 * <code>csrfToken</code> and the cookies <code>maxAge</code>, or
+	 * <code>null</code> to delete the cookies.
+	 */
+	_setCookies(response, update) {
+
+		const options = {
+			path: this._cookieOptions.path,
+			domain: this._cookieOptions.domain,
+			secure: this._cookieOptions.secure,
+			sameSite: this._cookieOptions.sameSite,
+			maxAge: (update ? update.maxAge : undefined)
+		};
+
+		response.setCookie(
+			this._cookieName, (update ? update.value : null),
+			Object.assign({ httpOnly: true }, options));
+		response.setCookie(
+			this._csrfCookieName, (update ? update.csrfToken : null), options);
+	}
+
+	/**
+	 * Create session cookie value.
+	 *
+	 * @private
+	 * @param {Object} claims Session cookie claims: session id
+	 * (<code>sid</code>), creation time (<code>iat</code>) and expiration time
+	 * (<code>exp</code>) in seconds.
+	 * @returns {string} The cookie value.
+	 */
+	_encodeCookie(claims) {
+
+		const key = this._keys[0];
+
+		let payload = Buffer.from(JSON.stringify(claims), 'utf8');
+		if (this._encrypt) {
+			const iv = crypto.randomBytes(12);
+			const cipher = crypto.createCipheriv('aes-256-gcm', key.encrypt, iv);
+			const data = Buffer.concat([ cipher.update(payload), cipher.final() ]);
+			payload = Buffer.concat([ iv, cipher.getAuthTag(), data ]);
+		}
+
+		const encodedPayload = base64UrlEncode(payload);
+
+		return encodedPayload + '.' + base64UrlEncode(
+			crypto.createHmac('sha256', key.sign).update(encodedPayload).digest());
+	}
+
+	/**
+	 * Verify and decode session cookie value.
+	 *
+	 * @private
+	 * @param {string} value The cookie value.
+	 * @returns {Object} The session cookie claims, or <code>null</code> if the
+	 * cookie is invalid.
+	 */
+	_decodeCookie(value) {
+
+		// split the cookie
+		const dotInd = value.indexOf('.');
+		if (dotInd <= 0)
+			return null;
+		const encodedPayload = value.substring(0, dotInd);
+		const signature = base64UrlDecode(value.substring(dotInd + 1));
+
+		// find the key that verifies the signature
+		const key = this._keys.find(key => {
+			const expected = crypto.createHmac('sha256', key.sign)
+				.update(encodedPayload).digest();
+			return (
+				(expected.length === signature.length) &&
+					crypto.timingSafeEqual(expected, signature));
+		});
+		if (!key)
+			return null;
+
+		// decrypt and parse the payload
+		let claims;
+		try {
+			let payload = base64UrlDecode(encodedPayload);
+			if (this._encrypt) {
+				if (payload.length < 28)
+					return null;
+				const decipher = crypto.createDecipheriv(
+					'aes-256-gcm', key.encrypt, payload.slice(0, 12));
+				decipher.setAuthTag(payload.slice(12, 28));
+				payload = Buffer.concat([
+					decipher.update(payload.slice(28)), decipher.final() ]);
+			}
+			claims = JSON.parse(payload.toString('utf8'));
+		} catch (err) {
+			return null;
+		}
+
+		// validate the claims
+		if (!claims || ((typeof claims.sid) !== 'string') ||
+			!Number.isFinite(claims.iat) || !Number.isFinite(claims.exp))
+			return null;
+
+		return claims;
+	}
+}
+
+// export the class
+module.exports = SessionAuthenticator;
@@ -0,0 +1,687 @@
+'use strict';
+
+const crypto = require('crypto');
+const common = require('x2node-common');
+
+
+/**
+ * Actor signing key extractor function.
+ *
+ * @callback module:x2node-ws.SignatureAuthenticator~KeyExtractor
+ * @param {module:x2node-common.Actor} actor The actor looked up in the actors
+ * registry by the key id.
+ * @param {string} keyId The key id from the signature parameters.
+ * @returns {(string|external:Buffer|Promise.<(string|external:Buffer)>)} The
+ * HMAC key, or <code>null</code> if the actor does not have a key with the
+ * specified id. May also return a promise of the above.
+ */
+
+/**
+ * Symbol used to mark the call as passed through this authenticator.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const AUTHED = Symbol('AUTHED_SIGNATURE');
+
+/**
+ * Symbol used to store the expected content digest on the call.
+ *
+ * @private
+ * @constant {Symbol}
+ */
+const CONTENT_DIGEST = Symbol('CONTENT_DIGEST');
+
+/**
+ * The log.
+ *
+ * @private
+ */
+const log = common.getDebugLogger('X2_APP_AUTH');
+
+/**
+ * Supported signature algorithm.
+ *
+ * @private
+ * @constant {string}
+ */
+const ALGORITHM = 'hmac-sha256';
+
+/**
+ * Supported "Content-Digest" algorithms and corresponding hash names in the
+ * order of preference.
+ *
+ * @private
+ * @constant {Array.<Array.<string>>}
+ */
+const DIGEST_ALGORITHMS = [
+	[ 'sha-512', 'sha512' ],
+	[ 'sha-256', 'sha256' ]
+];
+
+/**
+ * Default required covered components.
+ *
+ * @private
+ * @constant {Array.<string>}
+ */
+const DEFAULT_REQUIRED_COMPONENTS = [ '@method', '@path', '@query' ];
+
+/**
+ * Default maximum signature age in seconds.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_MAX_AGE = 300;
+
+/**
+ * Default clock skew tolerance in seconds.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_CLOCK_SKEW = 30;
+
+/**
+ * Default maximum number of remembered nonces.
+ *
+ * @private
+ * @constant {number}
+ */
+const DEFAULT_MAX_NONCES = 10000;
+
+/**
+ * Patterns for structured field value tokens (see
+ * [RFC 8941]{@link https://tools.ietf.org/html/rfc8941}).
+ *
+ * @private
+ * @constant {Object.<string,RegExp>}
+ */
+const SF_PATTERNS = {
+	key: /[a-z*][a-z0-9_\-.*]*/y,
+	string: /"((?:[^"\\]|\\["\\])*)"/y,
+	bytes: /:([A-Za-z0-9+/]*={0,2}):/y,
+	number: /-?[0-9]{1,15}(?:\.[0-9]{1,3})?/y,
+	boolean: /\?([01])/y,
+	token: /[A-Za-z*][!#$%&'*+\-.^_`|~0-9A-Za-z:/]*/y,
+	ows: /[ \t]*/y,
+	sp: / */y
+};
+
+/**
+ * Match structured field token at the current parser position and advance the
+ * position if matched.
+ *
+ * @private
+ * @param {Object} p Parser state with <code>str</code> and <code>pos</code>.
+ * @param {string} type Token type from <code>SF_PATTERNS</code>.
+ * @returns {Array.<string>} The match, or <code>null</code> if no match.
+ */
+function sfMatch(p, type) {
+
+	const re = SF_PATTERNS[type];
+	re.lastIndex = p.pos;
+	const match = re.exec(p.str);
+	if (match)
+		p.pos = re.lastIndex;
+
+	return match;
+}
+
+/**
+ * Parse structured field bare item.
+ *
+ * @private
+ * @param {Object} p Parser state.
+ * @returns {*} The item value.
+ * @throws {module:x2node-common.X2DataError} If invalid.
+ */
+function sfParseBareItem(p) {
+
+	let match;
+	if ((match = sfMatch(p, 'string')) !== null)
+		return match[1].replace(/\\(["\\])/g, '$1');
+	if ((match = sfMatch(p, 'bytes')) !== null)
+		return Buffer.from(match[1], 'base64');
+	if ((match = sfMatch(p, 'number')) !== null)
+		return Number(match[0]);
+	if ((match = sfMatch(p, 'boolean')) !== null)
+		return (match[1] === '1');
+	if ((match = sfMatch(p, 'token')) !== null)
+		return match[0];
+
+	throw new common.X2DataError(`Invalid structured field value at ${p.pos}.`);
+}
+
+/**
+ * Parse structured field parameters.
+ *
+ * @private
+ * @param {Object} p Parser state.
+ * @returns {Object.<string,*>} The parameters.
+ * @throws {module:x2node-common.X2DataError} If invalid.
+ */
+function sfParseParams(p) {
+
+	const params = new Object();
+	while (p.str[p.pos] === ';') {
+		p.pos++;
+		sfMatch(p, 'sp');
+		const key = sfMatch(p, 'key');
+		if (key === null)
+			throw new common.X2DataError(
+				`Invalid structured field parameter at ${p.pos}.`);
+		if (p.str[p.pos] === '=') {
+			p.pos++;
+			params[key[0]] = sfParseBareItem(p);
+		} else {
+			params[key[0]] = true;
+		}
+	}
+
+	return params;
+}
+
+/**
+ * Parse structured field item or inner list.
+ *
+ * @private
+ * @param {Object} p Parser state.
+ * @returns {Object} Object with the item <code>value</code> (array of items for
+ * an inner list) and <code>params</code>.
+ * @throws {module:x2node-common.X2DataError} If invalid.
+ */
+function sfParseMember(p) {
+
+	if (p.str[p.pos] !== '(')
+		return { value: sfParseBareItem(p), params: sfParseParams(p) };
+
+	p.pos++;
+	const items = new Array();
+	for (;;) {
+		sfMatch(p, 'sp');
+		if (p.str[p.pos] === ')') {
+			p.pos++;
+			return { value: items, params: sfParseParams(p) };
+		}
+		items.push({ value: sfParseBareItem(p), params: sfParseParams(p) });
+		if ((p.str[p.pos] !== ' ') && (p.str[p.pos] !== ')'))
+			throw new common.X2DataError(
+				`Invalid structured field inner list at ${p.pos}.`);
+	}
+}
+
+/**
+ * Parse structured field dictionary (see
+ * [RFC 8941]{@link https://tools.ietf.org/html/rfc8941#section-3.2}).
+ *
+ * @private
+ * @param {string} str The header value.
+ * @returns {Map.<string,Object>} The dictionary members by keys. Each member
+ * has the <code>value</code>, <code>params</code> and <code>raw</code>, which
+ * is the member value as it appears in the header.
+ * @throws {module:x2node-common.X2DataError} If invalid.
+ */
+function sfParseDictionary(str) {
+
+	const members = new Map();
+	const p = { str: str, pos: 0 };
+	sfMatch(p, 'sp');
+	while (p.pos < str.length) {
+		const key = sfMatch(p, 'key');
+		if (key === null)
+			throw new common.X2DataError(
+				`Invalid structured field dictionary key at ${p.pos}.`);
+		let member;
+		if (str[p.pos] === '=') {
+			const start = ++p.pos;
+			member = sfParseMember(p);
+			member.raw = str.substring(start, p.pos);
+		} else {
+			member = { value: true, params: sfParseParams(p) };
+		}
+		members.set(key[0], member);
+		sfMatch(p, 'ows');
+		if (p.pos >= str.length)
+			break;
+		if (str[p.pos] !== ',')
+			throw new common.X2DataError(
+				`Invalid structured field dictionary at ${p.pos}.`);
+		p.pos++;
+		sfMatch(p, 'ows');
+		if (p.pos >= str.length)
+			throw new common.X2DataError(
+				'Trailing comma in structured field dictionary.');
+	}
+
+	return members;
+}
+
+/**
+ * Tell if the request has payload.
+ *
+ * @private
+ * @param {http.external:IncomingMessage} httpRequest The HTTP request.
+ * @returns {boolean} <code>true</code> if has payload.
+ */
+function hasPayload(httpRequest) {
+
+	const headers = httpRequest.headers;
+
+	return (
+		(headers['transfer-encoding'] !== undefined) ||
+			(Number(headers['content-length']) > 0) || (
+				(httpRequest.httpVersionMajor >= 2) &&
+					(headers['content-length'] === undefined) &&
+					!httpRequest.stream.endAfterHeaders)
+	);
+}
+
+/**
+ * Authenticator that verifies HMAC request signatures in the style of the HTTP
+ * Message Signatures (see
+ * [RFC 9421]{@link https://www.rfc-editor.org/rfc/rfc9421}) and is intended
+ * for service-to-service calls. The signature covers the request method, path
+ * and query, selected request headers and, for requests with payload, the
+ * "Content-Digest" header, which is verified against the payload when the
+ * payload is read. The signature creation time is checked against the maximum
+ * allowed age and the signature nonces are remembered, so that replayed
+ * requests are rejected. The actor is looked up in the actors registry using
+ * the signature key id as the handle.
+ *
+ * @memberof module:x2node-ws
+ * @implements module:x2node-ws.Authenticator
+ */
+class SignatureAuthenticator {
+
+	/**
+	 * Create new authenticator.
+	 *
+	 * @param {module:x2node-ws.ActorsRegistry} actorsRegistry Actors registry.
+	 * The registry's <code>lookupActor()</code> method is called with the key
+	 * id only.
+	 * @param {Object} options Authenticator options.
+	 * @param {module:x2node-ws.SignatureAuthenticator~KeyExtractor} options.getKey
+	 * Function used to get the HMAC key from the actor.
+	 * @param {Array.<string>} [options.requiredComponents] Components that the
+	 * signature must cover. The default is "@method", "@path" and "@query".
+	 * @param {boolean} [options.requireDigest=true] If <code>true</code>, the
+	 * signature of a request with payload must cover the "Content-Digest"
+	 * header.
+	 * @param {string} [options.label] Label of the signature to verify. If not
+	 * specified, the first signature in the request is verified.
+	 * @param {number} [options.maxAge=300] Maximum signature age in seconds.
+	 * @param {number} [options.clockSkew=30] Clock skew tolerance in seconds
+	 * for signatures created in the future and the signature expiration.
+	 * @param {boolean} [options.requireNonce=true] If <code>true</code>, the
+	 * signature must have the "nonce" parameter.
+	 * @param {number} [options.maxNonces=10000] Maximum number of remembered
+	 * nonces.
+	 * @param {string} [options.realm] Realm to include in the challenge.
+	 * @throws {module:x2node-common.X2UsageError} If the options are invalid.
+	 */
+	constructor(actorsRegistry, options) {
+
+		const opts = (options || {});
+
+		this._actorsRegistry = actorsRegistry;
+
+		if ((typeof opts.getKey) !== 'function')
+			throw new common.X2UsageError(
+				'Signature key extractor function is not specified.');
+		this._getKey = opts.getKey;
+
+		this._requiredComponents = (
+			opts.requiredComponents || DEFAULT_REQUIRED_COMPONENTS);
+		this._requireDigest = (opts.requireDigest !== false);
+		this._label = opts.label;
+
+		this._maxAge = (
+			opts.maxAge !== undefined ? opts.maxAge : DEFAULT_MAX_AGE);
+		this._clockSkew = (
+			opts.clockSkew !== undefined ? opts.clockSkew : DEFAULT_CLOCK_SKEW);
+
+		this._requireNonce = (opts.requireNonce !== false);
+		this._maxNonces = (
+			opts.maxNonces !== undefined ? opts.maxNonces : DEFAULT_MAX_NONCES);
+		if (!(this._maxNonces > 0))
+			throw new common.X2UsageError(
+				'Maximum remembered nonces must be a positive number.');
+		this._nonces = new Map();
+
+		this._challenge = 'Signature' + (
+			opts.realm ? ` realm="${opts.realm}"` : '');
+		this._acceptSignature = `${this._label || 'sig1'}=(` +
+			this._requiredComponents.map(c => `"${c}"`).join(' ') +
+			`);keyid;created${this._requireNonce ? ';nonce' : ''}` +
+			`;alg="${ALGORITHM}"`;
+	}
+
+	// authenticate the call
+	authenticate(call) {
+
+		// mark the call
+		call[AUTHED] = true;
+
+		// get the signature
+		const httpRequest = call.httpRequest;
+		const requestHeaders = httpRequest.headers;
+		if (!requestHeaders['signature-input'] || !requestHeaders['signature']) {
+			log('no request signature');
+			return Promise.resolve(null);
+		}
+		let sigInput, sigValue;
+		try {
+			const sigInputs = sfParseDictionary(requestHeaders['signature-input']);
+			const label = (
+				this._label !== undefined ?
+					this._label : sigInputs.keys().next().value);
+			sigInput = sigInputs.get(label);
+			sigValue = sfParseDictionary(requestHeaders['signature']).get(label);
+		} catch (err) {
+			return this._rejectSignature(
+				`invalid signature headers: ${err.message}`);
+		}
+		if (!sigInput || !Array.isArray(sigInput.value) ||
+			!sigValue || !Buffer.isBuffer(sigValue.value))
+			return this._rejectSignature('no signature with expected label');
+
+		// check the signature parameters
+		const params = sigInput.params;
+		if ((params.alg !== undefined) && (params.alg !== ALGORITHM))
+			return this._rejectSignature(
+				`unsupported algorithm ${params.alg}`);
+		if (((typeof params.keyid) !== 'string') || (params.keyid.length === 0))
+			return this._rejectSignature('no key id');
+		if (!Number.isInteger(params.created))
+			return this._rejectSignature('no creation time');
+		const now = Date.now() / 1000;
+		if (params.created > now + this._clockSkew)
+			return this._rejectSignature('created in the future');
+		if (now - params.created > this._maxAge)
+			return this._rejectSignature('too old');
+		if ((params.expires !== undefined) && (
+			!Number.isInteger(params.expires) ||
+				(now - this._clockSkew >= params.expires)))
+			return this._rejectSignature('expired');
+		if ((params.nonce !== undefined) && (
+			((typeof params.nonce) !== 'string') || (params.nonce.length === 0)))
+			return this._rejectSignature('invalid nonce');
+		if (this._requireNonce && (params.nonce === undefined))
+			return this._rejectSignature('no nonce');
+
+		// check the covered components
+		const components = new Array();
+		for (let item of sigInput.value) {
+			if (((typeof item.value) !== 'string') ||
+				(Object.keys(item.params).length > 0))
+				return this._rejectSignature('unsupported covered component');
+			components.push(item.value);
+		}
+		const missingComponent = this._requiredComponents.find(
+			c => (components.indexOf(c) < 0));
+		if (missingComponent)
+			return this._rejectSignature(
+				`${missingComponent} is not covered`);
+		const digestCovered = (components.indexOf('content-digest') >= 0);
+		if (this._requireDigest && !digestCovered && hasPayload(httpRequest))
+			return this._rejectSignature('content-digest is not covered');
+
+		// build the signature base
+		const lines = new Array();
+		for (let component of components) {
+			const value = this._getComponentValue(call, component);
+			if (value === null)
+				return this._rejectSignature(
+					`no value for covered component ${component}`);
+			lines.push(`"${component}": ${value}`);
+		}
+		lines.push(`"@signature-params": ${sigInput.raw}`);
+		const signatureBase = lines.join('\n');
+
+		// get the expected content digest
+		let contentDigest;
+		if (digestCovered) {
+			contentDigest = this._getContentDigest(
+				requestHeaders['content-digest']);
+			if (!contentDigest)
+				return this._rejectSignature('unsupported content-digest');
+		}
+
+		// look up the actor and its key
+		const keyId = params.keyid;
+		return Promise.resolve(this._actorsRegistry.lookupActor(keyId)).then(
+			actor => (
+				actor ?
+					Promise.resolve(this._getKey(actor, keyId)).then(
+						key => this._verifySignature(
+							call, actor, key, signatureBase, sigValue.value,
+							params, contentDigest)) :
+					this._rejectSignature(`unknown key ${keyId}`)
+			)
+		);
+	}
+
+	/**
+	 * Verify the signature with the actor's key and check the nonce.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {module:x2node-common.Actor} actor The actor.
+	 * @param {?(string|external:Buffer)} key The actor's key.
+	 * @param {string} signatureBase The signature base.
+	 * @param {external:Buffer} signature The signature from the request.
+	 * @param {Object} params The signature parameters.
+	 * @param {Object} [contentDigest] Expected content digest, if covered.
+	 * @returns {(module:x2node-common.Actor|Promise.<null>)} The actor, or
+	 * promise of <code>null</code> if the signature is invalid.
+	 */
+	_verifySignature(
+		call, actor, key, signatureBase, signature, params, contentDigest) {
+
+		// check if no key
+		if ((key === null) || (key === undefined))
+			return this._rejectSignature(`unknown key ${params.keyid}`);
+
+		// verify the signature
+		const expected = crypto.createHmac('sha256', key).update(
+			signatureBase, 'utf8').digest();
+		if ((expected.length !== signature.length) ||
+			!crypto.timingSafeEqual(expected, signature))
+			return this._rejectSignature('invalid signature');
+
+		// check and remember the nonce
+		if ((params.nonce !== undefined) && !this._rememberNonce(
+			params.keyid, params.nonce, (params.created + this._maxAge) * 1000))
+			return Promise.resolve(null);
+
+		// save the expected content digest for the payload verifier
+		if (contentDigest)
+			call[CONTENT_DIGEST] = contentDigest;
+
+		// return the authenticated actor
+		return actor;
+	}
+
+	// create verifier for the payload digest
+	createPayloadVerifier(call) {
+
+		const contentDigest = call[CONTENT_DIGEST];
+		if (!contentDigest)
+			return null;
+
+		const hash = crypto.createHash(contentDigest.hash);
+
+		return {
+			update(chunk) {
+				hash.update(chunk);
+			},
+			verify() {
+				const valid = hash.digest().equals(contentDigest.value);
+				if (!valid)
+					log('request payload does not match content-digest');
+				return valid;
+			}
+		};
+	}
+
+	// add response headers
+	addResponseHeaders(call, response) {
+
+		if (call[AUTHED] && (response.statusCode === 401)) {
+			response.setHeader('WWW-Authenticate', this.getChallenge(call));
+			response.setHeader('Accept-Signature', this._acceptSignature);
+		}
+	}
+
+	// get the challenge
+	getChallenge() {
+
+		return this._challenge;
+	}
+
+	/**
+	 * Log the reason the signature is rejected.
+	 *
+	 * @private
+	 * @param {string} reason The reason.
+	 * @returns {Promise.<null>} Promise of <code>null</code>.
+	 */
+	_rejectSignature(reason) {
+
+		log(`request signature rejected: ${reason}`);
+
+		return Promise.resolve(null);
+	}
+
+	/**
+	 * Get covered component value for the signature base.
+	 *
+	 * @private
+	 * @param {module:x2node-ws~ServiceCall} call The call.
+	 * @param {string} component The component name.
+	 * @returns {?string} The value, or <code>null</code> if the component is
+	 * not supported or not present in the request.
+	 */
+	_getComponentValue(call, component) {
+
+		const httpRequest = call.httpRequest;
+		const requestTarget = httpRequest.url;
+		const queryInd = requestTarget.indexOf('?');
+
+		switch (component) {
+		case '@method':
+			return httpRequest.method;
+		case '@authority':
+			return (
+				httpRequest.headers[':authority'] || httpRequest.headers['host'] ||
+					''
+			).toLowerCase();
+		case '@path':
+			return (
+				queryInd >= 0 ?
+					requestTarget.substring(0, queryInd) : requestTarget);
+		case '@query':
+			return (queryInd >= 0 ? requestTarget.substring(queryInd) : '?');
+		case '@request-target':
+			return requestTarget;
+		}
+
+		if (/^[a-z0-9!#$%&'*+\-.^_`|~]+$/.test(component)) {
+			const value = httpRequest.headers[component];
+			if (value !== undefined)
+				return (Array.isArray(value) ? value.join(', ') : value).trim();
+		}
+
+		return null;
+	}
+
+	/**
+	 * Get expected content digest from the "Content-Digest" header (see
+	 * [RFC 9530]{@link https://www.rfc-editor.org/rfc/rfc9530}).
+	 *
+	 * @private
+	 * @param {string} [header] The header value.
+	 * @returns {Object} Object with the <code>hash</code> name and the expected
+	 * digest <code>value</code>, or <code>null</code> if no supported digest.
+	 */
+	_getContentDigest(header) {
+
+		if (!header)
+			return null;
+
+		let digests;
+		try {
+			digests = sfParseDictionary(header);
+		} catch (err) {
+			return null;
+		}
+
+		for (let alg of DIGEST_ALGORITHMS) {
+			const digest = digests.get(alg[0]);
+			if (digest && Buffer.isBuffer(digest.value))
+				return { hash: alg[1], value: digest.value };
+		}
+
+		return null;
+	}
+
+	/**
+	 * Check that the nonce has not been used and remember it.
+	 *
+	 * @private
+	 * @param {string} keyId The key id.
+	 * @param {string} nonce The nonce.
+	 * @param {number} expireAt Timestamp, after which the nonce does not need
+	 * to be remembered, because the signature is too old anyway.
+	 * @returns {boolean} <code>true</code> if the nonce has not been used.
+	 */
+	_rememberNonce(keyId, nonce, expireAt) {
+
+		const key = `${keyId}\n${nonce}`;
+		const now = Date.now();
+
+		const usedExpireAt = this._nonces.get(key);
+		if ((usedExpireAt !== undefined) && (usedExpireAt > now)) {
+			log(`request signature rejected: replayed nonce ${nonce}`);
+			return false;
+		}
+
+		if ((this._nonces.size >= this._maxNonces) &&
+			(this._purgeExpiredNonces(now) === 0)) {
+			common.error(
+				'reached maximum remembered signature nonces, increasing' +
+					' the maximum is recommended');
+			return false;
+		}
+
+		this._nonces.set(key, expireAt);
+
+		return true;
+	}
+
+	/**
+	 * Forget expired nonces.
+	 *
+	 * @private
+	 * @param {number} now Current time.
+	 * @returns {number} Number of purged nonces.
+	 */
+	_purgeExpiredNonces(now) {
+
+		let numPurged = 0;
+		for (let entry of this._nonces)
+			if (entry[1] <= now) {
+				this._nonces.delete(entry[0]);
+				numPurged++;
+			}
+
+		log(`purged ${numPurged} expired signature nonces`);
+
+		return numPurged;
+	}
+}
+
+// export the class
+module.exports = SignatureAuthenticator;
@@ -0,0 +1,93 @@
+'use strict';
+
+const common = require('x2node-common');
+
+const MemoryRateLimitStore = require('./memory-rate-limit-store.js');
+
+
+/**
+ * Rate limiter that uses token bucket algorithm. Each client has a bucket that
+ * holds up to the specified number of tokens and is refilled at a constant
+ * rate. Each call takes a token from the bucket and if the bucket is empty, the
+ * call is not allowed. Clients are identified by the authenticated actor stamp
+ * or by the remote address.
+ *
+ * @memberof module:x2node-ws
+ * @implements module:x2node-ws.RateLimiter
+ */
+class TokenBucketRateLimiter {
+
+	/**
+	 * Create new rate limiter.
+	 *
+	 * @param {number} capacity Bucket capacity, which is the maximum number of
+	 * calls a client can make in a burst.
+	 * @param {number} refillRate Number of tokens added to a client's bucket per
+	 * second, which is the sustained calls rate allowed for a client.
+	 * @param {Object} [options] Rate limiter options.
+	 * @param {(string|function)} [options.key=actor] How clients are identified.
+	 * The "actor" value means the authenticated actor stamp is used, falling
+	 * back to the remote address for unauthenticated calls. The "address" value
+	 * means the remote address is always used. If function, it is called with
+	 * the call as its only argument and returns the client key string.
+	 * @param {module:x2node-ws.RateLimitStore} [options.store] The buckets
+	 * store. If not provided, a new
+	 * [MemoryRateLimitStore]{@link module:x2node-ws.MemoryRateLimitStore} is
+	 * used.
+	 * @param {string} [options.keyPrefix] Prefix added to the client keys, which
+	 * allows multiple rate limiters to share a single store.
+	 */
+	constructor(capacity, refillRate, options) {
+
+		if (!(capacity >= 1))
+			throw new common.X2UsageError(
+				'Rate limiter capacity must be at least 1.');
+		this._capacity = capacity;
+		if (!(refillRate > 0))
+			throw new common.X2UsageError(
+				'Rate limiter refill rate must be a positive number.');
+		this._refillRate = refillRate;
+
+		const opts = (options || {});
+		if ((typeof opts.key) === 'function') {
+			this._getKey = opts.key;
+		} else if ((opts.key === undefined) || (opts.key === 'actor')) {
+			this._getKey = call => (
+				call.actor ?
+					`actor:${call.actor.stamp}` :
+					`address:${call.httpRequest.socket.remoteAddress}`);
+		} else if (opts.key === 'address') {
+			this._getKey = call => (
+				`address:${call.httpRequest.socket.remoteAddress}`);
+		} else {
+			throw new common.X2UsageError(
+				`Invalid rate limiter key ${opts.key}.`);
+		}
+		this._store = (opts.store || new MemoryRateLimitStore());
+		this._keyPrefix = (opts.keyPrefix || '');
+	}
+
+	// take a token from the client's bucket
+	consume(call) {
+
+		return Promise.resolve(this._store.take(
+			this._keyPrefix + this._getKey(call),
+			this._capacity, this._refillRate
+		)).then(
+			res => {
+				const result = {
+					allowed: res.taken,
+					limit: this._capacity,
+					remaining: res.remaining,
+					reset: res.reset
+				};
+				if (!res.taken)
+					result.retryAfter = res.retryAfter;
+				return result;
+			}
+		);
+	}
+}
+
+// export the class
+module.exports = TokenBucketRateLimiter;
@@ -0,0 +1,142 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const stream = require('stream');
+
+const ws = require('../index.js');
+const t = require('./lib/helpers.js');
+
+
+/**
+ * The API key.
+ */
+const KEY = 'k3y-s3cr3t';
+
+/**
+ * Handles, with which the registry was called.
+ */
+const lookedUp = new Array();
+
+/**
+ * Actors registry that knows the test key's hash.
+ */
+const registry = {
+	lookupActor(handle) {
+		lookedUp.push(handle);
+		return (
+			handle === crypto.createHash('sha256').update(KEY).digest('hex') ?
+				{ stamp: 'client1' } : null);
+	}
+};
+
+/**
+ * Create and run application with access log in the specified format.
+ *
+ * @param {string} format Access log format.
+ * @returns {Object} Object with <code>app</code>, <code>server</code> and
+ * collected access log <code>lines</code>.
+ */
+function runApp(format) {
+
+	const lines = new Array();
+	const destination = new stream.Writable({
+		write(chunk, encoding, callback) {
+			lines.push(...String(chunk).split('\n').filter(line => line));
+			callback();
+		}
+	});
+	const app = ws.createApplication({
+		apiVersion: 'test',
+		handleSignals: false,
+		accessLog: { format: format, destination: destination }
+	});
+	const server = app
+		.addAuthenticator('/.*', new ws.ApiKeyAuthenticator(registry, {
+			queryParam: 'api_key'
+		}))
+		.addEndpoint('/x', {
+			isAllowed(call) { return Boolean(call.actor); },
+			GET(call) { return { actor: call.actor.stamp }; }
+		})
+		.run(0);
+
+	return { app: app, server: server, lines: lines };
+}
+
+// run the applications
+const apps = {
+	common: runApp('common'),
+	combined: runApp('combined'),
+	json: runApp('json')
+};
+
+/**
+ * Send GET request to the application.
+ *
+ * @param {string} format Access log format of the application.
+ * @param {string} path Request URI.
+ * @param {Object.<string,string>} [headers] Request headers.
+ * @returns {Promise.<http.IncomingMessage>} Promise of the response.
+ */
+function get(format, path, headers) {
+
+	return t.request(apps[format].server.address().port, 'GET', path, headers);
+}
+
+// the tests
+t.test('key in header', () => {
+	lookedUp.length = 0;
+	return get('common', '/x', { 'X-API-Key': KEY }).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.deepEqual(JSON.parse(res.body), { actor: 'client1' });
+		assert.strictEqual(lookedUp.length, 1);
+		assert.notStrictEqual(lookedUp[0], KEY);
+	});
+});
+
+t.test('key in query string', () => get('common', `/x?api_key=${KEY}`).then(
+	res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.deepEqual(JSON.parse(res.body), { actor: 'client1' });
+	}));
+
+t.test('invalid key', () => get('common', '/x', { 'X-API-Key': 'nope' }).then(
+	res => {
+		assert.strictEqual(res.statusCode, 401);
+	}));
+
+t.test('no key', () => get('common', '/x').then(res => {
+	assert.strictEqual(res.statusCode, 401);
+	assert.strictEqual(
+		res.headers['www-authenticate'],
+		'ApiKey header="X-API-Key", query="api_key"');
+}));
+
+Object.keys(apps).forEach(format => {
+	t.test(`key masked in ${format} access log`, () => {
+		const lines = apps[format].lines;
+		lines.length = 0;
+		return get(format, `/x?a=1&api_key=${KEY}&b=2`).then(res => {
+			assert.strictEqual(res.statusCode, 200);
+			return t.wait(50);
+		}).then(() => {
+			assert.strictEqual(lines.length, 1);
+			assert(lines[0].indexOf(KEY) < 0, 'key in the log');
+			if (format === 'json')
+				assert.strictEqual(
+					JSON.parse(lines[0]).path, '/x?a=1&api_key=***&b=2');
+			else
+				assert(lines[0].indexOf('"GET /x?a=1&api_key=***&b=2 ') >= 0);
+		});
+	});
+});
+
+let listening = 0;
+Object.keys(apps).forEach(format => {
+	apps[format].server.on('listening', () => {
+		if (++listening === Object.keys(apps).length)
+			t.run(() => Promise.all(Object.keys(apps).map(
+				format => apps[format].app.shutdown({ timeout: 1000 }))));
+	});
+});
@@ -0,0 +1,68 @@
+'use strict';
+
+const assert = require('assert');
+
+const ws = require('../index.js');
+const t = require('./lib/helpers.js');
+
+
+/**
+ * Reasons, with which the call signals got aborted.
+ */
+const abortReasons = new Array();
+
+/**
+ * Handler that never completes.
+ */
+const stuck = {
+	GET(call) {
+		call.signal.on('abort', reason => { abortReasons.push(reason); });
+		return new Promise(() => {});
+	}
+};
+
+// run the application
+const app = ws.createApplication({
+	apiVersion: 'test',
+	handleSignals: false,
+	callTimeout: 100
+});
+const server = app
+	.addEndpoint('/stuck', stuck)
+	.addEndpoint('/gateway', stuck, { callTimeoutStatusCode: 504 })
+	.addEndpoint('/fast', { GET() { return { ok: true }; } })
+	.run(0);
+
+/**
+ * Send GET request to the application.
+ *
+ * @param {string} path Request URI.
+ * @returns {Promise.<http.IncomingMessage>} Promise of the response.
+ */
+function get(path) {
+
+	return t.request(server.address().port, 'GET', path);
+}
+
+// the tests
+t.test('handler that never completes', () => get('/stuck').then(res => {
+	assert.strictEqual(res.statusCode, 503);
+	assert.strictEqual(JSON.parse(res.body).errorCode, 'X2-503-1');
+	assert.strictEqual(abortReasons.length, 1);
+	assert(abortReasons[0] instanceof Error);
+}));
+
+t.test('configured timeout status code', () => get('/gateway').then(res => {
+	assert.strictEqual(res.statusCode, 504);
+	assert.strictEqual(JSON.parse(res.body).errorCode, 'X2-504-1');
+	assert.strictEqual(abortReasons.length, 2);
+}));
+
+t.test('handler that completes in time', () => get('/fast').then(res => {
+	assert.strictEqual(res.statusCode, 200);
+	assert.deepEqual(JSON.parse(res.body), { ok: true });
+}));
+
+server.on('listening', () => {
+	t.run(() => app.shutdown({ timeout: 1000 }));
+});
@@ -0,0 +1,210 @@
+'use strict';
+
+const assert = require('assert');
+const childProcess = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const os = require('os');
+const path = require('path');
+const common = require('x2node-common');
+
+const ws = require('../index.js');
+const t = require('./lib/helpers.js');
+
+
+/**
+ * Temporary directory for the generated keys and certificates.
+ */
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'x2node-ws-test-'));
+
+/**
+ * Run openssl command in the temporary directory.
+ *
+ * @param {...string} args The command arguments.
+ */
+function openssl(...args) {
+
+	childProcess.execFileSync('openssl', args, { cwd: dir, stdio: 'ignore' });
+}
+
+/**
+ * Generate key and certificate.
+ *
+ * @param {string} name Base name of the key and certificate files.
+ * @param {string} subject Certificate subject.
+ * @param {string} [signer] Base name of the CA key and certificate files, or
+ * nothing for a self-signed certificate.
+ * @param {string} [san] Subject alternative name extension value.
+ * @returns {Object} Object with the PEM <code>key</code> and
+ * <code>cert</code>.
+ */
+function generate(name, subject, signer, san) {
+
+	const keyArgs = [
+		'-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1',
+		'-nodes', '-keyout', `${name}.key`, '-subj', subject
+	];
+	if (!signer) {
+		openssl('req', '-x509', ...keyArgs, '-days', '1', '-out', `${name}.crt`);
+	} else {
+		openssl('req', ...keyArgs, '-out', `${name}.csr`);
+		const extArgs = new Array();
+		if (san) {
+			fs.writeFileSync(
+				path.join(dir, `${name}.ext`), `subjectAltName=${san}\n`);
+			extArgs.push('-extfile', `${name}.ext`);
+		}
+		openssl(
+			'x509', '-req', '-in', `${name}.csr`, '-CA', `${signer}.crt`,
+			'-CAkey', `${signer}.key`, '-set_serial', String(Date.now()),
+			'-days', '1', '-out', `${name}.crt`, ...extArgs);
+	}
+
+	return {
+		key: fs.readFileSync(path.join(dir, `${name}.key`)),
+		cert: fs.readFileSync(path.join(dir, `${name}.crt`))
+	};
+}
+
+// generate the certificates
+const ca = generate('ca', '/CN=Test CA');
+const serverCert = generate('server', '/CN=localhost', 'ca', 'IP:127.0.0.1');
+const clientCert = generate(
+	'client', '/CN=svc-a', 'ca', 'URI:spiffe://cluster/svc-a');
+const rogueCert = generate('rogue', '/CN=svc-a');
+
+/**
+ * SHA-256 fingerprint of the self-signed client certificate.
+ */
+const ROGUE_FINGERPRINT = new crypto.X509Certificate(
+	rogueCert.cert).fingerprint256;
+
+/**
+ * Actors registry that knows every handle.
+ */
+const actorsRegistry = {
+	lookupActor(handle) { return { stamp: handle }; }
+};
+
+// run the application
+const app = ws.createApplication({ apiVersion: 'test', handleSignals: false });
+const server = app
+	.addAuthenticator('/cn', new ws.ClientCertificateAuthenticator(
+		actorsRegistry))
+	.addAuthenticator('/san', new ws.ClientCertificateAuthenticator(
+		actorsRegistry, { extractor: 'san:URI' }))
+	.addAuthenticator('/dns', new ws.ClientCertificateAuthenticator(
+		actorsRegistry, { extractor: 'san:DNS' }))
+	.addAuthenticator('/fingerprint', new ws.ClientCertificateAuthenticator(
+		actorsRegistry, { extractor: 'fingerprint', allowUnauthorized: true }))
+	.addAuthenticator('/custom', new ws.ClientCertificateAuthenticator(
+		actorsRegistry, {
+			extractor: (cert, call) => `${cert.issuer.CN}:${call.method}`
+		}))
+	.addEndpoint('/(cn|san|dns|fingerprint|custom)', {
+		isAllowed(call) { return Boolean(call.actor); },
+		GET(call) { return { actor: call.actor.stamp }; }
+	})
+	.run(0, {
+		tls: {
+			key: serverCert.key,
+			cert: serverCert.cert,
+			ca: ca.cert,
+			requestCert: true,
+			rejectUnauthorized: false
+		}
+	});
+
+/**
+ * Send GET request to the application over TLS.
+ *
+ * @param {string} path Request URI.
+ * @param {Object} [client] Client <code>key</code> and <code>cert</code>, if
+ * any.
+ * @returns {Promise.<http.IncomingMessage>} Promise of the response with the
+ * payload in a <code>body</code> buffer property.
+ */
+function get(path, client) {
+
+	return new Promise((resolve, reject) => {
+		const request = https.request(Object.assign({
+			host: '127.0.0.1',
+			port: server.address().port,
+			method: 'GET',
+			path: path,
+			ca: ca.cert,
+			agent: false
+		}, client), response => {
+			const bufs = new Array();
+			response
+				.on('data', chunk => { bufs.push(chunk); })
+				.on('end', () => {
+					response.body = Buffer.concat(bufs);
+					resolve(response);
+				});
+		});
+		request.on('error', reject);
+		request.end();
+	});
+}
+
+/**
+ * Get the actor stamp from the response.
+ *
+ * @param {http.IncomingMessage} res The response.
+ * @returns {string} The actor stamp.
+ */
+function actor(res) {
+
+	assert.strictEqual(res.statusCode, 200);
+
+	return JSON.parse(res.body).actor;
+}
+
+// the tests
+t.test('subject common name', () => get('/cn', clientCert).then(res => {
+	assert.strictEqual(actor(res), 'svc-a');
+}));
+
+t.test('subject alternative name', () => (
+	get('/san', clientCert).then(res => {
+		assert.strictEqual(actor(res), 'spiffe://cluster/svc-a');
+		return get('/dns', clientCert);
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 401);
+	})
+));
+
+t.test('custom extractor', () => get('/custom', clientCert).then(res => {
+	assert.strictEqual(actor(res), 'Test CA:GET');
+}));
+
+t.test('no client certificate', () => get('/cn').then(res => {
+	assert.strictEqual(res.statusCode, 401);
+}));
+
+t.test('certificate not issued by trusted CA', () => (
+	get('/cn', rogueCert).then(res => {
+		assert.strictEqual(res.statusCode, 401);
+		return get('/fingerprint', rogueCert);
+	}).then(res => {
+		assert.strictEqual(actor(res), ROGUE_FINGERPRINT);
+	})
+));
+
+t.test('invalid extractor', () => {
+	assert.throws(
+		() => new ws.ClientCertificateAuthenticator(actorsRegistry, {
+			extractor: 'issuer'
+		}),
+		common.X2UsageError);
+});
+
+server.on('listening', () => {
+	t.run(() => app.shutdown({ timeout: 1000 }).then(() => {
+		for (let file of fs.readdirSync(dir))
+			fs.unlinkSync(path.join(dir, file));
+		fs.rmdirSync(dir);
+	}));
+});
@@ -0,0 +1,250 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const stream = require('stream');
+const common = require('x2node-common');
+
+const ws = require('../index.js');
+const t = require('./lib/helpers.js');
+
+
+/**
+ * Shared secret for the bearer tokens.
+ */
+const SECRET = 'shared secret';
+
+/**
+ * The API key.
+ */
+const KEY = 'k3y-s3cr3t';
+
+/**
+ * Number of calls to the member authenticators by name.
+ */
+const calls = new Object();
+
+/**
+ * Wrap member authenticator to count the calls to it.
+ *
+ * @param {string} name Name, under which to count the calls.
+ * @param {module:x2node-ws.Authenticator} authenticator The authenticator.
+ * @returns {module:x2node-ws.Authenticator} The same authenticator.
+ */
+function counted(name, authenticator) {
+
+	const authenticate = authenticator.authenticate;
+	authenticator.authenticate = function(call) {
+		calls[name] = (calls[name] || 0) + 1;
+		return authenticate.call(this, call);
+	};
+
+	return authenticator;
+}
+
+/**
+ * Member authenticator without a scheme and without the challenge getter,
+ * which authenticates calls with the "X-Stub" header and rejects payloads that
+ * contain "bad".
+ */
+const stub = counted('stub', {
+	authenticate(call) {
+		return (
+			call.httpRequest.headers['x-stub'] ? { stamp: 'stub' } : null);
+	},
+	addResponseHeaders(call, response) {
+		if (response.statusCode === 401)
+			response.setHeader('WWW-Authenticate', 'Stub');
+	},
+	createPayloadVerifier() {
+		let payload = '';
+		return {
+			update(chunk) { payload += chunk; },
+			verify() { return (payload.indexOf('bad') < 0); }
+		};
+	}
+});
+
+/**
+ * Access log lines.
+ */
+const lines = new Array();
+
+// run the application
+const composite = new ws.CompositeAuthenticator([
+	counted('basic', new ws.BasicAuthenticator({
+		lookupActor(handle, password) {
+			return (password === 'pw' ? { stamp: `basic:${handle}` } : null);
+		}
+	}, 'Orders')),
+	counted('jwt', new ws.JwtAuthenticator({
+		lookupActor(handle) { return { stamp: `jwt:${handle}` }; }
+	}, { secret: SECRET })),
+	counted('apiKey', new ws.ApiKeyAuthenticator({
+		lookupActor(handle) {
+			return (
+				handle === crypto.createHash('sha256').update(KEY).digest('hex') ?
+					{ stamp: 'key' } : null);
+		}
+	}, { queryParam: 'api_key' })),
+	stub
+]);
+const app = ws.createApplication({
+	apiVersion: 'test',
+	handleSignals: false,
+	accessLog: {
+		format: 'common',
+		destination: new stream.Writable({
+			write(chunk, encoding, callback) {
+				lines.push(...String(chunk).split('\n').filter(line => line));
+				callback();
+			}
+		})
+	}
+});
+const server = app
+	.addAuthenticator('/.*', composite)
+	.addEndpoint('/x', {
+		isAllowed(call) { return Boolean(call.actor); },
+		GET(call) { return { actor: call.actor.stamp }; },
+		POST(call) { return { actor: call.actor.stamp }; }
+	})
+	.run(0);
+
+/**
+ * Build HS256 token for the subject.
+ *
+ * @param {string} sub The subject.
+ * @param {string} [secret] Signing secret, by default the right one.
+ * @returns {string} The token.
+ */
+function token(sub, secret) {
+
+	const base64Url = (value => Buffer.from(value).toString('base64')
+		.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_'));
+	const signingInput = base64Url('{"alg":"HS256"}') + '.' +
+		base64Url(JSON.stringify({ sub }));
+
+	return signingInput + '.' + base64Url(
+		crypto.createHmac('sha256', (secret || SECRET))
+			.update(signingInput).digest());
+}
+
+/**
+ * Send request to the application and reset the member call counters.
+ *
+ * @param {string} method Request method.
+ * @param {string} path Request URI.
+ * @param {Object.<string,string>} [headers] Request headers.
+ * @param {string} [body] Request payload.
+ * @returns {Promise.<http.IncomingMessage>} Promise of the response.
+ */
+function request(method, path, headers, body) {
+
+	Object.keys(calls).forEach(name => { delete calls[name]; });
+
+	return t.request(server.address().port, method, path, headers, body);
+}
+
+// the tests
+t.test('dispatch by Basic scheme', () => (
+	request('GET', '/x', {
+		'Authorization': 'Basic ' + Buffer.from('alice:pw').toString('base64')
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.deepEqual(JSON.parse(res.body), { actor: 'basic:alice' });
+		assert.deepEqual(calls, { basic: 1 });
+	})
+));
+
+t.test('dispatch by Bearer scheme', () => (
+	request('GET', '/x', {
+		'Authorization': `bearer ${token('u1')}`
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.deepEqual(JSON.parse(res.body), { actor: 'jwt:u1' });
+		assert.deepEqual(calls, { jwt: 1 });
+	})
+));
+
+t.test('members without scheme are always called', () => (
+	request('GET', `/x?api_key=${KEY}`).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.deepEqual(JSON.parse(res.body), { actor: 'key' });
+		assert.deepEqual(calls, { apiKey: 1 });
+		return request('GET', `/x?api_key=${KEY}`, {
+			'Authorization': `Bearer ${token('u1', 'wrong')}`
+		});
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.deepEqual(JSON.parse(res.body), { actor: 'key' });
+		assert.deepEqual(calls, { jwt: 1, apiKey: 1 });
+	})
+));
+
+t.test('challenges of all members', () => request('GET', '/x').then(res => {
+	assert.strictEqual(res.statusCode, 401);
+	assert.deepEqual(calls, { apiKey: 1, stub: 1 });
+	assert.strictEqual(
+		res.headers['www-authenticate'],
+		'Basic realm="Orders", charset="UTF-8", Bearer,' +
+			' ApiKey header="X-API-Key", query="api_key", Stub');
+}));
+
+t.test('challenge of rejected token', () => (
+	request('GET', '/x', {
+		'Authorization': `Bearer ${token('u1', 'wrong')}`
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 401);
+		assert(res.headers['www-authenticate'].indexOf(
+			'Bearer error="invalid_token",' +
+				' error_description="Invalid token signature."') > 0);
+	})
+));
+
+t.test('payload verified by authenticating member only', () => (
+	request('POST', '/x', {
+		'X-Stub': '1',
+		'Content-Type': 'application/json'
+	}, '{"v":"bad"}').then(res => {
+		assert.strictEqual(res.statusCode, 401);
+		assert.strictEqual(JSON.parse(res.body).errorCode, 'X2-401-2');
+		return request('POST', '/x', {
+			'X-Stub': '1',
+			'Content-Type': 'application/json'
+		}, '{"v":"good"}');
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		return request('POST', '/x', {
+			'Authorization': 'Basic ' + Buffer.from('bob:pw').toString('base64'),
+			'Content-Type': 'application/json'
+		}, '{"v":"bad"}');
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.deepEqual(JSON.parse(res.body), { actor: 'basic:bob' });
+	})
+));
+
+t.test('sensitive query parameters of all members', () => {
+	assert.deepEqual(composite.sensitiveQueryParams, [ 'api_key' ]);
+	assert.deepEqual(new ws.CompositeAuthenticator([
+		new ws.ApiKeyAuthenticator({}, { queryParam: 'api_key' }),
+		stub,
+		new ws.ApiKeyAuthenticator({}, { queryParam: 'token' }),
+		new ws.ApiKeyAuthenticator({}, { queryParam: 'api_key' })
+	]).sensitiveQueryParams, [ 'api_key', 'token' ]);
+	return request('GET', `/x?api_key=${KEY}`).then(() => {
+		const line = lines[lines.length - 1];
+		assert(line.indexOf('/x?api_key=***') >= 0);
+		assert(line.indexOf(KEY) < 0);
+	});
+});
+
+t.test('no members', () => {
+	assert.throws(
+		() => new ws.CompositeAuthenticator([]), common.X2UsageError);
+});
+
+server.on('listening', () => {
+	t.run(() => app.shutdown({ timeout: 1000 }));
+});
@@ -0,0 +1,112 @@
+'use strict';
+
+const assert = require('assert');
+
+const ws = require('../index.js');
+const t = require('./lib/helpers.js');
+
+
+/**
+ * Response body large enough to be compressed.
+ */
+const BIG = Buffer.from('0123456789'.repeat(200));
+
+// run the application
+const server = ws.createApplication({
+	apiVersion: 'test',
+	compressResponses: true
+}).addEndpoint('/r', {
+	GET() {
+		return ws.createResponse(200)
+			.setHeader('ETag', '"v1"')
+			.setEntity(BIG, 'text/plain');
+	}
+}).addEndpoint('/auto', {
+	autoETag: true,
+	GET() { return { a: 1 }; }
+}).run(0);
+
+/**
+ * Tell if the response varies by the "Accept-Encoding" request header.
+ *
+ * @param {http.IncomingMessage} res The response.
+ * @returns {boolean} <code>true</code> if it does.
+ */
+function variesByEncoding(res) {
+
+	return /(?:^|,)\s*accept-encoding\s*(?:,|$)/i.test(res.headers['vary']);
+}
+
+/**
+ * Send GET request to the application.
+ *
+ * @param {string} path Request URI.
+ * @param {Object.<string,string>} [headers] Request headers.
+ * @returns {Promise.<http.IncomingMessage>} Promise of the response.
+ */
+function get(path, headers) {
+
+	return t.request(server.address().port, 'GET', path, headers);
+}
+
+// the tests
+t.test('compressed response has weak entity tag', () => (
+	get('/r', { 'Accept-Encoding': 'gzip' }).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.strictEqual(res.headers['content-encoding'], 'gzip');
+		assert.strictEqual(res.headers['etag'], 'W/"v1"');
+		assert(variesByEncoding(res));
+	})
+));
+
+t.test('uncompressed response has strong entity tag', () => (
+	get('/r').then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.strictEqual(res.headers['content-encoding'], undefined);
+		assert.strictEqual(res.headers['etag'], '"v1"');
+	})
+));
+
+t.test('not modified compressed representation', () => (
+	get('/r', {
+		'Accept-Encoding': 'gzip',
+		'If-None-Match': 'W/"v1"'
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 304);
+		assert.strictEqual(res.headers['etag'], 'W/"v1"');
+		assert(variesByEncoding(res));
+		assert.strictEqual(res.body.length, 0);
+	})
+));
+
+t.test('not modified uncompressed representation', () => (
+	get('/r', { 'If-None-Match': '"v1"' }).then(res => {
+		assert.strictEqual(res.statusCode, 304);
+		assert.strictEqual(res.headers['etag'], '"v1"');
+		assert(variesByEncoding(res));
+	})
+));
+
+t.test('modified representation', () => (
+	get('/r', { 'If-None-Match': '"v0"' }).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.strictEqual(res.body.length, BIG.length);
+	})
+));
+
+t.test('automatic entity tag', () => {
+	let etag;
+	return get('/auto').then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		etag = res.headers['etag'];
+		assert(/^"[^"]+"$/.test(etag));
+		return get('/auto', { 'If-None-Match': etag });
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 304);
+		assert.strictEqual(res.headers['etag'], etag);
+	});
+});
+
+server.on('listening', () => {
+	t.run(() => { server.close(); });
+});
@@ -0,0 +1,70 @@
+'use strict';
+
+const assert = require('assert');
+
+const ws = require('../index.js');
+const t = require('./lib/helpers.js');
+
+
+/**
+ * Callback that lets the slow call complete.
+ */
+let release;
+
+// run the application
+const app = ws.createApplication({ apiVersion: 'test', handleSignals: false });
+const server = app
+	.addEndpoint('/slow', {
+		GET() { return new Promise(resolve => { release = resolve; }); }
+	})
+	.addEndpoint('/fast', { GET() { return { ok: true }; } })
+	.run(0);
+
+/**
+ * Send GET request to the application.
+ *
+ * @param {string} path Request URI.
+ * @returns {Promise.<http.IncomingMessage>} Promise of the response.
+ */
+function get(path) {
+
+	return t.request(server.address().port, 'GET', path);
+}
+
+// the tests
+t.test('call in progress is counted', () => {
+	const slow = get('/slow');
+	return t.wait(100).then(() => {
+		const stats = app.getStats();
+		assert.strictEqual(stats.openConnections, 1);
+		assert.strictEqual(stats.activeConnections, 1);
+		assert.strictEqual(stats.inFlightCalls, 1);
+		assert.strictEqual(stats.connections[0].calls.length, 1);
+		release({ done: true });
+		return slow;
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		return t.wait(100);
+	}).then(() => {
+		const stats = app.getStats();
+		assert.strictEqual(stats.activeConnections, 0);
+		assert.strictEqual(stats.inFlightCalls, 0);
+		assert.strictEqual(stats.completedCallsByStatus['200'], 1);
+	});
+});
+
+t.test('request on connection missing from registry', () => {
+	const forget = () => { app._connections.clear(); };
+	server.prependListener('request', forget);
+	return get('/fast').then(res => {
+		server.removeListener('request', forget);
+		assert.strictEqual(res.statusCode, 503);
+		return get('/fast');
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+	});
+});
+
+server.on('listening', () => {
+	t.run(() => app.shutdown({ timeout: 1000 }));
+});
@@ -0,0 +1,130 @@
+'use strict';
+
+const assert = require('assert');
+
+const ws = require('../index.js');
+const t = require('./lib/helpers.js');
+
+
+/**
+ * Health check results to return.
+ */
+const health = {
+	db: true,
+	cache: true
+};
+
+/**
+ * Tells if the authenticator delays the calls, so that they are still in
+ * progress when the shutdown is initiated.
+ */
+let delayAuth = false;
+
+// run the application
+const app = ws.createApplication({
+	apiVersion: 'test',
+	handleSignals: false,
+	healthEndpoints: true,
+	healthCheckTimeout: 100
+});
+const server = app
+	.addHealthCheck('db', () => health.db)
+	.addHealthCheck('cache', () => (
+		health.cache === 'hang' ?
+			new Promise(() => {}) : Promise.resolve(health.cache)))
+	.addAuthenticator('/(ready|health)', {
+		authenticate() { return (delayAuth ? t.wait(200) : null); }
+	})
+	.run(0);
+
+/**
+ * Send GET request to the application.
+ *
+ * @param {string} path Request URI.
+ * @returns {Promise.<http.IncomingMessage>} Promise of the response.
+ */
+function get(path) {
+
+	return t.request(server.address().port, 'GET', path);
+}
+
+// the tests
+t.test('liveness', () => get('/live').then(res => {
+	assert.strictEqual(res.statusCode, 200);
+	assert.strictEqual(JSON.parse(res.body).status, 'UP');
+}));
+
+t.test('all checks pass', () => get('/ready').then(res => {
+	assert.strictEqual(res.statusCode, 200);
+	return get('/health');
+}).then(res => {
+	assert.strictEqual(res.statusCode, 200);
+	assert.strictEqual(res.headers['cache-control'], 'no-store');
+	const report = JSON.parse(res.body);
+	assert.strictEqual(report.status, 'UP');
+	assert.strictEqual(report.checks.db.status, 'UP');
+	assert.strictEqual(report.checks.cache.status, 'UP');
+	assert.strictEqual(typeof report.checks.db.latency, 'number');
+}));
+
+t.test('failed check', () => {
+	health.db = false;
+	return get('/ready').then(res => {
+		assert.strictEqual(res.statusCode, 503);
+		return get('/health');
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 503);
+		const report = JSON.parse(res.body);
+		assert.strictEqual(report.status, 'DOWN');
+		assert.strictEqual(report.checks.db.status, 'DOWN');
+		assert.strictEqual(report.checks.cache.status, 'UP');
+		health.db = true;
+	});
+});
+
+t.test('check details and errors', () => {
+	health.db = { connections: 3 };
+	health.cache = Promise.reject(new Error('No cache.'));
+	health.cache.catch(() => {});
+	return get('/health').then(res => {
+		const report = JSON.parse(res.body);
+		assert.deepEqual(report.checks.db.details, { connections: 3 });
+		assert.strictEqual(report.checks.cache.status, 'DOWN');
+		assert.strictEqual(report.checks.cache.error, 'No cache.');
+		health.db = true;
+		health.cache = true;
+	});
+});
+
+t.test('check timeout', () => {
+	health.cache = 'hang';
+	return get('/health').then(res => {
+		assert.strictEqual(res.statusCode, 503);
+		assert.strictEqual(
+			JSON.parse(res.body).checks.cache.error,
+			'Check timed out after 100ms.');
+		health.cache = true;
+	});
+});
+
+t.test('not ready while shutting down', () => {
+	delayAuth = true;
+	const ready = get('/ready');
+	const report = get('/health');
+	return t.wait(50).then(() => {
+		app.shutdown({ timeout: 1000 });
+		return Promise.all([ ready, report ]);
+	}).then(responses => {
+		assert.strictEqual(responses[0].statusCode, 503);
+		assert.strictEqual(JSON.parse(responses[0].body).shuttingDown, true);
+		assert.strictEqual(responses[1].statusCode, 503);
+		const report = JSON.parse(responses[1].body);
+		assert.strictEqual(report.status, 'DOWN');
+		assert.strictEqual(report.shuttingDown, true);
+		assert.strictEqual(report.checks.db.status, 'UP');
+	});
+});
+
+server.on('listening', () => {
+	t.run(() => app.shutdown());
+});
@@ -0,0 +1,119 @@
+'use strict';
+
+const assert = require('assert');
+const http2 = require('http2');
+
+const ws = require('../index.js');
+const t = require('./lib/helpers.js');
+
+
+// run the application
+const app = ws.createApplication({
+	apiVersion: 'test',
+	handleSignals: false,
+	maxRequestSize: 100
+});
+const server = app
+	.addEndpoint('/x', {
+		GET() { return { protocol: 'h2' }; },
+		POST(call) { return call.entity; }
+	})
+	.addEndpoint('/slow', {
+		GET() { return t.wait(200).then(() => ({ slow: true })); }
+	})
+	.run(0, { http2: true });
+
+/**
+ * The client session, connected once the application is listening.
+ */
+let client;
+
+/**
+ * Send request over the client session.
+ *
+ * @param {Object.<string,string>} headers Request headers including the
+ * pseudo-headers.
+ * @param {string} [body] Request payload.
+ * @returns {Promise.<Object>} Promise of the response with
+ * <code>headers</code> and <code>body</code> buffer.
+ */
+function request(headers, body) {
+
+	return new Promise((resolve, reject) => {
+		const stream = client.request(headers, { endStream: !body });
+		let responseHeaders;
+		const bufs = new Array();
+		stream
+			.on('response', h => { responseHeaders = h; })
+			.on('data', chunk => { bufs.push(chunk); })
+			.on('end', () => {
+				resolve({ headers: responseHeaders, body: Buffer.concat(bufs) });
+			})
+			.on('error', reject);
+		if (body)
+			stream.end(body);
+	});
+}
+
+// the tests
+t.test('GET over HTTP/2', () => (
+	request({ ':method': 'GET', ':path': '/x' }).then(res => {
+		assert.strictEqual(res.headers[':status'], 200);
+		assert.deepEqual(JSON.parse(res.body), { protocol: 'h2' });
+		assert.strictEqual(res.headers['connection'], undefined);
+	})
+));
+
+t.test('payload without content length', () => (
+	request({
+		':method': 'POST',
+		':path': '/x',
+		'content-type': 'application/json'
+	}, '{"a":1}').then(res => {
+		assert.strictEqual(res.headers[':status'], 200);
+		assert.deepEqual(JSON.parse(res.body), { a: 1 });
+	})
+));
+
+t.test('error response with connection-specific header', () => {
+	const body = JSON.stringify({ a: 'x'.repeat(990) });
+	return request({
+		':method': 'POST',
+		':path': '/x',
+		'content-type': 'application/json',
+		'content-length': String(body.length)
+	}, body).then(res => {
+		assert.strictEqual(res.headers[':status'], 413);
+		assert.strictEqual(res.headers['connection'], undefined);
+		return request({ ':method': 'GET', ':path': '/x' });
+	}).then(res => {
+		assert.strictEqual(res.headers[':status'], 200);
+	});
+});
+
+t.test('concurrent streams', () => (
+	Promise.all([ 1, 2, 3 ].map(() => request({
+		':method': 'GET',
+		':path': '/x'
+	}))).then(responses => {
+		responses.forEach(res => {
+			assert.strictEqual(res.headers[':status'], 200);
+		});
+	})
+));
+
+t.test('shutdown lets in-flight stream complete', () => {
+	const slow = request({ ':method': 'GET', ':path': '/slow' });
+	return t.wait(50).then(() => Promise.all([
+		slow, app.shutdown({ timeout: 1000 })
+	])).then(results => {
+		assert.strictEqual(results[0].headers[':status'], 200);
+		assert.deepEqual(JSON.parse(results[0].body), { slow: true });
+	});
+});
+
+server.on('listening', () => {
+	client = http2.connect(`http://127.0.0.1:${server.address().port}`);
+	client.on('error', () => {});
+	t.run(() => { client.close(); });
+});
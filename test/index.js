@@ -0,0 +1,34 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const childProcess = require('child_process');
+
+
+/**
+ * Maximum milliseconds a test file may run.
+ *
+ * @private
+ * @constant {number}
+ */
+const TEST_TIMEOUT = 60000;
+
+// run each test file in its own process
+const failed = fs.readdirSync(__dirname)
+	.filter(f => (/\.js$/.test(f) && (f !== 'index.js')))
+	.sort()
+	.filter(f => {
+		console.log(`# ${f}`);
+		const res = childProcess.spawnSync(
+			process.execPath, [ path.join(__dirname, f) ], {
+				stdio: 'inherit',
+				timeout: TEST_TIMEOUT
+			});
+		return (res.status !== 0);
+	});
+
+// report the failed test files
+if (failed.length > 0) {
+	console.error(`failed: ${failed.join(', ')}`);
+	process.exitCode = 1;
+}
@@ -0,0 +1,115 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const querystring = require('querystring');
+
+const ws = require('../index.js');
+const t = require('./lib/helpers.js');
+
+
+/**
+ * Introspection responses by token.
+ */
+const TOKENS = {
+	'good': { active: true, sub: 'u1', scope: 'read write' },
+	'concurrent': { active: true, sub: 'u2', scope: 'read' },
+	'noscope': { active: true, sub: 'u3', scope: 'write' }
+};
+
+/**
+ * Number of introspection requests received by token.
+ */
+const introspected = new Object();
+
+// stand-in introspection server
+const idp = http.createServer((request, response) => {
+	let body = '';
+	request.on('data', chunk => { body += chunk; }).on('end', () => {
+		const token = querystring.parse(body).token;
+		introspected[token] = (introspected[token] || 0) + 1;
+		if (token === 'boom') {
+			response.writeHead(500);
+			return response.end();
+		}
+		setTimeout(() => {
+			response.writeHead(200, { 'Content-Type': 'application/json' });
+			response.end(JSON.stringify(TOKENS[token] || { active: false }));
+		}, 50);
+	});
+});
+
+// the application, started once the stand-in is listening
+let app, server;
+
+/**
+ * Call the protected endpoint with the token.
+ *
+ * @param {string} token The token.
+ * @returns {Promise.<http.IncomingMessage>} Promise of the response.
+ */
+function get(token) {
+
+	return t.request(
+		server.address().port, 'GET', '/x',
+		{ 'Authorization': `Bearer ${token}` });
+}
+
+t.test('active token is introspected once and cached', () => (
+	get('good').then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.deepEqual(JSON.parse(res.body), { actor: 'u1' });
+		return get('good');
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.strictEqual(introspected['good'], 1);
+	})
+));
+
+t.test('inactive token', () => get('bad').then(res => {
+	assert.strictEqual(res.statusCode, 401);
+	assert(/error="invalid_token"/.test(res.headers['www-authenticate']));
+}));
+
+t.test('token without required scope', () => get('noscope').then(res => {
+	assert.strictEqual(res.statusCode, 403);
+	assert.strictEqual(JSON.parse(res.body).errorCode, 'X2-403-3');
+	assert(/error="insufficient_scope", scope="read"/.test(
+		res.headers['www-authenticate']));
+}));
+
+t.test('introspection endpoint error', () => get('boom').then(res => {
+	assert.strictEqual(res.statusCode, 500);
+}));
+
+t.test('concurrent calls share single introspection request', () => (
+	Promise.all([
+		get('concurrent'), get('concurrent'), get('concurrent')
+	]).then(responses => {
+		responses.forEach(res => { assert.strictEqual(res.statusCode, 200); });
+		assert.strictEqual(introspected['concurrent'], 1);
+	})
+));
+
+idp.listen(0, '127.0.0.1', () => {
+	app = ws.createApplication({ apiVersion: 'test', handleSignals: false });
+	server = app
+		.addAuthenticator('/.*', new ws.IntrospectionAuthenticator({
+			lookupActor(handle) { return { stamp: handle }; }
+		}, {
+			endpoint: `http://127.0.0.1:${idp.address().port}/introspect`,
+			clientId: 'api',
+			clientSecret: 'secret',
+			requiredScope: 'read'
+		}))
+		.addEndpoint('/x', {
+			isAllowed(call) { return Boolean(call.actor); },
+			GET(call) { return { actor: call.actor.stamp }; }
+		})
+		.run(0);
+	server.on('listening', () => {
+		t.run(() => app.shutdown({ timeout: 1000 }).then(() => {
+			idp.close();
+		}));
+	});
+});
@@ -0,0 +1,293 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const common = require('x2node-common');
+
+const ws = require('../index.js');
+const t = require('./lib/helpers.js');
+
+
+/**
+ * Shared secret for the HS256 tokens.
+ */
+const SECRET = 'shared secret';
+
+/**
+ * RSA key pair for the RS256 tokens.
+ */
+const RSA = crypto.generateKeyPairSync('rsa', {
+	modulusLength: 2048,
+	publicKeyEncoding: { type: 'spki', format: 'pem' },
+	privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+/**
+ * EC key pair for the ES256 tokens, published in the key set.
+ */
+const EC = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+
+/**
+ * Symmetric keys published in the key set.
+ */
+const K1 = crypto.randomBytes(32);
+const K2 = crypto.randomBytes(32);
+
+/**
+ * Encode value in base64url.
+ *
+ * @param {(external:Buffer|string)} value The value.
+ * @returns {string} The encoded value.
+ */
+function base64Url(value) {
+
+	return Buffer.from(value).toString('base64')
+		.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+/**
+ * Build key set.
+ *
+ * @param {boolean} withK1 Include the "k1" key.
+ * @returns {Object} The key set.
+ */
+function keySet(withK1) {
+
+	const keys = [
+		{ kty: 'oct', kid: 'k2', alg: 'HS256', k: base64Url(K2) },
+		Object.assign({ kid: 'e1' }, EC.publicKey.export({ format: 'jwk' }))
+	];
+	if (withK1)
+		keys.unshift({ kty: 'oct', kid: 'k1', k: base64Url(K1) });
+
+	return { keys };
+}
+
+/**
+ * Build signed token.
+ *
+ * @param {Object} header Token header.
+ * @param {Object} claims Token claims.
+ * @param {(external:Buffer|string|crypto.KeyObject)} [key] Signing key. Not
+ * needed for the "none" algorithm.
+ * @returns {string} The token.
+ */
+function sign(header, claims, key) {
+
+	const signingInput = base64Url(JSON.stringify(header)) + '.' +
+		base64Url(JSON.stringify(claims));
+
+	let sig;
+	switch (header.alg) {
+	case 'HS256':
+		sig = crypto.createHmac('sha256', key).update(signingInput).digest();
+		break;
+	case 'RS256':
+		sig = crypto.createSign('sha256').update(signingInput).sign(key);
+		break;
+	case 'ES256':
+		sig = crypto.createSign('sha256').update(signingInput).sign({
+			key: key,
+			dsaEncoding: 'ieee-p1363'
+		});
+		break;
+	default:
+		sig = Buffer.alloc(0);
+	}
+
+	return signingInput + '.' + base64Url(sig);
+}
+
+/**
+ * Make token claims valid for the application.
+ *
+ * @param {Object} [claims] Claims to add or override.
+ * @returns {Object} The claims.
+ */
+function claims(claims) {
+
+	const now = Math.floor(Date.now() / 1000);
+
+	return Object.assign({
+		iss: 'https://auth.example.com/',
+		aud: 'api',
+		sub: 'u1',
+		iat: now,
+		exp: now + 60
+	}, claims);
+}
+
+/**
+ * Actors registry that knows every handle but "ghost".
+ */
+const actorsRegistry = {
+	lookupActor(handle) {
+		return (handle === 'ghost' ? null : { stamp: handle });
+	}
+};
+
+// run the application
+const jwtAuthenticator = new ws.JwtAuthenticator(actorsRegistry, {
+	secret: SECRET,
+	publicKey: RSA.publicKey,
+	keySet: keySet(true),
+	issuer: 'https://auth.example.com/',
+	audience: [ 'api', 'admin' ]
+});
+const app = ws.createApplication({ apiVersion: 'test', handleSignals: false });
+const server = app
+	.addAuthenticator('/rs', new ws.JwtAuthenticator(actorsRegistry, {
+		secret: SECRET,
+		publicKey: RSA.publicKey,
+		algorithms: [ 'RS256' ]
+	}))
+	.addAuthenticator('/x', jwtAuthenticator)
+	.addEndpoint('/(x|rs)', {
+		isAllowed(call) { return Boolean(call.actor); },
+		GET(call) { return { actor: call.actor.stamp }; }
+	})
+	.run(0);
+
+/**
+ * Call the protected endpoint with the token.
+ *
+ * @param {string} token The token.
+ * @param {string} [path] Request URI, "/x" by default.
+ * @returns {Promise.<http.IncomingMessage>} Promise of the response.
+ */
+function get(token, path) {
+
+	return t.request(
+		server.address().port, 'GET', (path || '/x'),
+		{ 'Authorization': `Bearer ${token}` });
+}
+
+/**
+ * Assert that the response is a 401 with the token error description.
+ *
+ * @param {http.IncomingMessage} res The response.
+ * @param {string} description Expected error description.
+ */
+function assertRejected(res, description) {
+
+	assert.strictEqual(res.statusCode, 401);
+	assert.strictEqual(
+		res.headers['www-authenticate'],
+		`Bearer error="invalid_token", error_description="${description}"`);
+}
+
+// the tests
+t.test('HS256 token signed with the secret', () => (
+	get(sign({ alg: 'HS256' }, claims(), SECRET)).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.deepEqual(JSON.parse(res.body), { actor: 'u1' });
+	})
+));
+
+t.test('RS256 token signed with the private key', () => (
+	get(sign({ alg: 'RS256' }, claims(), RSA.privateKey)).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+	})
+));
+
+t.test('ES256 token verified with the key set', () => (
+	get(sign(
+		{ alg: 'ES256', kid: 'e1' }, claims(), EC.privateKey
+	)).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+	})
+));
+
+t.test('unsigned token', () => (
+	get(sign({ alg: 'none' }, claims())).then(res => {
+		assertRejected(res, 'Unsupported token algorithm.');
+	})
+));
+
+t.test('algorithm not allowed', () => (
+	get(sign({ alg: 'HS256' }, claims(), SECRET), '/rs').then(res => {
+		assertRejected(res, 'Unsupported token algorithm.');
+		return get(sign({ alg: 'RS256' }, claims(), RSA.privateKey), '/rs');
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+	})
+));
+
+t.test('public key is not used as HMAC secret', () => (
+	get(sign({ alg: 'HS256' }, claims(), RSA.publicKey)).then(res => {
+		assertRejected(res, 'Invalid token signature.');
+	})
+));
+
+t.test('key selected by kid', () => (
+	get(sign({ alg: 'HS256', kid: 'k2' }, claims(), K2)).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		return get(sign({ alg: 'HS256', kid: 'k2' }, claims(), K1));
+	}).then(res => {
+		assertRejected(res, 'Invalid token signature.');
+		return get(sign({ alg: 'HS256' }, claims(), K1));
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+	})
+));
+
+t.test('unknown or mismatched kid', () => (
+	get(sign({ alg: 'HS256', kid: 'k9' }, claims(), K1)).then(res => {
+		assertRejected(res, 'Unknown token signing key.');
+		return get(sign({ alg: 'HS256', kid: 'e1' }, claims(), K1));
+	}).then(res => {
+		assertRejected(res, 'Unknown token signing key.');
+	})
+));
+
+t.test('key set rotation', () => {
+	const token = sign({ alg: 'HS256', kid: 'k1' }, claims(), K1);
+	return get(token).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		jwtAuthenticator.setKeySet(keySet(false));
+		return get(token);
+	}).then(res => {
+		assertRejected(res, 'Unknown token signing key.');
+		jwtAuthenticator.setKeySet(keySet(true));
+	});
+});
+
+t.test('invalid claims', () => (
+	get(sign({ alg: 'HS256' }, claims({
+		exp: Math.floor(Date.now() / 1000) - 120
+	}), SECRET)).then(res => {
+		assertRejected(res, 'The access token expired.');
+		return get(sign({ alg: 'HS256' }, claims({ aud: 'other' }), SECRET));
+	}).then(res => {
+		assertRejected(res, 'Invalid token audience.');
+		return get(sign({ alg: 'HS256' }, claims({ iss: 'evil' }), SECRET));
+	}).then(res => {
+		assertRejected(res, 'Invalid token issuer.');
+	})
+));
+
+t.test('malformed token', () => get('not.a-token').then(res => {
+	assertRejected(res, 'Malformed token.');
+}));
+
+t.test('unknown actor', () => (
+	get(sign({ alg: 'HS256' }, claims({ sub: 'ghost' }), SECRET)).then(res => {
+		assertRejected(res, 'Unknown actor.');
+	})
+));
+
+t.test('invalid options', () => {
+	assert.throws(
+		() => new ws.JwtAuthenticator(actorsRegistry, {}),
+		common.X2UsageError);
+	assert.throws(
+		() => new ws.JwtAuthenticator(actorsRegistry, {
+			secret: SECRET,
+			algorithms: [ 'none' ]
+		}),
+		common.X2UsageError);
+});
+
+server.on('listening', () => {
+	t.run(() => app.shutdown({ timeout: 1000 }));
+});
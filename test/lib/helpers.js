@@ -0,0 +1,100 @@
+'use strict';
+
+const http = require('http');
+
+
+/**
+ * Registered test cases.
+ *
+ * @private
+ * @type {Array.<Object>}
+ */
+const tests = new Array();
+
+/**
+ * Register test case.
+ *
+ * @param {string} name Test case name.
+ * @param {function():(Promise|*)} fn Test case function. Fails by throwing an
+ * error or returning a rejected promise.
+ */
+exports.test = function(name, fn) {
+
+	tests.push({ name: name, fn: fn });
+};
+
+/**
+ * Run registered test cases one after another and report the results. If any
+ * of the test cases fails, the process exit code is set to 1.
+ *
+ * @param {function():(Promise|*)} cleanup Function called after all test
+ * cases complete to release the resources (e.g. stop the server).
+ * @returns {Promise} Promise that is fulfilled after the cleanup.
+ */
+exports.run = function(cleanup) {
+
+	let failed = false;
+
+	return tests.reduce((chain, test) => chain.then(
+		() => Promise.resolve().then(test.fn).then(
+			() => {
+				console.log(`ok - ${test.name}`);
+			},
+			err => {
+				failed = true;
+				console.error(`not ok - ${test.name}\n${err && err.stack}`);
+			}
+		)
+	), Promise.resolve()).then(() => {
+		if (failed)
+			process.exitCode = 1;
+		return cleanup();
+	});
+};
+
+/**
+ * Send HTTP request and read the whole response.
+ *
+ * @param {number} port Server port.
+ * @param {string} method Request method.
+ * @param {string} path Request URI.
+ * @param {Object.<string,string>} [headers] Request headers.
+ * @param {(string|Buffer)} [body] Request payload.
+ * @returns {Promise.<http.IncomingMessage>} Promise of the response with the
+ * payload in a <code>body</code> buffer property.
+ */
+exports.request = function(port, method, path, headers, body) {
+
+	return new Promise((resolve, reject) => {
+		const request = http.request({
+			host: '127.0.0.1',
+			port: port,
+			method: method,
+			path: path,
+			headers: headers,
+			agent: false
+		}, response => {
+			const bufs = new Array();
+			response
+				.on('data', chunk => { bufs.push(chunk); })
+				.on('end', () => {
+					response.body = Buffer.concat(bufs);
+					resolve(response);
+				})
+				.on('error', reject);
+		});
+		request.on('error', reject);
+		request.end(body);
+	});
+};
+
+/**
+ * Wait for the specified number of milliseconds.
+ *
+ * @param {number} ms Milliseconds.
+ * @returns {Promise} The promise.
+ */
+exports.wait = function(ms) {
+
+	return new Promise(resolve => { setTimeout(resolve, ms); });
+};
@@ -0,0 +1,109 @@
+'use strict';
+
+const assert = require('assert');
+
+const ws = require('../index.js');
+const t = require('./lib/helpers.js');
+
+
+// run the application
+const app = ws.createApplication({
+	apiVersion: 'test',
+	handleSignals: false,
+	metricsEndpoint: true
+});
+const server = app
+	.addEndpoint('/items/([^/]+)', {
+		GET() { return { a: 1 }; },
+		PUT(call) { return call.entity; }
+	})
+	.addEndpoint('/secret', {
+		isAllowed(call) { return Boolean(call.actor); },
+		GET() { return {}; }
+	})
+	.run(0);
+
+/**
+ * Send request to the application.
+ *
+ * @param {string} method Request method.
+ * @param {string} path Request URI.
+ * @param {string} [body] Request JSON payload.
+ * @returns {Promise.<http.IncomingMessage>} Promise of the response.
+ */
+function request(method, path, body) {
+
+	return t.request(
+		server.address().port, method, path,
+		(body ? {
+			'Content-Type': 'application/json',
+			'Content-Length': Buffer.byteLength(body)
+		} : undefined),
+		body);
+}
+
+/**
+ * Get value of a sample in the metrics exposition.
+ *
+ * @param {string} text The metrics exposition.
+ * @param {string} sample The sample name with labels.
+ * @returns {number} The sample value, or <code>undefined</code> if not found.
+ */
+function sampleValue(text, sample) {
+
+	const line = text.split('\n').find(l => l.startsWith(`${sample} `));
+
+	return (line ? Number(line.substring(sample.length + 1)) : undefined);
+}
+
+// the tests
+t.test('calls are recorded', () => (
+	request('GET', '/items/1').then(() => request('GET', '/items/2'))
+		.then(() => request('PUT', '/items/3', '{"b":2}'))
+		.then(() => request('GET', '/nothing'))
+		.then(() => request('GET', '/secret'))
+		.then(() => t.wait(50))
+		.then(() => request('GET', '/metrics'))
+		.then(res => {
+			assert.strictEqual(res.statusCode, 200);
+			assert(/^text\/plain; version=0\.0\.4/.test(
+				res.headers['content-type']));
+			const text = res.body.toString();
+			const items = 'endpoint="/items/([^/]+)"';
+			assert(/^# TYPE http_request_duration_seconds histogram$/m.test(
+				text));
+			assert.strictEqual(sampleValue(
+				text,
+				`http_request_duration_seconds_count{${items},method="GET"}`),
+			2);
+			assert.strictEqual(sampleValue(
+				text,
+				'http_request_duration_seconds_bucket' +
+					`{${items},method="GET",le="+Inf"}`),
+			2);
+			assert.strictEqual(sampleValue(
+				text, `http_request_size_bytes_sum{${items},method="PUT"}`),
+			7);
+			assert.strictEqual(sampleValue(
+				text,
+				'http_request_duration_seconds_count' +
+					'{endpoint="",method="GET"}'),
+			1);
+			assert.strictEqual(sampleValue(
+				text, 'http_responses_total{method="GET",status="200"}'), 2);
+			assert.strictEqual(sampleValue(
+				text, 'http_responses_total{method="GET",status="404"}'), 1);
+			assert.strictEqual(sampleValue(
+				text, 'http_responses_total{method="GET",status="401"}'), 1);
+			assert.strictEqual(sampleValue(
+				text,
+				'http_authentication_failures_total{endpoint="/secret"}'),
+			1);
+			assert.strictEqual(sampleValue(text, 'http_open_connections'), 1);
+			assert.strictEqual(sampleValue(text, 'http_requests_in_flight'), 1);
+		})
+));
+
+server.on('listening', () => {
+	t.run(() => app.shutdown({ timeout: 1000 }));
+});
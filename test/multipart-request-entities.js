@@ -0,0 +1,178 @@
+'use strict';
+
+const assert = require('assert');
+const common = require('x2node-common');
+
+const ws = require('../index.js');
+const MultipartParser = require('../lib/multipart-parser.js');
+const t = require('./lib/helpers.js');
+
+
+/**
+ * Test payload boundary.
+ */
+const BOUNDARY = 'xYzZY';
+
+/**
+ * Test multipart payload with a preamble and an epilogue.
+ */
+const PAYLOAD = Buffer.from(
+	'preamble\r\n' +
+	`--${BOUNDARY}\r\n` +
+	'Content-Disposition: form-data; name="title"\r\n' +
+	'Content-Type: text/plain\r\n' +
+	'\r\n' +
+	'Hello\r\n' +
+	`--${BOUNDARY}  \r\n` +
+	'Content-Disposition: form-data; name="meta"\r\n' +
+	'Content-Type: application/json\r\n' +
+	'\r\n' +
+	'{"a":1}\r\n' +
+	`--${BOUNDARY}\r\n` +
+	'Content-Disposition: form-data; name="file";\r\n' +
+	' filename="x.bin"; filename*=UTF-8\'\'na%C3%AFve.bin\r\n' +
+	'Content-Type: application/octet-stream\r\n' +
+	'\r\n' +
+	`a\r\n--${BOUNDARY.substring(0, 3)}b\r\n` +
+	`--${BOUNDARY}--\r\n` +
+	'epilogue', 'latin1');
+
+/**
+ * Feed the payload to a new parser in chunks of the specified size.
+ *
+ * @param {external:Buffer} payload The payload.
+ * @param {number} chunkSize Chunk size.
+ * @returns {Array.<Object>} The parsed parts.
+ */
+function parse(payload, chunkSize) {
+
+	const parts = new Array();
+	const parser = new MultipartParser(BOUNDARY);
+	parser.on('part', part => { parts.push(part); });
+	for (let i = 0; i < payload.length; i += chunkSize)
+		parser.write(payload.slice(i, i + chunkSize));
+	parser.end();
+
+	return parts;
+}
+
+// run the application
+const server = ws.createApplication({ apiVersion: 'test' })
+	.addEndpoint('/upload', {
+		requestEntityParsers: {
+			'text/plain': ws.TEXT_DESERIALIZER
+		},
+		POST(call) {
+			return {
+				contentType: call.entityContentType,
+				parts: call.entityParts.map(part => ({
+					name: part.name,
+					filename: part.filename,
+					contentType: part.contentType,
+					entity: part.entity,
+					length: part.data.length
+				}))
+			};
+		}
+	})
+	.run(0);
+
+/**
+ * Post payload to the upload endpoint.
+ *
+ * @param {string} contentType Request content type.
+ * @param {external:Buffer} payload The payload.
+ * @returns {Promise.<http.IncomingMessage>} Promise of the response.
+ */
+function upload(contentType, payload) {
+
+	return t.request(server.address().port, 'POST', '/upload', {
+		'Content-Type': contentType,
+		'Content-Length': payload.length
+	}, payload);
+}
+
+// the tests
+t.test('parser', () => {
+	const parts = parse(PAYLOAD, PAYLOAD.length);
+	assert.strictEqual(parts.length, 3);
+	assert.strictEqual(
+		parts[0].headers['content-disposition'], 'form-data; name="title"');
+	assert.strictEqual(parts[0].data.toString(), 'Hello');
+	assert.strictEqual(parts[1].data.toString(), '{"a":1}');
+	assert.strictEqual(
+		parts[2].headers['content-disposition'],
+		'form-data; name="file"; filename="x.bin";' +
+			' filename*=UTF-8\'\'na%C3%AFve.bin');
+	assert.strictEqual(
+		parts[2].data.toString(), `a\r\n--${BOUNDARY.substring(0, 3)}b`);
+});
+
+t.test('parser fed byte by byte', () => {
+	const expected = parse(PAYLOAD, PAYLOAD.length);
+	const parts = parse(PAYLOAD, 1);
+	assert.strictEqual(parts.length, expected.length);
+	parts.forEach((part, i) => {
+		assert.deepEqual(part.headers, expected[i].headers);
+		assert(part.data.equals(expected[i].data));
+	});
+});
+
+t.test('parser with empty part', () => {
+	const parts = parse(Buffer.from(
+		`--${BOUNDARY}\r\n\r\n\r\n--${BOUNDARY}--`), 5);
+	assert.strictEqual(parts.length, 1);
+	assert.deepEqual(parts[0].headers, {});
+	assert.strictEqual(parts[0].data.length, 0);
+});
+
+t.test('parser errors', () => {
+	assert.throws(
+		() => parse(PAYLOAD.slice(0, PAYLOAD.length - 20), 16),
+		common.X2DataError);
+	assert.throws(
+		() => parse(Buffer.from(
+			`--${BOUNDARY}\r\nno colon\r\n\r\nx\r\n--${BOUNDARY}--`), 16),
+		common.X2DataError);
+	assert.throws(
+		() => parse(Buffer.from(
+			`--${BOUNDARY}garbage\r\n\r\nx\r\n--${BOUNDARY}--`), 16),
+		common.X2DataError);
+});
+
+t.test('form data upload', () => (
+	upload(`multipart/form-data; boundary="${BOUNDARY}"`, PAYLOAD).then(
+		res => {
+			assert.strictEqual(res.statusCode, 200);
+			const result = JSON.parse(res.body);
+			assert.strictEqual(result.contentType, 'multipart/form-data');
+			assert.strictEqual(result.parts.length, 3);
+			assert.strictEqual(result.parts[0].name, 'title');
+			assert.strictEqual(result.parts[0].contentType, 'text/plain');
+			assert.strictEqual(result.parts[0].entity.text, 'Hello');
+			assert.deepEqual(result.parts[1].entity, { a: 1 });
+			assert.strictEqual(result.parts[2].name, 'file');
+			assert.strictEqual(result.parts[2].filename, 'naïve.bin');
+			assert.strictEqual(result.parts[2].entity, null);
+			assert.strictEqual(result.parts[2].length, 9);
+		})
+));
+
+t.test('missing boundary', () => (
+	upload('multipart/form-data', PAYLOAD).then(res => {
+		assert.strictEqual(res.statusCode, 400);
+	})
+));
+
+t.test('truncated payload', () => (
+	upload(
+		`multipart/form-data; boundary=${BOUNDARY}`,
+		PAYLOAD.slice(0, PAYLOAD.length - 20)
+	).then(res => {
+		assert.strictEqual(res.statusCode, 400);
+	})
+));
+
+server.on('listening', () => {
+	t.run(() => { server.close(); });
+});
@@ -0,0 +1,178 @@
+'use strict';
+
+const assert = require('assert');
+const stream = require('stream');
+
+const ws = require('../index.js');
+const t = require('./lib/helpers.js');
+
+
+/**
+ * Test representation.
+ */
+const DATA = Buffer.from('abcdefghijklmnopqrstuvwxyz');
+
+/**
+ * Representation large enough to be compressed.
+ */
+const BIG = Buffer.from('0123456789'.repeat(200));
+
+// run the application
+const server = ws.createApplication({
+	apiVersion: 'test',
+	compressResponses: true
+}).addEndpoint('/buffer', {
+	GET() {
+		return ws.createResponse(200)
+			.setHeader('ETag', '"r1"')
+			.setEntity(DATA, 'text/plain');
+	}
+}).addEndpoint('/stream', {
+	GET(call) {
+		const data = new stream.PassThrough();
+		data.end(DATA);
+		const response = ws.createResponse(200);
+		if (call.requestUrl.query.length !== 'unknown')
+			response.setHeader('Content-Length', DATA.length);
+		return response.setEntity(data, 'text/plain');
+	}
+}).addEndpoint('/big', {
+	GET() { return ws.createResponse(200).setEntity(BIG, 'text/plain'); }
+}).run(0);
+
+/**
+ * Send request to the application.
+ *
+ * @param {string} method Request method.
+ * @param {string} path Request URI.
+ * @param {Object.<string,string>} [headers] Request headers.
+ * @returns {Promise.<http.IncomingMessage>} Promise of the response.
+ */
+function request(method, path, headers) {
+
+	return t.request(server.address().port, method, path, headers);
+}
+
+// the tests
+t.test('range requests support advertised', () => (
+	request('GET', '/buffer').then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.strictEqual(res.headers['accept-ranges'], 'bytes');
+		assert(res.body.equals(DATA));
+		return request('HEAD', '/buffer');
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.strictEqual(res.headers['accept-ranges'], 'bytes');
+	})
+));
+
+t.test('single range', () => (
+	request('GET', '/buffer', { 'Range': 'bytes=0-4' }).then(res => {
+		assert.strictEqual(res.statusCode, 206);
+		assert.strictEqual(res.headers['content-range'], 'bytes 0-4/26');
+		assert.strictEqual(res.headers['etag'], '"r1"');
+		assert.strictEqual(res.body.toString(), 'abcde');
+	})
+));
+
+t.test('suffix and open-ended ranges', () => (
+	request('GET', '/buffer', { 'Range': 'bytes=-3' }).then(res => {
+		assert.strictEqual(res.statusCode, 206);
+		assert.strictEqual(res.headers['content-range'], 'bytes 23-25/26');
+		assert.strictEqual(res.body.toString(), 'xyz');
+		return request('GET', '/buffer', { 'Range': 'bytes=20-' });
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 206);
+		assert.strictEqual(res.body.toString(), 'uvwxyz');
+	})
+));
+
+t.test('multiple ranges', () => (
+	request('GET', '/buffer', { 'Range': 'bytes=0-1, 5-6' }).then(res => {
+		assert.strictEqual(res.statusCode, 206);
+		const m = /^multipart\/byteranges; boundary=(.+)$/.exec(
+			res.headers['content-type']);
+		assert(m, 'expected multipart/byteranges response');
+		const parts = res.body.toString().split(`--${m[1]}`);
+		assert.strictEqual(parts.length, 4);
+		assert(/Content-Range: bytes 0-1\/26\r\n\r\nab\r\n$/.test(parts[1]));
+		assert(/Content-Range: bytes 5-6\/26\r\n\r\nfg\r\n$/.test(parts[2]));
+		assert(/^--/.test(parts[3]));
+	})
+));
+
+t.test('overlapping ranges are coalesced', () => (
+	request('GET', '/buffer', { 'Range': 'bytes=0-4,3-8' }).then(res => {
+		assert.strictEqual(res.statusCode, 206);
+		assert.strictEqual(res.headers['content-range'], 'bytes 0-8/26');
+		assert.strictEqual(res.body.toString(), 'abcdefghi');
+	})
+));
+
+t.test('range not satisfiable', () => (
+	request('GET', '/buffer', { 'Range': 'bytes=30-40' }).then(res => {
+		assert.strictEqual(res.statusCode, 416);
+		assert.strictEqual(res.headers['content-range'], 'bytes */26');
+		assert.strictEqual(JSON.parse(res.body).errorCode, 'X2-416');
+	})
+));
+
+t.test('invalid range is ignored', () => (
+	request('GET', '/buffer', { 'Range': 'bytes=abc' }).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert(res.body.equals(DATA));
+	})
+));
+
+t.test('If-Range', () => (
+	request('GET', '/buffer', {
+		'Range': 'bytes=0-0',
+		'If-Range': '"r1"'
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 206);
+		return request('GET', '/buffer', {
+			'Range': 'bytes=0-0',
+			'If-Range': '"r0"'
+		});
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		return request('GET', '/buffer', {
+			'Range': 'bytes=0-0',
+			'If-Range': 'W/"r1"'
+		});
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+	})
+));
+
+t.test('stream with known length', () => (
+	request('GET', '/stream', { 'Range': 'bytes=2-5' }).then(res => {
+		assert.strictEqual(res.statusCode, 206);
+		assert.strictEqual(res.headers['content-range'], 'bytes 2-5/26');
+		assert.strictEqual(res.body.toString(), 'cdef');
+	})
+));
+
+t.test('stream with unknown length', () => (
+	request('GET', '/stream?length=unknown', { 'Range': 'bytes=2-5' }).then(
+		res => {
+			assert.strictEqual(res.statusCode, 200);
+			assert.strictEqual(res.headers['accept-ranges'], undefined);
+			assert(res.body.equals(DATA));
+		})
+));
+
+t.test('partial content is not compressed', () => (
+	request('GET', '/big', {
+		'Range': 'bytes=0-1499',
+		'Accept-Encoding': 'gzip'
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 206);
+		assert.strictEqual(res.headers['content-encoding'], undefined);
+		assert(res.body.equals(BIG.slice(0, 1500)));
+	})
+));
+
+server.on('listening', () => {
+	t.run(() => { server.close(); });
+});
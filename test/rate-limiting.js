@@ -0,0 +1,117 @@
+'use strict';
+
+const assert = require('assert');
+const common = require('x2node-common');
+
+const ws = require('../index.js');
+const t = require('./lib/helpers.js');
+
+
+/**
+ * Rate limiter that counts its calls and always allows them.
+ */
+const counting = {
+	calls: 0,
+	consume() {
+		this.calls++;
+		return { allowed: true, limit: 100, remaining: 99, reset: 1 };
+	}
+};
+
+// run the application
+const app = ws.createApplication({ apiVersion: 'test', handleSignals: false });
+const server = app
+	.addRateLimiter('/limited', new ws.TokenBucketRateLimiter(2, 0.5, {
+		key: 'address'
+	}))
+	.addRateLimiter('/limited', counting)
+	.addRateLimiter('/by-client', new ws.TokenBucketRateLimiter(1, 0.5, {
+		key: call => call.httpRequest.headers['x-client']
+	}))
+	.addEndpoint('/limited', {
+		GET(call) { return { remaining: call.rateLimit.remaining }; }
+	})
+	.addEndpoint('/by-client', { GET() { return {}; } })
+	.addEndpoint('/free', { GET() { return {}; } })
+	.run(0);
+
+/**
+ * Send GET request to the application.
+ *
+ * @param {string} path Request URI.
+ * @param {Object.<string,string>} [headers] Request headers.
+ * @returns {Promise.<http.IncomingMessage>} Promise of the response.
+ */
+function get(path, headers) {
+
+	return t.request(server.address().port, 'GET', path, headers);
+}
+
+// the tests
+t.test('memory store', () => {
+	const store = new ws.MemoryRateLimitStore();
+	let res = store.take('k', 2, 1);
+	assert.strictEqual(res.taken, true);
+	assert.strictEqual(res.remaining, 1);
+	assert.strictEqual(res.retryAfter, 0);
+	res = store.take('k', 2, 1);
+	assert.strictEqual(res.taken, true);
+	assert.strictEqual(res.remaining, 0);
+	assert.strictEqual(res.reset, 2);
+	res = store.take('k', 2, 1);
+	assert.strictEqual(res.taken, false);
+	assert.strictEqual(res.retryAfter, 1);
+	assert.strictEqual(store.take('other', 2, 1).taken, true);
+});
+
+t.test('invalid rate limiter configuration', () => {
+	assert.throws(
+		() => new ws.TokenBucketRateLimiter(0, 1), common.X2UsageError);
+	assert.throws(
+		() => new ws.TokenBucketRateLimiter(1, 0), common.X2UsageError);
+	assert.throws(
+		() => new ws.TokenBucketRateLimiter(1, 1, { key: 'nope' }),
+		common.X2UsageError);
+});
+
+t.test('calls within the limit', () => get('/limited').then(res => {
+	assert.strictEqual(res.statusCode, 200);
+	assert.strictEqual(res.headers['ratelimit-limit'], '2');
+	assert.strictEqual(res.headers['ratelimit-remaining'], '1');
+	assert.strictEqual(res.headers['ratelimit-reset'], '2');
+	assert.deepEqual(JSON.parse(res.body), { remaining: 1 });
+	return get('/limited');
+}).then(res => {
+	assert.strictEqual(res.statusCode, 200);
+	assert.strictEqual(res.headers['ratelimit-remaining'], '0');
+	assert.strictEqual(counting.calls, 2);
+}));
+
+t.test('call over the limit', () => get('/limited').then(res => {
+	assert.strictEqual(res.statusCode, 429);
+	assert.strictEqual(res.headers['retry-after'], '2');
+	assert.strictEqual(res.headers['ratelimit-remaining'], '0');
+	assert.strictEqual(JSON.parse(res.body).errorCode, 'X2-429');
+	assert.strictEqual(counting.calls, 2);
+}));
+
+t.test('clients identified by custom key', () => (
+	get('/by-client', { 'X-Client': 'a' }).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		return get('/by-client', { 'X-Client': 'a' });
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 429);
+		return get('/by-client', { 'X-Client': 'b' });
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+	})
+));
+
+t.test('endpoint without rate limiters', () => get('/free').then(res => {
+	assert.strictEqual(res.statusCode, 200);
+	assert.strictEqual(res.headers['ratelimit-limit'], undefined);
+}));
+
+server.on('listening', () => {
+	t.run(() => app.shutdown({ timeout: 1000 }));
+});
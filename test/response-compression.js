@@ -0,0 +1,102 @@
+'use strict';
+
+const assert = require('assert');
+const zlib = require('zlib');
+
+const ws = require('../index.js');
+const t = require('./lib/helpers.js');
+
+
+/**
+ * Response body large enough to be compressed.
+ */
+const BIG = Buffer.from('0123456789'.repeat(200));
+
+// run the application
+const server = ws.createApplication({
+	apiVersion: 'test',
+	compressResponses: true
+}).addEndpoint('/big', {
+	GET() { return ws.createResponse(200).setEntity(BIG, 'text/plain'); }
+}).addEndpoint('/small', {
+	GET() {
+		return ws.createResponse(200).setEntity(Buffer.from('hi'), 'text/plain');
+	}
+}).addEndpoint('/off', {
+	compressResponses: false,
+	GET() { return ws.createResponse(200).setEntity(BIG, 'text/plain'); }
+}).run(0);
+
+/**
+ * Tell if the response varies by the "Accept-Encoding" request header.
+ *
+ * @param {http.IncomingMessage} res The response.
+ * @returns {boolean} <code>true</code> if it does.
+ */
+function variesByEncoding(res) {
+
+	return /(?:^|,)\s*accept-encoding\s*(?:,|$)/i.test(res.headers['vary']);
+}
+
+/**
+ * Send request to the application.
+ *
+ * @param {string} method Request method.
+ * @param {string} path Request URI.
+ * @param {Object.<string,string>} [headers] Request headers.
+ * @returns {Promise.<http.IncomingMessage>} Promise of the response.
+ */
+function request(method, path, headers) {
+
+	return t.request(server.address().port, method, path, headers);
+}
+
+// the tests
+t.test('compressed response', () => (
+	request('GET', '/big', { 'Accept-Encoding': 'gzip' }).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.strictEqual(res.headers['content-encoding'], 'gzip');
+		assert(variesByEncoding(res));
+		assert(zlib.gunzipSync(res.body).equals(BIG));
+	})
+));
+
+t.test('no accepted encodings', () => request('GET', '/big').then(res => {
+	assert.strictEqual(res.statusCode, 200);
+	assert.strictEqual(res.headers['content-encoding'], undefined);
+	assert.strictEqual(res.headers['content-length'], String(BIG.length));
+	assert(variesByEncoding(res));
+}));
+
+t.test('HEAD has the same content coding as GET', () => (
+	request('HEAD', '/big', { 'Accept-Encoding': 'gzip' }).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.strictEqual(res.headers['content-encoding'], 'gzip');
+		assert(variesByEncoding(res));
+	})
+));
+
+t.test('body below threshold', () => (
+	request('GET', '/small', { 'Accept-Encoding': 'gzip' }).then(res => {
+		assert.strictEqual(res.headers['content-encoding'], undefined);
+		assert(variesByEncoding(res));
+	})
+));
+
+t.test('error response', () => (
+	request('GET', '/nothing', { 'Accept-Encoding': 'gzip' }).then(res => {
+		assert.strictEqual(res.statusCode, 404);
+		assert(variesByEncoding(res));
+	})
+));
+
+t.test('compression disabled for endpoint', () => (
+	request('GET', '/off', { 'Accept-Encoding': 'gzip' }).then(res => {
+		assert.strictEqual(res.headers['content-encoding'], undefined);
+		assert(!variesByEncoding(res));
+	})
+));
+
+server.on('listening', () => {
+	t.run(() => { server.close(); });
+});
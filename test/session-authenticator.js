@@ -0,0 +1,324 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const common = require('x2node-common');
+
+const ws = require('../index.js');
+const t = require('./lib/helpers.js');
+
+
+/**
+ * Actors registry that knows every handle but "ghost".
+ */
+const actorsRegistry = {
+	lookupActor(handle) {
+		return (handle === 'ghost' ? null : { stamp: handle });
+	}
+};
+
+/**
+ * Session store shared by the authenticators.
+ */
+const store = new ws.MemorySessionStore();
+
+/**
+ * Authenticator used by the login endpoint.
+ */
+const sessionAuthenticator = new ws.SessionAuthenticator(actorsRegistry, {
+	secret: 's1',
+	store: store
+});
+
+// run the application
+const app = ws.createApplication({ apiVersion: 'test', handleSignals: false });
+const server = app
+	.addAuthenticator('/rotated', new ws.SessionAuthenticator(actorsRegistry, {
+		secret: [ 's2', 's1' ],
+		store: store
+	}))
+	.addAuthenticator('/encrypted/.*', new ws.SessionAuthenticator(
+		actorsRegistry, {
+			secret: 's1',
+			encrypt: true,
+			store: store
+		}))
+	.addAuthenticator('/.*', sessionAuthenticator)
+	.addEndpoint('/login', {
+		POST(call) {
+			return sessionAuthenticator.login(
+				call, ws.createResponse(204), call.entity.user);
+		}
+	})
+	.addEndpoint('/logout', {
+		POST(call) {
+			return sessionAuthenticator.logout(call, ws.createResponse(204));
+		}
+	})
+	.addEndpoint('/(x|rotated|encrypted/x)', {
+		isAllowed(call) { return Boolean(call.actor); },
+		GET(call) { return { actor: call.actor.stamp }; },
+		POST(call) { return { actor: call.actor.stamp }; }
+	})
+	.run(0);
+
+/**
+ * Parse "Set-Cookie" response headers.
+ *
+ * @param {http.IncomingMessage} res The response.
+ * @returns {Object.<string,Object>} The cookies by name, each with the
+ * <code>value</code> and the <code>attrs</code> string.
+ */
+function setCookies(res) {
+
+	const cookies = new Object();
+	for (let header of (res.headers['set-cookie'] || [])) {
+		const m = /^([^=]+)=([^;]*)(.*)$/.exec(header);
+		cookies[m[1]] = { value: decodeURIComponent(m[2]), attrs: m[3] };
+	}
+
+	return cookies;
+}
+
+/**
+ * Send request to the application.
+ *
+ * @param {string} method Request method.
+ * @param {string} path Request URI.
+ * @param {Object.<string,string>} [cookies] Cookies to send.
+ * @param {Object.<string,string>} [headers] Other request headers.
+ * @returns {Promise.<http.IncomingMessage>} Promise of the response.
+ */
+function request(method, path, cookies, headers) {
+
+	const allHeaders = Object.assign({}, headers);
+	if (cookies)
+		allHeaders['Cookie'] = Object.keys(cookies).map(
+			name => `${name}=${encodeURIComponent(cookies[name])}`).join('; ');
+
+	return t.request(server.address().port, method, path, allHeaders);
+}
+
+/**
+ * Log in and get the session cookies.
+ *
+ * @param {string} user The actor handle.
+ * @returns {Promise.<Object.<string,string>>} Promise of the "sid" and
+ * "XSRF-TOKEN" cookie values by name.
+ */
+function login(user) {
+
+	return t.request(server.address().port, 'POST', '/login', {
+		'Content-Type': 'application/json'
+	}, JSON.stringify({ user })).then(res => {
+		assert.strictEqual(res.statusCode, 204);
+		const cookies = setCookies(res);
+		return {
+			'sid': cookies['sid'].value,
+			'XSRF-TOKEN': cookies['XSRF-TOKEN'].value
+		};
+	});
+}
+
+/**
+ * Assert that the call was not authenticated and the cookies are deleted.
+ *
+ * @param {http.IncomingMessage} res The response.
+ */
+function assertRejected(res) {
+
+	assert.strictEqual(res.statusCode, 401);
+	const cookies = setCookies(res);
+	assert.strictEqual(cookies['sid'].value, '');
+	assert(/; Max-Age=0/.test(cookies['sid'].attrs));
+	assert.strictEqual(cookies['XSRF-TOKEN'].value, '');
+}
+
+/**
+ * Assert that the call was refused because of the CSRF token.
+ *
+ * @param {http.IncomingMessage} res The response.
+ */
+function assertCsrfRejected(res) {
+
+	assert.strictEqual(res.statusCode, 403);
+	assert.strictEqual(JSON.parse(res.body).errorCode, 'X2-403-2');
+}
+
+// the tests
+t.test('login sets the cookies', () => (
+	t.request(server.address().port, 'POST', '/login', {
+		'Content-Type': 'application/json'
+	}, '{"user":"alice"}').then(res => {
+		assert.strictEqual(res.statusCode, 204);
+		const cookies = setCookies(res);
+		assert(/; HttpOnly/.test(cookies['sid'].attrs));
+		assert(/; Secure/.test(cookies['sid'].attrs));
+		assert(/; SameSite=Lax/.test(cookies['sid'].attrs));
+		assert(!/; HttpOnly/.test(cookies['XSRF-TOKEN'].attrs));
+		const csrfToken = cookies['XSRF-TOKEN'].value;
+		assert(csrfToken.length > 0);
+		for (let name of Object.keys(res.headers))
+			if (name !== 'set-cookie')
+				assert(String(res.headers[name]).indexOf(csrfToken) < 0);
+	})
+));
+
+t.test('session cookie authenticates the call', () => (
+	login('alice').then(cookies => request('GET', '/x', {
+		'sid': cookies['sid']
+	})).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.deepEqual(JSON.parse(res.body), { actor: 'alice' });
+	})
+));
+
+t.test('no session cookie', () => request('GET', '/x').then(res => {
+	assert.strictEqual(res.statusCode, 401);
+	assert.strictEqual(res.headers['set-cookie'], undefined);
+}));
+
+t.test('tampered session cookie', () => {
+	let sid;
+	return login('alice').then(cookies => {
+		sid = cookies['sid'];
+		const dotInd = sid.indexOf('.');
+		const claims = JSON.parse(
+			Buffer.from(sid.substring(0, dotInd), 'base64').toString('utf8'));
+		claims.exp += 3600;
+		const payload = Buffer.from(JSON.stringify(claims)).toString('base64')
+			.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+		return request('GET', '/x', {
+			'sid': payload + sid.substring(dotInd)
+		});
+	}).then(res => {
+		assertRejected(res);
+		const ind = sid.length - 10;
+		return request('GET', '/x', {
+			'sid': sid.substring(0, ind) + (sid[ind] === 'A' ? 'B' : 'A') +
+				sid.substring(ind + 1)
+		});
+	}).then(res => {
+		assertRejected(res);
+		return request('GET', '/x', { 'sid': 'garbage' });
+	}).then(res => {
+		assertRejected(res);
+	});
+});
+
+t.test('cookie forged with another secret', () => {
+	const claims = {
+		sid: 'guessed',
+		iat: Math.floor(Date.now() / 1000),
+		exp: Math.floor(Date.now() / 1000) + 60
+	};
+	const base64Url = (value => Buffer.from(value).toString('base64')
+		.replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_'));
+	const payload = base64Url(JSON.stringify(claims));
+	const key = crypto.createHmac('sha256', 'not the secret')
+		.update('x2node-ws session signature').digest();
+	const sid = payload + '.' + base64Url(
+		crypto.createHmac('sha256', key).update(payload).digest());
+	return request('GET', '/x', { sid }).then(res => {
+		assertRejected(res);
+	});
+});
+
+t.test('CSRF token required for unsafe methods', () => {
+	let cookies;
+	return login('alice').then(c => {
+		cookies = c;
+		return request('POST', '/x', cookies);
+	}).then(res => {
+		assertCsrfRejected(res);
+		return request('POST', '/x', cookies, { 'X-XSRF-TOKEN': 'forged' });
+	}).then(res => {
+		assertCsrfRejected(res);
+		return request('POST', '/x', {
+			'sid': cookies['sid'],
+			'XSRF-TOKEN': 'forged'
+		}, { 'X-XSRF-TOKEN': 'forged' });
+	}).then(res => {
+		assertCsrfRejected(res);
+		return request('POST', '/x', { 'sid': cookies['sid'] }, {
+			'X-XSRF-TOKEN': cookies['XSRF-TOKEN']
+		});
+	}).then(res => {
+		assertCsrfRejected(res);
+		return request('POST', '/x', cookies, {
+			'X-XSRF-TOKEN': cookies['XSRF-TOKEN']
+		});
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.deepEqual(JSON.parse(res.body), { actor: 'alice' });
+	});
+});
+
+t.test('CSRF token of another session', () => {
+	let alice;
+	return login('alice').then(cookies => {
+		alice = cookies;
+		return login('mallory');
+	}).then(mallory => request('POST', '/x', {
+		'sid': alice['sid'],
+		'XSRF-TOKEN': mallory['XSRF-TOKEN']
+	}, { 'X-XSRF-TOKEN': mallory['XSRF-TOKEN'] })).then(res => {
+		assertCsrfRejected(res);
+	});
+});
+
+t.test('logout ends the session', () => {
+	let cookies;
+	return login('alice').then(c => {
+		cookies = c;
+		return request('POST', '/logout', cookies, {
+			'X-XSRF-TOKEN': cookies['XSRF-TOKEN']
+		});
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 204);
+		assert.strictEqual(setCookies(res)['sid'].value, '');
+		return request('GET', '/x', { 'sid': cookies['sid'] });
+	}).then(res => {
+		assertRejected(res);
+	});
+});
+
+t.test('unknown actor', () => (
+	login('ghost').then(cookies => request('GET', '/x', {
+		'sid': cookies['sid']
+	})).then(res => {
+		assertRejected(res);
+	})
+));
+
+t.test('cookie signed with previous secret', () => (
+	login('alice').then(cookies => request('GET', '/rotated', {
+		'sid': cookies['sid']
+	})).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.deepEqual(JSON.parse(res.body), { actor: 'alice' });
+	})
+));
+
+t.test('unencrypted cookie not accepted when encrypted', () => (
+	login('alice').then(cookies => request('GET', '/encrypted/x', {
+		'sid': cookies['sid']
+	})).then(res => {
+		assertRejected(res);
+	})
+));
+
+t.test('invalid options', () => {
+	assert.throws(
+		() => new ws.SessionAuthenticator(actorsRegistry, {}),
+		common.X2UsageError);
+	assert.throws(
+		() => new ws.SessionAuthenticator(actorsRegistry, {
+			secret: [ 's1', '' ]
+		}),
+		common.X2UsageError);
+});
+
+server.on('listening', () => {
+	t.run(() => app.shutdown({ timeout: 1000 }));
+});
@@ -0,0 +1,297 @@
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+
+const ws = require('../index.js');
+const t = require('./lib/helpers.js');
+
+
+/**
+ * Signing keys by key id.
+ */
+const KEYS = {
+	'billing': 'billing secret',
+	'reporting': 'reporting secret'
+};
+
+/**
+ * Number of times the streaming handler was called.
+ */
+let streamCalls = 0;
+
+// run the application
+const app = ws.createApplication({ apiVersion: 'test', handleSignals: false });
+const server = app
+	.addAuthenticator('/.*', new ws.SignatureAuthenticator({
+		lookupActor(keyId) { return { stamp: keyId }; }
+	}, {
+		getKey: (actor, keyId) => (KEYS[keyId] || null),
+		requiredComponents: [ '@method', '@path', '@query', 'x-tenant' ]
+	}))
+	.addEndpoint('/orders', {
+		isAllowed(call) { return Boolean(call.actor); },
+		GET(call) { return { actor: call.actor.stamp }; },
+		POST(call) { return call.entity; }
+	})
+	.addEndpoint('/upload', {
+		requestEntityStreaming: true,
+		isAllowed(call) { return Boolean(call.actor); },
+		POST(call) {
+			streamCalls++;
+			return new Promise((resolve, reject) => {
+				let length = 0;
+				call.entityStream
+					.on('data', chunk => { length += chunk.length; })
+					.on('end', () => { resolve({ length }); })
+					.on('error', reject);
+			});
+		}
+	})
+	.run(0);
+
+/**
+ * Unique nonce counter.
+ */
+let nextNonce = 1;
+
+/**
+ * Build request headers signed like a client would.
+ *
+ * @param {string} method Request method.
+ * @param {string} path Request URI including the query string.
+ * @param {Object} [options] Signature options.
+ * @param {string} [options.keyId="billing"] Key id.
+ * @param {string} [options.key] Signing key, by default the key for the key
+ * id.
+ * @param {string} [options.tenant="t1"] Value of the covered "X-Tenant"
+ * header.
+ * @param {string} [options.nonce] Nonce, by default a new unique one.
+ * Explicit <code>null</code> for no nonce.
+ * @param {number} [options.created] Creation time, by default now.
+ * @param {(string|Buffer)} [options.body] Request payload to cover by the
+ * "Content-Digest" header.
+ * @returns {Object.<string,string>} The request headers.
+ */
+function sign(method, path, options) {
+
+	const opts = (options || {});
+	const keyId = (opts.keyId || 'billing');
+	const headers = {
+		'X-Tenant': (opts.tenant || 't1')
+	};
+
+	const components = [ '@method', '@path', '@query', 'x-tenant' ];
+	const queryInd = path.indexOf('?');
+	const values = {
+		'@method': method,
+		'@path': (queryInd >= 0 ? path.substring(0, queryInd) : path),
+		'@query': (queryInd >= 0 ? path.substring(queryInd) : '?'),
+		'x-tenant': headers['X-Tenant']
+	};
+	if (opts.body !== undefined) {
+		headers['Content-Type'] = 'application/json';
+		headers['Content-Digest'] = 'sha-256=:' + crypto.createHash('sha256')
+			.update(opts.body).digest('base64') + ':';
+		components.push('content-digest');
+		values['content-digest'] = headers['Content-Digest'];
+	}
+
+	const nonce = (
+		opts.nonce !== undefined ? opts.nonce : `n${nextNonce++}`);
+	const sigParams = '(' + components.map(c => `"${c}"`).join(' ') + ')' +
+		`;created=${opts.created || Math.floor(Date.now() / 1000)}` +
+		`;keyid="${keyId}"` + (nonce !== null ? `;nonce="${nonce}"` : '');
+	const signatureBase = components.map(c => `"${c}": ${values[c]}`)
+		.concat(`"@signature-params": ${sigParams}`).join('\n');
+
+	headers['Signature-Input'] = `sig1=${sigParams}`;
+	headers['Signature'] = 'sig1=:' + crypto.createHmac(
+		'sha256', (opts.key || KEYS[keyId])
+	).update(signatureBase).digest('base64') + ':';
+
+	return headers;
+}
+
+/**
+ * Send request to the application.
+ *
+ * @param {string} method Request method.
+ * @param {string} path Request URI.
+ * @param {Object.<string,string>} headers Request headers.
+ * @param {(string|Buffer)} [body] Request payload.
+ * @returns {Promise.<http.IncomingMessage>} Promise of the response.
+ */
+function request(method, path, headers, body) {
+
+	return t.request(server.address().port, method, path, headers, body);
+}
+
+/**
+ * Assert that the call was not authenticated.
+ *
+ * @param {http.IncomingMessage} res The response.
+ */
+function assertRejected(res) {
+
+	assert.strictEqual(res.statusCode, 401);
+	assert.strictEqual(res.headers['www-authenticate'], 'Signature');
+	assert.strictEqual(
+		res.headers['accept-signature'],
+		'sig1=("@method" "@path" "@query" "x-tenant");keyid;created;nonce' +
+			';alg="hmac-sha256"');
+}
+
+// the tests
+t.test('valid signature', () => (
+	request('GET', '/orders?a=1', sign('GET', '/orders?a=1')).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.deepEqual(JSON.parse(res.body), { actor: 'billing' });
+	})
+));
+
+t.test('no signature', () => request('GET', '/orders', {}).then(res => {
+	assertRejected(res);
+}));
+
+t.test('signature base covers the components', () => {
+	const headers = sign('GET', '/orders?a=1');
+	return request('GET', '/orders?a=2', headers).then(res => {
+		assertRejected(res);
+		return request('GET', '/orders', sign('GET', '/orders?a=1'));
+	}).then(res => {
+		assertRejected(res);
+		headers['X-Tenant'] = 't2';
+		return request('GET', '/orders?a=1', headers);
+	}).then(res => {
+		assertRejected(res);
+		return request('POST', '/orders?a=1', sign('GET', '/orders?a=1'));
+	}).then(res => {
+		assertRejected(res);
+	});
+});
+
+t.test('required component not covered', () => {
+	const headers = sign('GET', '/orders');
+	const sigParams = headers['Signature-Input'].replace(' "x-tenant"', '');
+	headers['Signature-Input'] = sigParams;
+	headers['Signature'] = 'sig1=:' + crypto.createHmac(
+		'sha256', KEYS['billing']
+	).update(
+		'"@method": GET\n"@path": /orders\n"@query": ?\n' +
+			`"@signature-params": ${sigParams.substring(5)}`
+	).digest('base64') + ':';
+	return request('GET', '/orders', headers).then(res => {
+		assertRejected(res);
+	});
+});
+
+t.test('wrong or unknown key', () => (
+	request('GET', '/orders', sign('GET', '/orders', {
+		key: 'guessed'
+	})).then(res => {
+		assertRejected(res);
+		return request('GET', '/orders', sign('GET', '/orders', {
+			keyId: 'nobody',
+			key: 'whatever'
+		}));
+	}).then(res => {
+		assertRejected(res);
+	})
+));
+
+t.test('replayed nonce', () => {
+	const headers = sign('GET', '/orders', { nonce: 'once' });
+	return request('GET', '/orders', headers).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		return request('GET', '/orders', headers);
+	}).then(res => {
+		assertRejected(res);
+		return request('GET', '/orders', sign('GET', '/orders', {
+			keyId: 'reporting',
+			nonce: 'once'
+		}));
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+	});
+});
+
+t.test('missing nonce', () => (
+	request('GET', '/orders', sign('GET', '/orders', {
+		nonce: null
+	})).then(res => {
+		assertRejected(res);
+	})
+));
+
+t.test('signature age', () => {
+	const now = Math.floor(Date.now() / 1000);
+	return request('GET', '/orders', sign('GET', '/orders', {
+		created: now - 600
+	})).then(res => {
+		assertRejected(res);
+		return request('GET', '/orders', sign('GET', '/orders', {
+			created: now + 600
+		}));
+	}).then(res => {
+		assertRejected(res);
+	});
+});
+
+t.test('payload matching content digest', () => {
+	const body = '{"item":"book"}';
+	return request(
+		'POST', '/orders', sign('POST', '/orders', { body }), body
+	).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.deepEqual(JSON.parse(res.body), { item: 'book' });
+	});
+});
+
+t.test('payload not matching content digest', () => (
+	request(
+		'POST', '/orders', sign('POST', '/orders', { body: '{"item":"book"}' }),
+		'{"item":"car"}'
+	).then(res => {
+		assertRejected(res);
+	})
+));
+
+t.test('payload without content digest', () => {
+	const headers = sign('POST', '/orders');
+	headers['Content-Type'] = 'application/json';
+	return request('POST', '/orders', headers, '{}').then(res => {
+		assertRejected(res);
+	});
+});
+
+t.test('unsupported payload not matching content digest', () => {
+	const headers = sign('POST', '/orders', { body: '{"item":"book"}' });
+	headers['Content-Type'] = 'application/x-unknown';
+	return request('POST', '/orders', headers, '{"item":"car"}').then(res => {
+		assert.strictEqual(res.statusCode, 415);
+		return request('GET', '/orders', sign('GET', '/orders'));
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+	});
+});
+
+t.test('streamed payload verified before the handler', () => {
+	const body = '{"item":"book"}';
+	return request(
+		'POST', '/upload', sign('POST', '/upload', { body }), '{"item":"car"}'
+	).then(res => {
+		assertRejected(res);
+		assert.strictEqual(streamCalls, 0);
+		return request(
+			'POST', '/upload', sign('POST', '/upload', { body }), body);
+	}).then(res => {
+		assert.strictEqual(res.statusCode, 200);
+		assert.deepEqual(JSON.parse(res.body), { length: body.length });
+		assert.strictEqual(streamCalls, 1);
+	});
+});
+
+server.on('listening', () => {
+	t.run(() => app.shutdown({ timeout: 1000 }));
+});
@@ -0,0 +1,106 @@
+'use strict';
+
+const assert = require('assert');
+const net = require('net');
+
+const ws = require('../index.js');
+const ServiceResponse = require('../lib/service-response.js');
+const t = require('./lib/helpers.js');
+
+
+/**
+ * Handler that does not read the entity stream nor listens to its errors. It
+ * waits a bit and responds with the stream's error, if any.
+ */
+const handler = {
+	requestEntityStreaming: true,
+	PUT(call) {
+		return new Promise(resolve => {
+			setTimeout(() => {
+				handler.lastError = call.entityStream.error;
+				resolve(
+					handler.lastError instanceof ServiceResponse ?
+						handler.lastError : null);
+			}, 200);
+		});
+	}
+};
+
+/**
+ * Send raw request data and collect the response.
+ *
+ * @param {number} port Server port.
+ * @param {Array.<string>} parts Request data parts.
+ * @param {boolean} abort Close the connection after sending the data.
+ * @returns {Promise.<string>} The raw response.
+ */
+function send(port, parts, abort) {
+
+	return new Promise((resolve, reject) => {
+		const socket = net.connect(port, '127.0.0.1', () => {
+			parts.forEach(part => { socket.write(part); });
+			if (abort)
+				setTimeout(() => { socket.destroy(); resolve(''); }, 50);
+		});
+		let res = '';
+		socket.setEncoding('utf8')
+			.on('data', chunk => { res += chunk; })
+			.on('end', () => { resolve(res); })
+			.on('error', reject);
+		if (!abort)
+			setTimeout(() => { socket.end(); }, 500);
+	});
+}
+
+// run the application
+const server = ws.createApplication({
+	apiVersion: 'test',
+	maxStreamedRequestSize: 50
+}).addEndpoint('/upload', handler).run(0);
+
+// the tests
+t.test('declared oversized streamed upload', () => {
+	handler.lastError = undefined;
+	return send(server.address().port, [
+		'PUT /upload HTTP/1.1\r\n' +
+		'Host: localhost\r\n' +
+		'Content-Type: application/octet-stream\r\n' +
+		'Content-Length: 100\r\n\r\n'
+	], false).then(res => {
+		assert(/^HTTP\/1\.1 413 /.test(res), 'expected HTTP 413 response');
+		assert.strictEqual(handler.lastError, undefined);
+	});
+});
+
+t.test('oversized chunked streamed upload', () => {
+	const body = 'x'.repeat(100);
+	return send(server.address().port, [
+		'PUT /upload HTTP/1.1\r\n' +
+		'Host: localhost\r\n' +
+		'Content-Type: application/octet-stream\r\n' +
+		'Transfer-Encoding: chunked\r\n\r\n',
+		`${body.length.toString(16)}\r\n${body}\r\n0\r\n\r\n`
+	], false).then(res => {
+		assert(/^HTTP\/1\.1 413 /.test(res), 'expected HTTP 413 response');
+		assert(handler.lastError instanceof ServiceResponse);
+		assert.strictEqual(handler.lastError.statusCode, 413);
+	});
+});
+
+t.test('aborted streamed upload', () => {
+	handler.lastError = null;
+	return send(server.address().port, [
+		'PUT /upload HTTP/1.1\r\n' +
+		'Host: localhost\r\n' +
+		'Content-Type: application/octet-stream\r\n' +
+		'Content-Length: 40\r\n\r\n',
+		'0123456789'
+	], true).then(() => t.wait(300)).then(() => {
+		assert(handler.lastError instanceof Error, 'expected stream error');
+		assert.strictEqual(handler.lastError.message, 'Connection closed.');
+	});
+});
+
+server.on('listening', () => {
+	t.run(() => { server.close(); });
+});